@@ -5,22 +5,93 @@ class HtmlTable {
 		this.paginationContainer = document.querySelector(options.pagination || '#pagination');
 		this.rowsPerPageSelect = document.querySelector(options.rowsPerPageSelect || '#rowsPerPageSelect');
 		this.columnVisibilityToggle = document.querySelector(options.columnVisibilityToggle || '#columnVisibilityToggle');
+		this.filterLogicToggle = options.filterLogicToggle ? document.querySelector(options.filterLogicToggle) : null;
+		this.exportButton = options.exportButton ? document.querySelector(options.exportButton) : null;
+		this.bulkActionBar = options.bulkActionBar ? document.querySelector(options.bulkActionBar) : null;
 		this.foundEntriesContainer = options.foundEntriesContainer ? document.querySelector(options.foundEntriesContainer) : null;
+		this.loadMoreButton = options.loadMoreButton ? document.querySelector(options.loadMoreButton) : null;
 
 		this.rowsPerPage = options.rowsPerPage || 10;
 		this.rowsPerPageOptions = options.rowsPerPageOptions || [5, 10, 25, 50, 100];
 		this.foundEntriesText = options.foundEntriesText || 'XX Entries Found';
 		this.foundSearchedText = options.foundSearchedText || 'XX of XX Entries Found';
+		this.accessible = options.accessible || false; // ARIA grid with keyboard navigation and live announcements
+		this.pageAnnouncement = options.pageAnnouncement || 'Page XX of XX';
+		this.resultsAnnouncement = options.resultsAnnouncement || 'XX results';
+		this.sortTypes = options.sortTypes || {}; // Custom comparators, referenced by data-sort-type
+		this.exportFormats = options.exportFormats || ['csv', 'json', 'excel'];
+		this.exportFilename = options.exportFilename || 'table';
+		this.stateSave = options.stateSave === true ? 'localStorage' : (options.stateSave || false); // localStorage, sessionStorage or url
+		this.stateKey = options.stateKey || null;
+		this.stateDuration = options.stateDuration ?? 7200; // Seconds, 0 keeps the state forever
+		this.selectable = options.selectable || false; // 'single' or 'multi'
+		this.rowIdKey = options.rowIdKey || 'id'; // Column key (or tr data-id) that identifies a row
+		this.bulkActions = options.bulkActions || []; // [{ label, icon, className, action(rows, table) }]
+		this.columnReorder = options.columnReorder || false; // Drag headers to reorder columns
+		this.columnResize = options.columnResize || false; // Drag header edges to resize columns
+		this.columnPinning = options.columnPinning || false; // Pin buttons in the column visibility dropdown
+		this.minColumnWidth = options.minColumnWidth || 40; // Smallest width in pixels a column can be resized to
+		this.detailRow = options.detailRow || null; // <template> selector or function(row, table) returning HTML, a node or a Promise
+		this.detailCache = options.detailCache ?? true; // Keep loaded detail content after collapsing
+		this.virtualScroll = options.virtualScroll || false; // Render only the visible rows of all matches
+		this.virtualScrollHeight = options.virtualScrollHeight || '400px';
+		this.rowHeight = options.rowHeight || 40; // Estimated row height in pixels, measured after render
+		this.virtualBuffer = options.virtualBuffer ?? 10; // Extra rows rendered above and below the view
+		this.responsive = options.responsive || false; // 'cards' or 'collapse' below responsiveBreakpoint
+		this.responsiveBreakpoint = options.responsiveBreakpoint || 'md'; // Bootstrap breakpoint name or width in pixels
+		this.responsivePriority = options.responsivePriority ?? 1; // Collapse columns whose data-priority is higher
+		this.fragmentUrl = options.fragmentUrl || null; // URL returning <tr> rows for further pages
+		this.fragmentParams = { page: 'page', rowsPerPage: 'rowsPerPage', sort: 'sort', search: 'search', filters: 'filters', ...options.fragmentParams };
+		this.fragmentPageSize = options.fragmentPageSize || null; // Rows per fragment request, defaults to rowsPerPage
+		this.fragmentStartPage = options.fragmentStartPage ?? 1; // Page already rendered in the markup, 0 loads the first page on init
+		this.fragmentFetchOptions = options.fragmentFetchOptions || {};
+		this.fragmentReload = options.fragmentReload || false; // Reload from the first page when sort, search or filters change
+		this.lazyLoad = options.lazyLoad || false; // Load the next fragment when the last page or the end of the scroll is reached
+		this.loadMoreText = options.loadMoreText || 'Load more';
 
 		this.data = [];
 		this.filteredData = [];
 		this.currentPage = 1;
 		this.sortColumn = null;
 		this.sortOrder = 'asc';
+		this.sortList = []; // Ordered list of { column, order }, sortColumn/sortOrder mirror the first entry
 		this.filteredPages = 0;
 		this.columns = [];
 		this.hiddenColumns = new Set();
-		this.columnFilters = {};
+		this.headerCells = []; // Header th elements by column index, moved around when columns are reordered
+		this.columnOrder = []; // Column indexes in display order, pinned columns are moved to the edges
+		this.columnWidths = {}; // Column key => width in pixels
+		this.pinnedColumns = {}; // Column key => 'left' or 'right'
+		this.draggedColumn = null;
+		this.ignoreHeaderClick = false;
+		this.expandedRows = new Set(); // Ids of rows with an open detail row, kept across renders
+		this.detailContent = new Map(); // Row id => content resolved by an async detailRow
+		this.detailLoading = new Map(); // Row id => pending detailRow promise
+		this.filterModel = { logic: options.filterLogic || 'and', conditions: [] };
+		this.pageRows = [];
+		this.viewRows = [];
+		this.selectedRows = new Map(); // Row id => row data, kept across paging and filtering
+		this.selectionAnchor = null;
+		this.scrollContainer = null;
+		this.virtualWindow = { start: 0, end: 0 };
+		this.virtualFrame = null;
+		this.rowHeightMeasured = false;
+		this.responsiveQuery = null;
+		this.responsiveActive = false; // Viewport is below responsiveBreakpoint
+		this.responsiveHidden = new Set(); // Column indexes moved into the collapsed details area
+		this.responsiveExpanded = new Set(); // Ids of rows with an open collapsed details area
+		this.cardSortControl = null;
+		this.activeCell = { row: 0, column: 0 }; // Grid position of the cell with tabindex 0
+		this.restoreGridFocus = false;
+		this.liveRegion = null;
+		this.announcedCount = null;
+		this.fragmentPage = this.fragmentStartPage;
+		this.hasMoreFragments = Boolean(this.fragmentUrl);
+		this.fragmentLoading = false;
+		this.fragmentRequestId = 0;
+		this.searchValue = '';
+		this.restoringState = false;
+		this.savedState = null; // Serialized state of the last save
 
 		this.init();
 	}
@@ -28,11 +99,29 @@ class HtmlTable {
 	init() {
 		this.parseTableStructure();
 		this.parseTableData();
+		this.loadState();
 		this.setupRowsPerPageSelector();
 		this.setupColumnVisibilityToggle();
+		this.setupFilterLogicToggle();
+		this.setupExportButton();
+		this.setupSelectionColumn();
+		this.setupDetailColumn();
+		this.setupColumnResize();
+		this.setupColumnReorder();
+		this.setupVirtualScroll();
+		this.setupResponsive();
+		this.setupAccessibility();
+		this.setupLoadMoreButton();
 		this.renderFooter();
 		this.renderTable();
 		this.addGlobalSearchListener();
+
+		if (this.fragmentUrl && this.fragmentStartPage === 0) {
+			this.loadMore();
+		} else if (this.sortList.length || this.searchValue || this.filterModel.conditions.length) {
+			// The markup does not know about a restored sort or filter
+			this.reloadFragments();
+		}
 	}
 
 	parseTableStructure() {
@@ -51,12 +140,23 @@ class HtmlTable {
 				key: th.dataset.key || `col_${index}`,
 				title: th.textContent.trim(),
 				sortable: th.dataset.sortable !== 'false',
-				sortType: th.dataset.sortType || 'string', // string, number, date
+				sortType: th.dataset.sortType || 'string', // string, number, date, currency, natural or a sortTypes key
+				dateFormat: th.dataset.dateFormat || 'MDY', // Part order of numeric dates such as 03/04/2024
 				searchType: th.dataset.searchType || 'text', // text, number, date, select, false
-				visible: th.dataset.visible !== 'false'
+				visible: th.dataset.visible !== 'false',
+				priority: parseInt(th.dataset.priority, 10) || 0 // Higher numbers collapse first in responsive 'collapse' mode
 			};
 
 			this.columns.push(columnConfig);
+			this.headerCells.push(th);
+			this.columnOrder.push(index);
+
+			if (th.dataset.width) {
+				this.columnWidths[columnConfig.key] = parseInt(th.dataset.width, 10);
+			}
+			if (th.dataset.pinned === 'left' || th.dataset.pinned === 'right') {
+				this.pinnedColumns[columnConfig.key] = th.dataset.pinned;
+			}
 
 			// Add sortable functionality
 			if (columnConfig.sortable) {
@@ -75,7 +175,13 @@ class HtmlTable {
 				sortIcon.innerHTML = '<i class="bi bi-arrow-down-up"></i>';
 				th.appendChild(sortIcon);
 
-				th.addEventListener('click', () => this.toggleSort(columnConfig.key, index));
+				th.addEventListener('click', (e) => {
+					// Finishing a resize drag ends with a click on the header
+					if (this.ignoreHeaderClick || e.target.closest('.column-resize-handle')) {
+						return;
+					}
+					this.toggleSort(columnConfig.key, index, e.shiftKey);
+				});
 			}
 
 			// Initialize visibility
@@ -92,27 +198,11 @@ class HtmlTable {
 			return;
 		}
 
-		const rows = tbody.querySelectorAll('tr');
+		const rows = tbody.querySelectorAll('tr:not(.card-row):not(.responsive-details-row)');
 
 		rows.forEach((row, rowIndex) => {
-			const cells = row.querySelectorAll('td');
-			const rowData = {
-				_rowElement: row.cloneNode(true), // Store original HTML
-				_originalIndex: rowIndex,
-				_searchableText: [] // For global search
-			};
-
-			cells.forEach((cell, cellIndex) => {
-				if (cellIndex < this.columns.length) {
-					const column = this.columns[cellIndex];
-					const cellData = this.extractCellValue(cell);
-
-					rowData[column.key] = cellData;
-					rowData._searchableText.push(cellData.searchText);
-				}
-			});
-
-			this.data.push(rowData);
+			row.querySelectorAll('.responsive-toggle').forEach(button => button.remove());
+			this.data.push(this.createRowData(row, rowIndex));
 		});
 
 		this.filteredData = [...this.data];
@@ -120,6 +210,27 @@ class HtmlTable {
 		this.triggerEvent('load.yo.htmltable', { data: this.data });
 	}
 
+	createRowData(rowElement, rowIndex) {
+		const cells = rowElement.querySelectorAll('td:not(.select-cell):not(.detail-cell)');
+		const rowData = {
+			_rowElement: rowElement.cloneNode(true), // Store original HTML
+			_originalIndex: rowIndex,
+			_searchableText: [] // For global search
+		};
+
+		cells.forEach((cell, cellIndex) => {
+			if (cellIndex < this.columns.length) {
+				const column = this.columns[cellIndex];
+				const cellData = this.extractCellValue(cell);
+
+				rowData[column.key] = cellData;
+				rowData._searchableText.push(cellData.searchText);
+			}
+		});
+
+		return rowData;
+	}
+
 	extractCellValue(cell) {
 		let value = '';
 		let searchText = '';
@@ -167,20 +278,25 @@ class HtmlTable {
 		const event = new CustomEvent(eventName, {
 			detail,
 			bubbles: true,
-			cancelable: eventName.split('.')[0].match(/^(sort|filter|pagechange|rowsperpage|columnvisibility)$/) !== null
+			cancelable: eventName.split('.')[0].match(/^(sort|filter|pagechange|rowsperpage|columnvisibility|columnreorder|columnresize|columnpin|export|stateload|select|expand|collapse|fragmentload)$/) !== null
 		});
 		this.container.dispatchEvent(event);
 		return event;
 	}
 
 	updateFoundEntries() {
+		const totalEntries = this.data.length;
+		const filteredEntries = this.filteredData.length;
+
+		if (filteredEntries !== this.announcedCount && this.liveRegion) {
+			this.announcedCount = filteredEntries;
+			this.announce(this.resultsAnnouncement.replace('XX', filteredEntries));
+		}
+
 		if (!this.foundEntriesContainer) {
 			return;
 		}
 
-		const totalEntries = this.data.length;
-		const filteredEntries = this.filteredData.length;
-
 		let text = '';
 
 		if (filteredEntries === totalEntries) {
@@ -269,12 +385,40 @@ class HtmlTable {
 			label.appendChild(checkbox);
 			label.appendChild(document.createTextNode(column.title));
 			li.appendChild(label);
+
+			if (this.columnPinning) {
+				label.classList.add('d-flex', 'align-items-center');
+				const pins = document.createElement('span');
+				pins.className = 'btn-group btn-group-sm ms-auto ps-3';
+				[['left', 'bi-align-start', 'Pin left'], ['right', 'bi-align-end', 'Pin right']].forEach(([side, icon, title]) => {
+					const pin = document.createElement('button');
+					pin.type = 'button';
+					pin.className = 'btn btn-outline-secondary';
+					pin.title = title;
+					pin.dataset.pinKey = column.key;
+					pin.dataset.pinSide = side;
+					pin.innerHTML = `<i class="bi ${icon}"></i>`;
+					pin.addEventListener('click', (e) => {
+						e.preventDefault();
+						this.pinColumn(column.key, this.pinnedColumns[column.key] === side ? null : side);
+					});
+					pins.appendChild(pin);
+				});
+				label.appendChild(pins);
+			}
+
 			menu.appendChild(li);
 		});
 
+		// Keep the menu open while pinning columns
+		if (this.columnPinning) {
+			button.dataset.bsAutoClose = 'outside';
+		}
+
 		dropdown.appendChild(button);
 		dropdown.appendChild(menu);
 		this.columnVisibilityToggle.appendChild(dropdown);
+		this.updatePinButtons();
 	}
 
 	toggleColumnVisibility(columnIndex) {
@@ -301,6 +445,345 @@ class HtmlTable {
 		});
 	}
 
+	getDisplayOrder() {
+		const side = (index) => this.pinnedColumns[this.columns[index].key];
+		return [
+			...this.columnOrder.filter(index => side(index) === 'left'),
+			...this.columnOrder.filter(index => !side(index)),
+			...this.columnOrder.filter(index => side(index) === 'right')
+		];
+	}
+
+	resolveColumnOrder(keys) {
+		// Unknown keys are ignored and columns missing from the list keep their relative order at the end
+		const order = keys
+			.map(key => this.columns.findIndex(column => column.key === key))
+			.filter((index, position, list) => index !== -1 && list.indexOf(index) === position);
+		return [...order, ...this.columnOrder.filter(index => !order.includes(index))];
+	}
+
+	getColumnOrder() {
+		return this.getDisplayOrder().map(index => this.columns[index].key);
+	}
+
+	setColumnOrder(keys) {
+		const oldOrder = this.columnOrder.map(index => this.columns[index].key);
+		const newOrder = this.resolveColumnOrder(keys);
+
+		const event = this.triggerEvent('columnreorder.yo.htmltable', {
+			oldOrder,
+			order: newOrder.map(index => this.columns[index].key)
+		});
+
+		if (event.defaultPrevented) {
+			return;
+		}
+
+		this.columnOrder = newOrder;
+		this.renderTable();
+
+		this.triggerEvent('columnreordered.yo.htmltable', {
+			oldOrder,
+			order: this.columnOrder.map(index => this.columns[index].key)
+		});
+	}
+
+	moveColumn(key, targetKey, after = false) {
+		const keys = this.columnOrder.map(index => this.columns[index].key).filter(item => item !== key);
+		const target = keys.indexOf(targetKey);
+
+		if (key === targetKey || target === -1) {
+			return;
+		}
+
+		keys.splice(after ? target + 1 : target, 0, key);
+		this.setColumnOrder(keys);
+	}
+
+	setupColumnReorder() {
+		if (!this.columnReorder) {
+			return;
+		}
+
+		const dropMarker = (th, after) => {
+			th.style.boxShadow = after === null ? '' : `inset ${after ? -3 : 3}px 0 0 var(--bs-primary)`;
+		};
+		const isAfter = (th, e) => {
+			const rect = th.getBoundingClientRect();
+			return e.clientX > rect.left + rect.width / 2;
+		};
+
+		this.headerCells.forEach((th, index) => {
+			th.draggable = true;
+
+			th.addEventListener('dragstart', (e) => {
+				this.draggedColumn = index;
+				e.dataTransfer.effectAllowed = 'move';
+				e.dataTransfer.setData('text/plain', this.columns[index].key);
+				th.classList.add('column-dragging');
+			});
+
+			th.addEventListener('dragend', () => {
+				this.draggedColumn = null;
+				th.classList.remove('column-dragging');
+				this.headerCells.forEach(cell => dropMarker(cell, null));
+			});
+
+			th.addEventListener('dragover', (e) => {
+				if (this.draggedColumn === null || this.draggedColumn === index) {
+					return;
+				}
+				e.preventDefault();
+				e.dataTransfer.dropEffect = 'move';
+				dropMarker(th, isAfter(th, e));
+			});
+
+			th.addEventListener('dragleave', () => dropMarker(th, null));
+
+			th.addEventListener('drop', (e) => {
+				if (this.draggedColumn === null) {
+					return;
+				}
+				e.preventDefault();
+				dropMarker(th, null);
+				this.moveColumn(this.columns[this.draggedColumn].key, this.columns[index].key, isAfter(th, e));
+			});
+		});
+	}
+
+	setupColumnResize() {
+		if (!this.columnResize) {
+			return;
+		}
+
+		this.headerCells.forEach((th, index) => {
+			const handle = document.createElement('span');
+			handle.className = 'column-resize-handle';
+			handle.setAttribute('aria-hidden', 'true');
+			Object.assign(handle.style, {
+				position: 'absolute',
+				top: '0',
+				right: '0',
+				width: '6px',
+				height: '100%',
+				cursor: 'col-resize',
+				userSelect: 'none',
+				touchAction: 'none'
+			});
+			handle.addEventListener('pointerdown', (e) => this.startColumnResize(e, index));
+			handle.addEventListener('dblclick', (e) => {
+				e.stopPropagation();
+				this.setColumnWidth(this.columns[index].key, null);
+			});
+
+			th.style.position = 'relative';
+			th.appendChild(handle);
+		});
+	}
+
+	startColumnResize(e, index) {
+		e.preventDefault();
+		e.stopPropagation();
+
+		const th = this.headerCells[index];
+		const key = this.columns[index].key;
+		const startX = e.clientX;
+		const startWidth = th.offsetWidth;
+		let width = startWidth;
+
+		// A draggable header would start a reorder drag instead
+		th.draggable = false;
+
+		const move = (moveEvent) => {
+			width = Math.max(this.minColumnWidth, Math.round(startWidth + moveEvent.clientX - startX));
+			this.applyColumnWidth(th, width);
+			this.applyPinnedColumns();
+		};
+
+		const stop = () => {
+			document.removeEventListener('pointermove', move);
+			document.removeEventListener('pointerup', stop);
+			th.draggable = this.columnReorder;
+			this.ignoreHeaderClick = true;
+			setTimeout(() => { this.ignoreHeaderClick = false; });
+
+			if (width === startWidth) {
+				this.applyColumnWidth(th, this.columnWidths[key]);
+				return;
+			}
+			this.setColumnWidth(key, width);
+		};
+
+		document.addEventListener('pointermove', move);
+		document.addEventListener('pointerup', stop);
+	}
+
+	applyColumnWidth(th, width) {
+		const value = width ? `${width}px` : '';
+		th.style.width = value;
+		th.style.minWidth = value;
+		th.style.maxWidth = value;
+	}
+
+	getColumnWidths() {
+		return { ...this.columnWidths };
+	}
+
+	setColumnWidth(key, width) {
+		const index = this.columns.findIndex(column => column.key === key);
+		if (index === -1) {
+			return;
+		}
+
+		const oldWidth = this.columnWidths[key] ?? null;
+		const newWidth = width ? Math.max(this.minColumnWidth, Math.round(width)) : null;
+
+		const event = this.triggerEvent('columnresize.yo.htmltable', {
+			key,
+			oldWidth,
+			width: newWidth
+		});
+
+		if (event.defaultPrevented) {
+			this.applyColumnWidth(this.headerCells[index], oldWidth);
+			this.applyPinnedColumns();
+			return;
+		}
+
+		if (newWidth) {
+			this.columnWidths[key] = newWidth;
+		} else {
+			delete this.columnWidths[key];
+		}
+
+		this.applyColumnWidth(this.headerCells[index], newWidth);
+		this.applyPinnedColumns();
+		this.saveState();
+
+		this.triggerEvent('columnresized.yo.htmltable', {
+			key,
+			oldWidth,
+			width: newWidth
+		});
+	}
+
+	getPinnedColumns() {
+		return { ...this.pinnedColumns };
+	}
+
+	pinColumn(key, side = 'left') {
+		if (!this.columns.some(column => column.key === key)) {
+			return;
+		}
+
+		const oldSide = this.pinnedColumns[key] || null;
+		const newSide = side === 'left' || side === 'right' ? side : null;
+
+		if (oldSide === newSide) {
+			return;
+		}
+
+		const event = this.triggerEvent('columnpin.yo.htmltable', {
+			key,
+			oldSide,
+			side: newSide
+		});
+
+		if (event.defaultPrevented) {
+			return;
+		}
+
+		if (newSide) {
+			this.pinnedColumns[key] = newSide;
+		} else {
+			delete this.pinnedColumns[key];
+		}
+
+		this.updatePinButtons();
+		this.renderTable();
+
+		this.triggerEvent('columnpinned.yo.htmltable', {
+			key,
+			oldSide,
+			side: newSide
+		});
+	}
+
+	unpinColumn(key) {
+		this.pinColumn(key, null);
+	}
+
+	updatePinButtons() {
+		if (!this.columnVisibilityToggle) {
+			return;
+		}
+
+		this.columnVisibilityToggle.querySelectorAll('[data-pin-key]').forEach(button => {
+			const active = this.pinnedColumns[button.dataset.pinKey] === button.dataset.pinSide;
+			button.classList.toggle('btn-secondary', active);
+			button.classList.toggle('btn-outline-secondary', !active);
+			button.setAttribute('aria-pressed', String(active));
+		});
+	}
+
+	applyPinnedColumns() {
+		const displayOrder = this.getDisplayOrder();
+		const pinned = displayOrder.filter(index => this.pinnedColumns[this.columns[index].key] && !this.isColumnHidden(index));
+		const hasLeft = pinned.some(index => this.pinnedColumns[this.columns[index].key] === 'left');
+
+		if (pinned.length === 0 && !this.container.querySelector('.pinned-column')) {
+			return;
+		}
+
+		// Offsets are measured from the header cells, the selection and detail columns stick with left pinned columns
+		const offsets = new Map();
+		const leadingOffsets = {};
+		let left = 0;
+		let right = 0;
+
+		if (hasLeft) {
+			this.container.querySelectorAll('thead .select-cell, thead .detail-cell').forEach(th => {
+				leadingOffsets[th.classList.contains('select-cell') ? 'select-cell' : 'detail-cell'] = left;
+				left += th.offsetWidth;
+			});
+		}
+
+		pinned.filter(index => this.pinnedColumns[this.columns[index].key] === 'left').forEach(index => {
+			offsets.set(index, { side: 'left', offset: left });
+			left += this.headerCells[index].offsetWidth;
+		});
+		pinned.filter(index => this.pinnedColumns[this.columns[index].key] === 'right').reverse().forEach(index => {
+			offsets.set(index, { side: 'right', offset: right });
+			right += this.headerCells[index].offsetWidth;
+		});
+
+		const pin = (cell, pinning, isHeader) => {
+			cell.classList.toggle('pinned-column', pinning !== null);
+			cell.style.position = pinning ? 'sticky' : (isHeader && this.columnResize ? 'relative' : '');
+			cell.style.left = pinning && pinning.side === 'left' ? `${pinning.offset}px` : '';
+			cell.style.right = pinning && pinning.side === 'right' ? `${pinning.offset}px` : '';
+			cell.style.zIndex = pinning ? '1' : '';
+			cell.style.backgroundColor = pinning ? 'var(--bs-body-bg)' : '';
+		};
+
+		const isLeading = (cell) => cell.classList.contains('select-cell') || cell.classList.contains('detail-cell');
+
+		this.container.querySelectorAll('thead tr, tbody tr:not(.virtual-spacer):not(.detail-row):not(.responsive-details-row):not(.card-row), tfoot tr').forEach(tr => {
+			const isHeader = tr.parentNode.tagName === 'THEAD';
+			const cells = [...tr.children];
+
+			cells.filter(isLeading).forEach(cell => {
+				const offset = leadingOffsets[cell.classList.contains('select-cell') ? 'select-cell' : 'detail-cell'];
+				pin(cell, hasLeft ? { side: 'left', offset: offset ?? 0 } : null, false);
+			});
+
+			cells.filter(cell => !isLeading(cell)).forEach((cell, position) => {
+				const index = displayOrder[position];
+				pin(cell, offsets.has(index) ? offsets.get(index) : null, isHeader);
+			});
+		});
+	}
+
 	renderTable(which = 'all') {
 		const event = this.triggerEvent('render.yo.htmltable', { which });
 
@@ -324,17 +807,26 @@ class HtmlTable {
 	renderHeader() {
 		const thead = this.container.querySelector('thead');
 		const headerRow = thead.querySelector('tr');
-		const headers = headerRow.querySelectorAll('th');
 
-		headers.forEach((th, index) => {
-			if (this.hiddenColumns.has(index)) {
+		// Appending moves the existing header cells (and their listeners) into display order
+		this.getDisplayOrder().forEach(index => {
+			const th = this.headerCells[index];
+
+			if (this.isColumnHidden(index)) {
 				th.style.display = 'none';
 			} else {
 				th.style.display = '';
 			}
+
+			this.applyColumnWidth(th, this.columnWidths[this.columns[index].key]);
+			headerRow.appendChild(th);
 		});
 
+		// Cards bring their own labels, the sort select replaces the header
+		thead.style.display = this.isCardLayout() ? 'none' : '';
+
 		this.updateSortIcons();
+		this.applyGridSemantics();
 	}
 
 	renderFooter() {
@@ -348,114 +840,96 @@ class HtmlTable {
 
 		// Clear existing footer
 		tfoot.innerHTML = '<tr></tr>';
+		tfoot.style.display = this.isCardLayout() ? 'none' : '';
 		const footerRow = tfoot.querySelector('tr');
 
-		this.columns.forEach((column, index) => {
+		if (this.hasDetailRows()) {
+			footerRow.insertAdjacentHTML('afterbegin', '<td class="detail-cell"></td>');
+		}
+
+		if (this.isSelectable()) {
+			footerRow.insertAdjacentHTML('afterbegin', '<td class="select-cell"></td>');
+		}
+
+		this.getDisplayOrder().forEach(index => {
+			const column = this.columns[index];
 			const td = document.createElement('td');
 
-			if (this.hiddenColumns.has(index)) {
+			if (this.isColumnHidden(index)) {
 				td.style.display = 'none';
 			}
 
-			if (column.searchType === 'select') {
-				const select = document.createElement('select');
-				select.className = 'form-control form-control-sm';
-				select.innerHTML = `<option value="">All ${column.title}</option>`;
-
-				// Get unique values from data
-				const uniqueValues = new Set();
-				this.data.forEach(row => {
-					const cellData = row[column.key];
-					if (cellData && cellData.searchText) {
-						uniqueValues.add(cellData.searchText);
-					}
-				});
-
-				Array.from(uniqueValues).sort().forEach(value => {
-					const option = document.createElement('option');
-					option.textContent = value;
-					option.value = value;
-					select.appendChild(option);
-				});
-
-				select.addEventListener('change', (e) => this.filterColumn(column.key, e.target.value, 'select'));
-				td.appendChild(select);
-			} else if (column.searchType === 'number') {
-				const input = document.createElement('input');
-				input.type = 'number';
-				input.className = 'form-control form-control-sm';
-				input.placeholder = `Search ${column.title}`;
-				input.addEventListener('input', (e) => this.filterColumn(column.key, e.target.value, 'number'));
-				td.appendChild(input);
-			} else if (column.searchType === 'date') {
-				const input = document.createElement('input');
-				input.type = 'date';
-				input.className = 'form-control form-control-sm';
-				input.addEventListener('change', (e) => this.filterColumn(column.key, e.target.value, 'date'));
-				td.appendChild(input);
-			} else if (column.searchType === 'text') {
-				const input = document.createElement('input');
-				input.type = 'text';
-				input.className = 'form-control form-control-sm';
-				input.placeholder = `Search ${column.title}`;
-				input.addEventListener('input', (e) => this.filterColumn(column.key, e.target.value, 'text'));
-				td.appendChild(input);
-			} else if (column.searchType === 'false' || column.searchType === false) {
-				// No search input for this column
+			if (column.searchType !== 'false' && column.searchType !== false) {
+				td.appendChild(this.renderFilterControl(column));
 			}
 
 			footerRow.appendChild(td);
 		});
+
+		this.applyPinnedColumns();
+		this.applyGridSemantics();
 	}
 
-	renderRows() {
+	renderRows(options = {}) {
 		const tbody = this.container.querySelector('tbody');
 		tbody.innerHTML = '';
-		const start = (this.currentPage - 1) * this.rowsPerPage;
-		const end = start + this.rowsPerPage;
+		let start = (this.currentPage - 1) * this.rowsPerPage;
+		let end = start + this.rowsPerPage;
 
 		let rows = [...this.filteredData];
 
 		// Sorting
-		if (this.sortColumn !== null) {
-			const columnIndex = this.columns.findIndex(col => col.key === this.sortColumn);
-			const column = this.columns[columnIndex];
-
-			rows.sort((a, b) => {
-				let aVal = a[this.sortColumn]?.sortValue || '';
-				let bVal = b[this.sortColumn]?.sortValue || '';
-
-				// Type-specific sorting
-				if (column.sortType === 'number') {
-					aVal = parseFloat(aVal) || 0;
-					bVal = parseFloat(bVal) || 0;
-				} else if (column.sortType === 'date') {
-					aVal = new Date(aVal).getTime() || 0;
-					bVal = new Date(bVal).getTime() || 0;
-				}
-
-				if (this.sortOrder === 'asc') {
-					return aVal > bVal ? 1 : aVal < bVal ? -1 : 0;
-				} else {
-					return aVal < bVal ? 1 : aVal > bVal ? -1 : 0;
-				}
-			});
+		if (this.sortList.length) {
+			this.sortRows(rows);
 		}
 
 		// Paging
 		const totalPages = Math.ceil(rows.length / this.rowsPerPage);
 		this.filteredPages = totalPages;
 
-		rows.slice(start, end).forEach((rowData, index) => {
-			const tr = rowData._rowElement.cloneNode(true);
-			const cells = tr.querySelectorAll('td');
+		// Virtual scrolling replaces pages with the window of rows in view
+		if (this.scrollContainer) {
+			({ start, end } = this.getVirtualWindow(rows.length));
+			this.virtualWindow = { start, end };
+			this.filteredPages = 1;
+			tbody.appendChild(this.createVirtualSpacer(start));
+		}
+
+		this.viewRows = rows;
+		this.pageRows = rows.slice(start, end);
+
+		const displayOrder = this.getDisplayOrder();
+		const reordered = displayOrder.some((index, position) => index !== position);
+
+		const cardLayout = this.isCardLayout();
+		const hasCollapsed = [...this.responsiveHidden].some(index => !this.hiddenColumns.has(index));
+		const toggleIndex = hasCollapsed ? displayOrder.find(index => !this.isColumnHidden(index)) : undefined;
+
+		this.pageRows.forEach((rowData, index) => {
+			const tr = cardLayout ? this.renderCardRow(rowData) : rowData._rowElement.cloneNode(true);
+			tr.dataset.rowIndex = index;
+			let toggleCell = null;
+
+			if (!cardLayout) {
+				const cells = tr.querySelectorAll('td');
+				toggleCell = toggleIndex !== undefined ? cells[toggleIndex] : null;
+
+				// Hide columns
+				cells.forEach((cell, cellIndex) => {
+					if (this.isColumnHidden(cellIndex)) {
+						cell.style.display = 'none';
+					}
+				});
 
-			// Hide columns
-			cells.forEach((cell, cellIndex) => {
-				if (this.hiddenColumns.has(cellIndex)) {
-					cell.style.display = 'none';
+				// Move the cells into display order
+				if (reordered) {
+					displayOrder.forEach(cellIndex => {
+						if (cells[cellIndex]) {
+							tr.appendChild(cells[cellIndex]);
+						}
+					});
 				}
-			});
+			}
 
 			// Trigger row render event
 			this.triggerEvent('rowrender.yo.htmltable', {
@@ -464,11 +938,29 @@ class HtmlTable {
 				element: tr
 			});
 
-			// Preserve event listeners by re-attaching them
-			this.preserveEventListeners(tr, rowData._rowElement);
+			if (!cardLayout) {
+				// Preserve event listeners by re-attaching them
+				this.preserveEventListeners(tr, rowData._rowElement);
+
+				// The first visible cell toggles the collapsed columns
+				if (toggleCell) {
+					toggleCell.insertBefore(this.renderResponsiveToggle(rowData), toggleCell.firstChild);
+				}
+
+				if (this.hasDetailRows()) {
+					tr.insertBefore(this.renderDetailToggleCell(rowData), tr.firstChild);
+				}
+
+				if (this.isSelectable()) {
+					tr.insertBefore(this.renderSelectCell(rowData), tr.firstChild);
+				}
+			}
 
 			// Add click event listener to row
 			tr.addEventListener('click', (e) => {
+				if (e.target.closest('.select-cell, .detail-cell')) {
+					return;
+				}
 				this.triggerEvent('rowclick.yo.htmltable', {
 					row: rowData,
 					rowIndex: index,
@@ -478,7 +970,40 @@ class HtmlTable {
 			});
 
 			tbody.appendChild(tr);
+
+			if (toggleIndex !== undefined && this.responsiveExpanded.has(this.getRowId(rowData))) {
+				tbody.appendChild(this.renderResponsiveDetailsRow(rowData));
+			}
+
+			if (this.hasDetailRows() && this.expandedRows.has(this.getRowId(rowData))) {
+				tbody.appendChild(this.renderDetailRow(rowData));
+			}
 		});
+
+		if (this.scrollContainer) {
+			tbody.appendChild(this.createVirtualSpacer(rows.length - end));
+			if (this.measureVirtualRowHeight(tbody)) {
+				this.renderRows(options);
+				return;
+			}
+		}
+
+		this.applyPinnedColumns();
+		this.updateSelectionUI();
+		this.applyGridSemantics();
+
+		// Scrolling the virtual window does not change the state
+		if (!options.virtual) {
+			this.saveState();
+		}
+
+		// Lazy loading fetches the next fragment as soon as the last rows are in view
+		if (this.lazyLoad && this.hasMoreFragments && !this.fragmentLoading) {
+			const atEnd = this.scrollContainer ? end >= rows.length : this.currentPage >= totalPages;
+			if (atEnd) {
+				this.loadMore();
+			}
+		}
 	}
 
 	preserveEventListeners(newRow, originalRow) {
@@ -504,6 +1029,9 @@ class HtmlTable {
 
 	renderPagination() {
 		this.paginationContainer.innerHTML = '';
+		if (this.scrollContainer) {
+			return;
+		}
 		const totalPages = this.filteredPages;
 		const currentPage = this.currentPage;
 		const maxVisiblePages = 6;
@@ -553,33 +1081,42 @@ class HtmlTable {
 		a.className = 'page-link';
 		a.textContent = pageNumber;
 		a.href = '#';
+		a.setAttribute('aria-label', `Page ${pageNumber}`);
+		if (pageNumber === currentPage) {
+			a.setAttribute('aria-current', 'page');
+		}
 		a.addEventListener('click', (e) => {
 			e.preventDefault();
-
-			const event = this.triggerEvent('pagechange.yo.htmltable', {
-				oldPage: this.currentPage,
-				newPage: pageNumber
-			});
-
-			if (event.defaultPrevented) {
-				return;
-			}
-
-			this.currentPage = pageNumber;
-			this.renderRows();
-			this.renderPagination();
-
-			this.triggerEvent('pagechanged.yo.htmltable', {
-				oldPage: currentPage,
-				newPage: pageNumber
-			});
+			this.goToPage(pageNumber);
 		});
 
 		li.appendChild(a);
 		this.paginationContainer.appendChild(li);
 	}
 
-	renderPaginationGap() {
+	goToPage(pageNumber) {
+		const oldPage = this.currentPage;
+		const event = this.triggerEvent('pagechange.yo.htmltable', {
+			oldPage,
+			newPage: pageNumber
+		});
+
+		if (event.defaultPrevented) {
+			return;
+		}
+
+		this.currentPage = pageNumber;
+		this.renderRows();
+		this.renderPagination();
+		this.announce(this.pageAnnouncement.replace('XX', pageNumber).replace('XX', this.filteredPages));
+
+		this.triggerEvent('pagechanged.yo.htmltable', {
+			oldPage,
+			newPage: pageNumber
+		});
+	}
+
+	renderPaginationGap() {
 		const li = document.createElement('li');
 		li.className = 'page-item disabled';
 		const span = document.createElement('span');
@@ -606,23 +1143,13 @@ class HtmlTable {
 			return;
 		}
 
-		const lowerValue = value.toLowerCase();
-
-		// Reset column filters when doing global search
-		if (value) {
-			this.filteredData = this.data.filter((row) => {
-				return row._searchableText.some(text =>
-					String(text).toLowerCase().includes(lowerValue)
-				);
-			});
-		} else {
-			// If no global search, reapply column filters
-			this.applyColumnFilters();
-		}
+		this.searchValue = value;
+		this.applyFilters();
 
 		this.currentPage = 1;
 		this.updateFoundEntries();
 		this.renderTable('rows');
+		this.reloadFragments();
 
 		this.triggerEvent('filtered.yo.htmltable', {
 			filterType: 'global',
@@ -632,11 +1159,22 @@ class HtmlTable {
 	}
 
 	filterColumn(key, value, type) {
+		// Map the classic footer search types onto filter operators, numbers keep their substring search
+		const operators = { select: 'equals', number: 'contains', date: 'equals', text: 'contains' };
+		this.setColumnFilter(key, { operator: operators[type] || 'contains', value }, type);
+	}
+
+	setColumnFilter(key, condition, type) {
+		const column = this.columns.find(col => col.key === key);
+		const searchType = type || column?.searchType;
+		const active = condition && !this.isEmptyCondition(condition);
+
 		const event = this.triggerEvent('filter.yo.htmltable', {
 			filterType: 'column',
 			column: key,
-			value,
-			searchType: type,
+			value: condition?.value ?? '',
+			operator: condition?.operator,
+			searchType,
 			oldData: this.filteredData
 		});
 
@@ -644,144 +1182,2043 @@ class HtmlTable {
 			return;
 		}
 
-		// Store column filter
-		if (value === '') {
-			delete this.columnFilters[key];
-		} else {
-			this.columnFilters[key] = { value, type };
+		// Store column filter, one top-level condition per column
+		const conditions = this.filterModel.conditions.filter(item => item.column !== key);
+		if (active) {
+			conditions.push({
+				column: key,
+				operator: condition.operator,
+				value: condition.value,
+				valueTo: condition.valueTo
+			});
 		}
+		this.filterModel.conditions = conditions;
 
 		// Clear global search when using column filters
 		if (this.globalSearchInput) {
 			this.globalSearchInput.value = '';
 		}
+		this.searchValue = '';
 
 		this.applyColumnFilters();
 		this.currentPage = 1;
 		this.updateFoundEntries();
 		this.renderTable('rows');
+		this.reloadFragments();
 
 		this.triggerEvent('filtered.yo.htmltable', {
 			filterType: 'column',
 			column: key,
-			value,
+			value: condition?.value ?? '',
+			operator: condition?.operator,
+			resultCount: this.filteredData.length
+		});
+	}
+
+	getFilterModel() {
+		return JSON.parse(JSON.stringify(this.filterModel));
+	}
+
+	setFilterModel(model) {
+		const event = this.triggerEvent('filter.yo.htmltable', {
+			filterType: 'model',
+			value: model,
+			oldData: this.filteredData
+		});
+
+		if (event.defaultPrevented) {
+			return;
+		}
+
+		this.filterModel = {
+			logic: model?.logic === 'or' ? 'or' : 'and',
+			conditions: [...(model?.conditions || [])]
+		};
+
+		if (this.globalSearchInput) {
+			this.globalSearchInput.value = '';
+		}
+		this.searchValue = '';
+
+		this.applyColumnFilters();
+		this.currentPage = 1;
+		this.updateFoundEntries();
+		this.renderTable();
+		this.updateFilterLogicToggle();
+		this.reloadFragments();
+
+		this.triggerEvent('filtered.yo.htmltable', {
+			filterType: 'model',
+			value: this.getFilterModel(),
 			resultCount: this.filteredData.length
 		});
 	}
 
+	setFilterLogic(logic) {
+		this.setFilterModel({ ...this.filterModel, logic });
+	}
+
+	clearFilters() {
+		this.setFilterModel({ logic: this.filterModel.logic, conditions: [] });
+	}
+
+	applyFilters() {
+		// Global search and column filters are exclusive, a search replaces the filter model
+		if (!this.searchValue) {
+			this.applyColumnFilters();
+			return;
+		}
+
+		const lowerValue = this.searchValue.toLowerCase();
+		this.filteredData = this.data.filter((row) => row._searchableText.some(text =>
+			String(text).toLowerCase().includes(lowerValue)
+		));
+	}
+
 	applyColumnFilters() {
-		if (Object.keys(this.columnFilters).length === 0) {
+		if (this.filterModel.conditions.length === 0) {
 			this.filteredData = [...this.data];
 			return;
 		}
 
-		this.filteredData = this.data.filter(row => {
-			return Object.entries(this.columnFilters).every(([key, filter]) => {
-				const cellData = row[key];
-				if (!cellData) return false;
+		const matches = this.compileFilterGroup(this.filterModel);
+		this.filteredData = this.data.filter(row => matches(row));
+	}
+
+	compileFilterGroup(group) {
+		// Conditions may be nested groups of { logic, conditions }
+		const predicates = (group.conditions || [])
+			.filter(condition => condition.conditions || !this.isEmptyCondition(condition))
+			.map(condition => condition.conditions
+				? this.compileFilterGroup(condition)
+				: this.compileFilterCondition(condition));
+
+		if (predicates.length === 0) {
+			return () => true;
+		}
+
+		return group.logic === 'or'
+			? (row) => predicates.some(predicate => predicate(row))
+			: (row) => predicates.every(predicate => predicate(row));
+	}
+
+	compileFilterCondition(condition) {
+		const column = this.columns.find(col => col.key === condition.column);
+		if (!column) {
+			return () => false;
+		}
+
+		const valueType = this.getFilterValueType(column);
+		const key = column.key;
+		const text = (row) => String(row[key]?.searchText ?? '').toLowerCase();
+		const comparable = (row) => this.toFilterComparable(row[key]?.sortValue ?? '', valueType, column);
+		const search = String(condition.value ?? '').toLowerCase();
+		const target = this.toFilterComparable(condition.value, valueType, column);
+		const targetTo = this.toFilterComparable(condition.valueTo, valueType, column);
+		const isText = valueType === 'text';
+
+		switch (condition.operator) {
+			case 'equals':
+				return isText ? (row) => text(row) === search : (row) => comparable(row) === target;
+			case 'not-equals':
+				return isText ? (row) => text(row) !== search : (row) => comparable(row) !== target;
+			case 'starts-with':
+				return (row) => text(row).startsWith(search);
+			case 'ends-with':
+				return (row) => text(row).endsWith(search);
+			case 'regex': {
+				let regex;
+				try {
+					regex = new RegExp(condition.value, 'i');
+				} catch (error) {
+					// An unfinished pattern matches nothing instead of throwing while typing
+					return () => false;
+				}
+				return (row) => regex.test(String(row[key]?.searchText ?? ''));
+			}
+			case 'gt':
+				return (row) => comparable(row) > target;
+			case 'gte':
+				return (row) => comparable(row) >= target;
+			case 'lt':
+				return (row) => comparable(row) < target;
+			case 'lte':
+				return (row) => comparable(row) <= target;
+			case 'between': {
+				const hasFrom = !this.isBlank(condition.value);
+				const hasTo = !this.isBlank(condition.valueTo);
+				return (row) => {
+					const value = comparable(row);
+					return (!hasFrom || value >= target) && (!hasTo || value <= targetTo);
+				};
+			}
+			case 'in': {
+				const values = (Array.isArray(condition.value) ? condition.value : String(condition.value).split(','))
+					.map(value => String(value).trim().toLowerCase());
+				return (row) => values.includes(text(row));
+			}
+			case 'empty':
+				return (row) => text(row).trim() === '';
+			case 'not-empty':
+				return (row) => text(row).trim() !== '';
+			case 'contains':
+			default:
+				return (row) => text(row).includes(search);
+		}
+	}
+
+	getFilterValueType(column) {
+		if (column.searchType === 'number' || column.sortType === 'number' || column.sortType === 'currency') {
+			return 'number';
+		}
+		if (column.searchType === 'date' || column.sortType === 'date') {
+			return 'date';
+		}
+		return 'text';
+	}
+
+	toFilterComparable(value, valueType, column) {
+		if (valueType === 'number') {
+			return this.parseCurrency(value ?? '');
+		}
+		if (valueType === 'date') {
+			return this.parseDate(value ?? '', column.dateFormat);
+		}
+		return String(value ?? '').toLowerCase();
+	}
+
+	isBlank(value) {
+		return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+	}
+
+	isEmptyCondition(condition) {
+		if (condition.operator === 'empty' || condition.operator === 'not-empty') {
+			return false;
+		}
+		if (condition.operator === 'between') {
+			return this.isBlank(condition.value) && this.isBlank(condition.valueTo);
+		}
+		return this.isBlank(condition.value);
+	}
 
-				const searchValue = filter.value.toLowerCase();
-				const cellText = String(cellData.searchText).toLowerCase();
+	getFilterOperators(column) {
+		if (column.searchType === 'select') {
+			return ['equals', 'not-equals', 'in', 'empty', 'not-empty'];
+		}
+		const valueType = this.getFilterValueType(column);
+		if (valueType === 'number') {
+			// "12" still finds "120" until a numeric operator is picked
+			return ['contains', 'equals', 'not-equals', 'gt', 'gte', 'lt', 'lte', 'between', 'empty', 'not-empty'];
+		}
+		if (valueType === 'date') {
+			return ['equals', 'not-equals', 'gt', 'gte', 'lt', 'lte', 'between', 'empty', 'not-empty'];
+		}
+		return ['contains', 'equals', 'not-equals', 'starts-with', 'ends-with', 'regex', 'empty', 'not-empty'];
+	}
 
-				switch (filter.type) {
-					case 'select':
-						return cellText === searchValue;
-					case 'number':
-						return cellText.includes(searchValue);
-					case 'date':
-						return cellData.sortValue === filter.value;
-					case 'text':
-					default:
-						return cellText.includes(searchValue);
+	renderFilterControl(column) {
+		const labels = {
+			'contains': ['∋', 'Contains'],
+			'equals': ['=', 'Equals'],
+			'not-equals': ['≠', 'Does not equal'],
+			'starts-with': ['a…', 'Starts with'],
+			'ends-with': ['…z', 'Ends with'],
+			'regex': ['.*', 'Regular expression'],
+			'gt': ['>', 'Greater than'],
+			'gte': ['≥', 'Greater than or equal'],
+			'lt': ['<', 'Less than'],
+			'lte': ['≤', 'Less than or equal'],
+			'between': ['↔', 'Between'],
+			'in': ['∈', 'Any of'],
+			'empty': ['∅', 'Is empty'],
+			'not-empty': ['!∅', 'Is not empty']
+		};
+		const condition = this.filterModel.conditions.find(item => item.column === column.key);
+		const operators = this.getFilterOperators(column);
+		const valueType = this.getFilterValueType(column);
+
+		const group = document.createElement('div');
+		group.className = 'input-group input-group-sm flex-nowrap';
+
+		const operatorSelect = document.createElement('select');
+		operatorSelect.className = 'form-select form-select-sm filter-operator flex-grow-0 w-auto';
+		operatorSelect.setAttribute('aria-label', `${column.title} filter operator`);
+		operators.forEach(operator => {
+			const option = document.createElement('option');
+			option.value = operator;
+			option.textContent = labels[operator][0];
+			option.title = labels[operator][1];
+			operatorSelect.appendChild(option);
+		});
+		operatorSelect.value = condition?.operator || operators[0];
+
+		let valueInput;
+		if (column.searchType === 'select') {
+			valueInput = document.createElement('select');
+			valueInput.className = 'form-select form-select-sm';
+			valueInput.innerHTML = `<option value="">All ${column.title}</option>`;
+
+			// Get unique values from data
+			const uniqueValues = new Set();
+			this.data.forEach(row => {
+				const cellData = row[column.key];
+				if (cellData && cellData.searchText) {
+					uniqueValues.add(cellData.searchText);
 				}
 			});
+
+			Array.from(uniqueValues).sort().forEach(value => {
+				const option = document.createElement('option');
+				option.textContent = value;
+				option.value = value;
+				valueInput.appendChild(option);
+			});
+		} else {
+			valueInput = document.createElement('input');
+			valueInput.type = valueType === 'text' ? 'text' : column.searchType === 'date' ? 'date' : 'number';
+			valueInput.className = 'form-control form-control-sm';
+			valueInput.placeholder = `Search ${column.title}`;
+		}
+
+		const valueToInput = document.createElement('input');
+		valueToInput.type = valueInput.type || 'text';
+		valueToInput.className = 'form-control form-control-sm';
+		valueToInput.placeholder = 'to';
+
+		const updateVisibility = () => {
+			const operator = operatorSelect.value;
+			const needsValue = operator !== 'empty' && operator !== 'not-empty';
+			valueInput.classList.toggle('d-none', !needsValue);
+			valueToInput.classList.toggle('d-none', operator !== 'between');
+			if (valueInput.tagName === 'SELECT') {
+				valueInput.multiple = operator === 'in';
+				valueInput.size = operator === 'in' ? 3 : 0;
+			}
+		};
+
+		const readValue = () => {
+			if (valueInput.tagName === 'SELECT' && valueInput.multiple) {
+				return [...valueInput.selectedOptions].map(option => option.value).filter(value => value !== '');
+			}
+			return valueInput.value;
+		};
+
+		const update = () => {
+			updateVisibility();
+			this.setColumnFilter(column.key, {
+				operator: operatorSelect.value,
+				value: readValue(),
+				valueTo: valueToInput.value
+			});
+		};
+
+		updateVisibility();
+
+		// Keep the active filter value when the footer is rebuilt
+		if (condition) {
+			if (Array.isArray(condition.value) && valueInput.tagName === 'SELECT') {
+				[...valueInput.options].forEach(option => {
+					option.selected = condition.value.includes(option.value);
+				});
+			} else {
+				valueInput.value = condition.value ?? '';
+			}
+			valueToInput.value = condition.valueTo ?? '';
+		}
+
+		operatorSelect.addEventListener('change', update);
+		const valueEvent = valueInput.tagName === 'SELECT' || valueInput.type === 'date' ? 'change' : 'input';
+		valueInput.addEventListener(valueEvent, update);
+		valueToInput.addEventListener(valueEvent, update);
+
+		group.appendChild(operatorSelect);
+		group.appendChild(valueInput);
+		group.appendChild(valueToInput);
+		return group;
+	}
+
+	setupFilterLogicToggle() {
+		if (!this.filterLogicToggle) {
+			return;
+		}
+
+		const group = document.createElement('div');
+		group.className = 'btn-group btn-group-sm';
+		group.setAttribute('role', 'group');
+		group.setAttribute('aria-label', 'Combine column filters with');
+
+		['and', 'or'].forEach(logic => {
+			const button = document.createElement('button');
+			button.type = 'button';
+			button.className = 'btn btn-outline-secondary';
+			button.dataset.logic = logic;
+			button.textContent = logic.toUpperCase();
+			button.addEventListener('click', () => this.setFilterLogic(logic));
+			group.appendChild(button);
+		});
+
+		this.filterLogicToggle.appendChild(group);
+		this.updateFilterLogicToggle();
+	}
+
+	updateFilterLogicToggle() {
+		if (!this.filterLogicToggle) {
+			return;
+		}
+		this.filterLogicToggle.querySelectorAll('[data-logic]').forEach(button => {
+			const active = button.dataset.logic === this.filterModel.logic;
+			button.classList.toggle('active', active);
+			button.setAttribute('aria-pressed', active);
 		});
 	}
 
-	toggleSort(columnKey, columnIndex) {
+	toggleSort(columnKey, columnIndex, multi = false) {
 		const oldColumn = this.sortColumn;
 		const oldOrder = this.sortOrder;
-		const newOrder = (this.sortColumn === columnKey)
-			? (this.sortOrder === 'asc' ? 'desc' : 'asc')
-			: 'asc';
+		const oldSortList = this.getSort();
+		const sortList = this.getSort();
+		const existing = sortList.find(item => item.column === columnKey);
+
+		if (multi) {
+			// Shift-click cycles a column through asc, desc and unsorted while keeping the others
+			if (!existing) {
+				sortList.push({ column: columnKey, order: 'asc' });
+			} else if (existing.order === 'asc') {
+				existing.order = 'desc';
+			} else {
+				sortList.splice(sortList.indexOf(existing), 1);
+			}
+		} else {
+			const order = (existing && sortList.length === 1 && existing.order === 'asc') ? 'desc' : 'asc';
+			sortList.splice(0, sortList.length, { column: columnKey, order });
+		}
+
+		const newOrder = sortList.find(item => item.column === columnKey)?.order || null;
 
 		const event = this.triggerEvent('sort.yo.htmltable', {
 			column: columnKey,
 			columnIndex,
 			oldColumn,
 			oldOrder,
-			newOrder
+			newOrder,
+			multi,
+			oldSortList,
+			sortList
 		});
 
 		if (event.defaultPrevented) {
 			return;
 		}
 
-		if (this.sortColumn === columnKey) {
-			this.sortOrder = this.sortOrder === 'asc' ? 'desc' : 'asc';
-		} else {
-			this.sortColumn = columnKey;
-			this.sortOrder = 'asc';
-		}
-
-		this.updateSortIcons();
-		this.renderRows();
+		this.applySort(sortList);
 
 		this.triggerEvent('sorted.yo.htmltable', {
 			column: this.sortColumn,
 			columnIndex,
-			order: this.sortOrder
+			order: this.sortOrder,
+			sortList: this.getSort()
+		});
+	}
+
+	getSort() {
+		return this.sortList.map(item => ({ ...item }));
+	}
+
+	setSort(sortList) {
+		this.applySort(sortList);
+
+		this.triggerEvent('sorted.yo.htmltable', {
+			column: this.sortColumn,
+			columnIndex: this.columns.findIndex(col => col.key === this.sortColumn),
+			order: this.sortOrder,
+			sortList: this.getSort()
+		});
+	}
+
+	applySort(sortList) {
+		this.sortList = sortList
+			.filter(item => item && this.columns.some(col => col.key === item.column))
+			.map(item => ({ column: item.column, order: item.order === 'desc' ? 'desc' : 'asc' }));
+		this.sortColumn = this.sortList[0]?.column ?? null;
+		this.sortOrder = this.sortList[0]?.order ?? 'asc';
+
+		this.updateSortIcons();
+		this.renderRows();
+		this.reloadFragments();
+	}
+
+	sortRows(rows) {
+		const sorters = this.sortList.map(({ column: key, order }) => {
+			const column = this.columns.find(col => col.key === key);
+			return { key, column, direction: order === 'desc' ? -1 : 1 };
+		});
+
+		return rows.sort((a, b) => {
+			for (const { key, column, direction } of sorters) {
+				const aVal = a[key]?.sortValue ?? '';
+				const bVal = b[key]?.sortValue ?? '';
+				const comparator = this.sortTypes[column.sortType];
+
+				const result = typeof comparator === 'function'
+					? comparator(aVal, bVal, a, b)
+					: this.compareValues(aVal, bVal, column.sortType, column.dateFormat);
+
+				if (result !== 0) {
+					return result * direction;
+				}
+			}
+			return 0;
 		});
 	}
 
+	compareValues(a, b, type = 'string', dateFormat = 'MDY') {
+		switch (type) {
+			case 'number':
+				return this.compareNumbers(parseFloat(a), parseFloat(b));
+			case 'currency':
+				return this.compareNumbers(this.parseCurrency(a), this.parseCurrency(b));
+			case 'date':
+				return this.compareNumbers(this.parseDate(a, dateFormat), this.parseDate(b, dateFormat));
+			case 'natural':
+				return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+			default:
+				return a > b ? 1 : a < b ? -1 : 0;
+		}
+	}
+
+	compareNumbers(a, b) {
+		// Values that can't be parsed always sort after real numbers
+		const aNaN = Number.isNaN(a);
+		const bNaN = Number.isNaN(b);
+		if (aNaN || bNaN) {
+			return aNaN === bNaN ? 0 : aNaN ? 1 : -1;
+		}
+		return a - b;
+	}
+
+	parseCurrency(value) {
+		if (typeof value === 'number') {
+			return value;
+		}
+		const text = String(value);
+		const negative = /^\s*\(.*\)\s*$/.test(text) || text.includes('-');
+		const number = parseFloat(text.replace(/[^0-9.]/g, ''));
+		return negative ? -number : number;
+	}
+
+	parseDate(value, format = 'MDY') {
+		const text = String(value).trim();
+		const parts = text.match(/^(\d{1,4})[\/.-](\d{1,2})[\/.-](\d{1,4})(.*)$/);
+
+		// Numeric dates like 03/04/2024 are read in the column's data-date-format order
+		if (parts && !/^\d{4}-\d{2}-\d{2}/.test(text)) {
+			const values = { [format[0]]: parts[1], [format[1]]: parts[2], [format[2]]: parts[3] };
+			const time = parts[4].trim();
+			const date = new Date(`${values.Y.padStart(4, '20')}-${values.M.padStart(2, '0')}-${values.D.padStart(2, '0')}${time ? 'T' + time : ''}`);
+			return date.getTime();
+		}
+		return Date.parse(text);
+	}
+
 	updateSortIcons() {
 		this.container.querySelectorAll('th.sortable').forEach(th => {
 			const columnKey = th.dataset.column;
 			const sortIcon = th.querySelector('.sort-icon');
 
+			// Only the primary sort column carries aria-sort
+			th.setAttribute('aria-sort', columnKey === this.sortColumn ? (this.sortOrder === 'asc' ? 'ascending' : 'descending') : 'none');
+
 			if (sortIcon) {
-				if (this.sortColumn === columnKey) {
-					if (this.sortOrder === 'asc') {
-						sortIcon.innerHTML = '<i class="bi bi-arrow-up"></i>';
-					} else {
-						sortIcon.innerHTML = '<i class="bi bi-arrow-down"></i>';
-					}
-				} else {
+				const index = this.sortList.findIndex(item => item.column === columnKey);
+
+				if (index === -1) {
 					sortIcon.innerHTML = '<i class="bi bi-arrow-down-up"></i>';
+					return;
+				}
+
+				sortIcon.innerHTML = this.sortList[index].order === 'asc'
+					? '<i class="bi bi-arrow-up"></i>'
+					: '<i class="bi bi-arrow-down"></i>';
+
+				// Number the icons when sorting by more than one column
+				if (this.sortList.length > 1) {
+					sortIcon.insertAdjacentHTML('beforeend', `<sup class="sort-index">${index + 1}</sup>`);
 				}
 			}
 		});
+
+		this.updateCardSortControl();
 	}
 
-	// Public API methods
-	addRow(rowElement) {
-		const cells = rowElement.querySelectorAll('td');
-		const rowData = {
-			_rowElement: rowElement.cloneNode(true),
-			_originalIndex: this.data.length,
-			_searchableText: []
+	exportData(format = 'csv', scope = 'filtered', options = {}) {
+		const columns = this.getDisplayOrder()
+			.filter(index => options.includeHidden || !this.hiddenColumns.has(index))
+			.map(index => this.columns[index]);
+		let rows;
+
+		if (scope === 'page') {
+			rows = this.pageRows;
+		} else if (scope === 'all') {
+			rows = this.data;
+		} else {
+			rows = this.sortList.length ? this.sortRows([...this.filteredData]) : this.filteredData;
+		}
+
+		const event = this.triggerEvent('export.yo.htmltable', {
+			format,
+			scope,
+			columns,
+			rows
+		});
+
+		if (event.defaultPrevented) {
+			return null;
+		}
+
+		// Use the extracted cell values rather than the cell markup
+		const headers = columns.map(column => column.title);
+		const values = rows.map(row => columns.map(column => row[column.key]?.value ?? ''));
+		const content = this.serializeRows(format, headers, values);
+
+		this.triggerEvent('exported.yo.htmltable', {
+			format,
+			scope,
+			rowCount: rows.length,
+			content
+		});
+
+		return content;
+	}
+
+	serializeRows(format, headers, rows) {
+		switch (format) {
+			case 'csv':
+				return this.toCsv(headers, rows);
+			case 'json':
+				return JSON.stringify(rows.map(row => Object.fromEntries(headers.map((header, i) => [header, row[i]]))), null, 2);
+			case 'excel':
+				return this.toSpreadsheetXml(headers, rows);
+			default:
+				throw new Error(`Unknown export format: ${format}`);
+		}
+	}
+
+	toCsv(headers, rows) {
+		// RFC 4180: quote fields containing commas, quotes or line breaks and double embedded quotes
+		const escape = (value) => {
+			const text = String(value ?? '');
+			return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
 		};
+		return [headers, ...rows].map(row => row.map(escape).join(',')).join('\r\n');
+	}
 
-		cells.forEach((cell, cellIndex) => {
-			if (cellIndex < this.columns.length) {
-				const column = this.columns[cellIndex];
-				const cellData = this.extractCellValue(cell);
-				rowData[column.key] = cellData;
-				rowData._searchableText.push(cellData.searchText);
+	toSpreadsheetXml(headers, rows) {
+		const escape = (value) => String(value ?? '')
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;');
+		const cell = (value) => {
+			if (typeof value === 'number' && Number.isFinite(value)) {
+				return `<Cell><Data ss:Type="Number">${value}</Data></Cell>`;
+			}
+			if (typeof value === 'boolean') {
+				return `<Cell><Data ss:Type="Boolean">${value ? 1 : 0}</Data></Cell>`;
+			}
+			return `<Cell><Data ss:Type="String">${escape(value)}</Data></Cell>`;
+		};
+		const xmlRows = [headers, ...rows].map(row => `<Row>${row.map(cell).join('')}</Row>`).join('\n');
+
+		return '<?xml version="1.0" encoding="UTF-8"?>\n'
+			+ '<?mso-application progid="Excel.Sheet"?>\n'
+			+ '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">\n'
+			+ '<Worksheet ss:Name="Sheet1"><Table>\n'
+			+ xmlRows
+			+ '\n</Table></Worksheet></Workbook>';
+	}
+
+	download(format = 'csv', scope = 'filtered', filename = this.exportFilename) {
+		const content = this.exportData(format, scope);
+		if (content === null) {
+			return;
+		}
+
+		const types = {
+			csv: ['text/csv;charset=utf-8', 'csv'],
+			json: ['application/json;charset=utf-8', 'json'],
+			excel: ['application/vnd.ms-excel;charset=utf-8', 'xls']
+		};
+		const [mimeType, extension] = types[format];
+		// The BOM makes Excel read UTF-8 CSV files correctly
+		const blob = new Blob([format === 'csv' ? '\ufeff' + content : content], { type: mimeType });
+		const url = URL.createObjectURL(blob);
+		const link = document.createElement('a');
+		link.href = url;
+		link.download = `${filename}.${extension}`;
+		document.body.appendChild(link);
+		link.click();
+		link.remove();
+		URL.revokeObjectURL(url);
+	}
+
+	setupExportButton() {
+		if (!this.exportButton) {
+			return;
+		}
+
+		const labels = { csv: 'CSV', json: 'JSON', excel: 'Excel' };
+		const scopes = { filtered: 'Filtered rows', page: 'Current page', all: 'All rows' };
+
+		const dropdown = document.createElement('div');
+		dropdown.className = 'dropdown';
+
+		const button = document.createElement('button');
+		button.className = 'btn btn-outline-secondary btn-sm';
+		button.type = 'button';
+		button.dataset.bsToggle = 'dropdown';
+		button.setAttribute('aria-expanded', 'false');
+		button.innerHTML = '<i class="bi bi-download"></i> Export';
+
+		const menu = document.createElement('ul');
+		menu.className = 'dropdown-menu';
+
+		Object.entries(scopes).forEach(([scope, scopeLabel], index) => {
+			if (index > 0) {
+				menu.insertAdjacentHTML('beforeend', '<li><hr class="dropdown-divider"></li>');
 			}
+			menu.insertAdjacentHTML('beforeend', `<li><h6 class="dropdown-header">${scopeLabel}</h6></li>`);
+
+			this.exportFormats.forEach(format => {
+				const li = document.createElement('li');
+				const a = document.createElement('a');
+				a.className = 'dropdown-item';
+				a.href = '#';
+				a.textContent = labels[format] || format;
+				a.addEventListener('click', (e) => {
+					e.preventDefault();
+					this.download(format, scope);
+				});
+				li.appendChild(a);
+				menu.appendChild(li);
+			});
 		});
 
-		this.data.push(rowData);
-		this.applyColumnFilters();
-		this.updateFoundEntries();
-		this.renderTable('rows');
+		dropdown.appendChild(button);
+		dropdown.appendChild(menu);
+		this.exportButton.appendChild(dropdown);
+	}
 
-		this.triggerEvent('rowadded.yo.htmltable', { row: rowData });
+	setupSelectionColumn() {
+		if (!this.isSelectable()) {
+			return;
+		}
+		const headerRow = this.container.querySelector('thead tr');
+		headerRow.insertBefore(this.renderSelectHeaderCell(), headerRow.firstChild);
 	}
 
-	removeRow(rowIndex) {
-		const removedRow = this.data.splice(rowIndex, 1)[0];
-		this.applyColumnFilters();
+	setupDetailColumn() {
+		if (!this.hasDetailRows()) {
+			return;
+		}
+
+		const headerRow = this.container.querySelector('thead tr');
+		const th = document.createElement('th');
+		th.className = 'detail-cell';
+		th.innerHTML = '<span class="visually-hidden">Details</span>';
+
+		// The detail toggle sits right after the selection checkbox
+		const selectCell = headerRow.querySelector('.select-cell');
+		headerRow.insertBefore(th, selectCell ? selectCell.nextSibling : headerRow.firstChild);
+	}
+
+	getRowId(row) {
+		const element = row._rowElement;
+		if (element && element.dataset.id !== undefined) {
+			return element.dataset.id;
+		}
+		return row[this.rowIdKey]?.value ?? row._originalIndex;
+	}
+
+	setupVirtualScroll() {
+		if (!this.virtualScroll || this.scrollContainer) {
+			return;
+		}
+
+		// Wrap the table in a fixed-height scroll container
+		this.scrollContainer = document.createElement('div');
+		this.scrollContainer.className = 'table-virtual-scroll';
+		this.scrollContainer.style.height = this.virtualScrollHeight;
+		this.scrollContainer.style.overflowY = 'auto';
+		this.container.parentNode.insertBefore(this.scrollContainer, this.container);
+		this.scrollContainer.appendChild(this.container);
+
+		// Keep the header (and footer filters) visible while scrolling
+		['thead', 'tfoot'].forEach(tag => {
+			const section = this.container.querySelector(tag);
+			if (section) {
+				section.style.position = 'sticky';
+				section.style[tag === 'thead' ? 'top' : 'bottom'] = '0';
+				section.style.zIndex = '2';
+			}
+		});
+
+		this.scrollContainer.addEventListener('scroll', () => {
+			if (this.virtualFrame) {
+				return;
+			}
+			this.virtualFrame = requestAnimationFrame(() => {
+				this.virtualFrame = null;
+				const { start, end } = this.getVirtualWindow(this.viewRows.length);
+				if (start !== this.virtualWindow.start || end !== this.virtualWindow.end) {
+					this.renderRows({ virtual: true });
+				}
+			});
+		}, { passive: true });
+	}
+
+	getVirtualWindow(rowCount) {
+		const scrollTop = this.scrollContainer ? this.scrollContainer.scrollTop : 0;
+		const viewHeight = this.scrollContainer ? this.scrollContainer.clientHeight : 0;
+		const start = Math.max(0, Math.floor(scrollTop / this.rowHeight) - this.virtualBuffer);
+		const end = Math.min(rowCount, Math.ceil((scrollTop + viewHeight) / this.rowHeight) + this.virtualBuffer);
+		return { start, end };
+	}
+
+	createVirtualSpacer(rowCount) {
+		const tr = document.createElement('tr');
+		tr.className = 'virtual-spacer';
+		tr.setAttribute('aria-hidden', 'true');
+		const td = document.createElement('td');
+		td.colSpan = this.getVisibleColumnCount();
+		td.style.height = `${rowCount * this.rowHeight}px`;
+		td.style.padding = '0';
+		td.style.border = '0';
+		tr.appendChild(td);
+		return tr;
+	}
+
+	measureVirtualRowHeight(tbody) {
+		// Replace the estimated rowHeight with the real one the first time a row is in the DOM
+		if (this.rowHeightMeasured) {
+			return false;
+		}
+		const row = tbody.querySelector('tr:not(.virtual-spacer)');
+		const height = row ? row.offsetHeight : 0;
+		if (height === 0) {
+			return false;
+		}
+		this.rowHeightMeasured = true;
+		if (Math.abs(height - this.rowHeight) > 1) {
+			this.rowHeight = height;
+			return true;
+		}
+		return false;
+	}
+
+	setupResponsive() {
+		if (!this.responsive || typeof window.matchMedia !== 'function') {
+			return;
+		}
+
+		this.responsiveQuery = window.matchMedia(`(max-width: ${this.getResponsiveBreakpoint() - 0.02}px)`);
+		this.responsiveQuery.addEventListener('change', () => this.updateResponsive());
+		this.updateResponsive(false);
+	}
+
+	getResponsiveBreakpoint() {
+		const breakpoints = { sm: 576, md: 768, lg: 992, xl: 1200, xxl: 1400 };
+		return breakpoints[this.responsiveBreakpoint] ?? (parseInt(this.responsiveBreakpoint, 10) || breakpoints.md);
+	}
+
+	updateResponsive(render = true) {
+		const active = Boolean(this.responsiveQuery && this.responsiveQuery.matches);
+		if (render && active === this.responsiveActive) {
+			return;
+		}
+
+		this.responsiveActive = active;
+		this.responsiveHidden = new Set(active && this.responsive === 'collapse'
+			? this.columns.filter(column => column.priority > this.responsivePriority).map(column => column.index)
+			: []);
+		this.container.classList.toggle('table-cards', this.isCardLayout());
+
+		if (!render) {
+			return;
+		}
+
+		this.renderTable();
+
+		this.triggerEvent('responsive.yo.htmltable', {
+			active,
+			mode: this.responsive,
+			collapsedColumns: [...this.responsiveHidden].map(index => this.columns[index].key)
+		});
+	}
+
+	isCardLayout() {
+		return this.responsiveActive && this.responsive === 'cards';
+	}
+
+	isColumnHidden(index) {
+		return this.hiddenColumns.has(index) || this.responsiveHidden.has(index);
+	}
+
+	getVisibleColumnCount() {
+		// Card rows are a single cell, full-width rows must not add columns to the table
+		if (this.isCardLayout()) {
+			return 1;
+		}
+		return [...this.container.querySelectorAll('thead th')].filter(th => th.style.display !== 'none').length || 1;
+	}
+
+	renderFieldList(row, indexes) {
+		const list = document.createElement('dl');
+		list.className = 'row mb-0';
+
+		indexes.forEach(index => {
+			const column = this.columns[index];
+
+			const dt = document.createElement('dt');
+			dt.className = 'col-5 text-truncate';
+			dt.textContent = column.title;
+
+			const dd = document.createElement('dd');
+			dd.className = 'col-7 mb-1';
+			dd.dataset.key = column.key;
+			dd.innerHTML = row[column.key] ? row[column.key].html : '';
+
+			list.append(dt, dd);
+		});
+
+		return list;
+	}
+
+	renderCardRow(row) {
+		const tr = document.createElement('tr');
+		tr.className = 'card-row';
+
+		const td = document.createElement('td');
+		td.className = 'border-0 px-0';
+
+		const card = document.createElement('div');
+		card.className = 'card';
+
+		if (this.isSelectable() || this.hasDetailRows()) {
+			const header = document.createElement('div');
+			header.className = 'card-header d-flex align-items-center gap-2 py-1';
+
+			// Reuse the checkbox and toggle of the table cells so selection and details keep working
+			if (this.isSelectable()) {
+				header.appendChild(this.renderSelectCell(row).firstChild);
+			}
+			if (this.hasDetailRows()) {
+				header.appendChild(this.renderDetailToggleCell(row).firstChild);
+			}
+			card.appendChild(header);
+		}
+
+		const body = document.createElement('div');
+		body.className = 'card-body p-2';
+		body.appendChild(this.renderFieldList(row, this.getDisplayOrder().filter(index => !this.hiddenColumns.has(index))));
+		card.appendChild(body);
+
+		td.appendChild(card);
+		tr.appendChild(td);
+		return tr;
+	}
+
+	renderResponsiveToggle(row) {
+		const expanded = this.responsiveExpanded.has(this.getRowId(row));
+		const button = document.createElement('button');
+		button.type = 'button';
+		button.className = 'btn btn-link btn-sm p-0 me-1 responsive-toggle';
+		button.setAttribute('aria-expanded', String(expanded));
+		button.setAttribute('aria-label', expanded ? 'Hide more columns' : 'Show more columns');
+		button.innerHTML = `<i class="bi bi-${expanded ? 'dash' : 'plus'}-circle"></i>`;
+		button.addEventListener('click', (e) => {
+			e.stopPropagation();
+			this.toggleResponsiveDetails(row);
+		});
+		return button;
+	}
+
+	renderResponsiveDetailsRow(row) {
+		const tr = document.createElement('tr');
+		tr.className = 'responsive-details-row';
+
+		const td = document.createElement('td');
+		td.colSpan = this.getVisibleColumnCount();
+
+		const collapsed = this.getDisplayOrder().filter(index => this.responsiveHidden.has(index) && !this.hiddenColumns.has(index));
+		td.appendChild(this.renderFieldList(row, collapsed));
+
+		tr.appendChild(td);
+		return tr;
+	}
+
+	toggleResponsiveDetails(rowOrId) {
+		const row = this.findRow(rowOrId);
+		if (!row) {
+			return;
+		}
+
+		const id = this.getRowId(row);
+		if (this.responsiveExpanded.has(id)) {
+			this.responsiveExpanded.delete(id);
+		} else {
+			this.responsiveExpanded.add(id);
+		}
+		this.renderTable('rows');
+	}
+
+	renderCardSortControl() {
+		const wrapper = document.createElement('div');
+		wrapper.className = 'table-card-sort d-flex gap-2 mb-2';
+
+		const select = document.createElement('select');
+		select.className = 'form-select form-select-sm';
+		select.setAttribute('aria-label', 'Sort by');
+		select.innerHTML = '<option value="">Sort by...</option>';
+		this.columns.filter(column => column.sortable).forEach(column => {
+			const option = document.createElement('option');
+			option.value = column.key;
+			option.textContent = column.title;
+			select.appendChild(option);
+		});
+		select.addEventListener('change', () => {
+			const column = this.columns.find(col => col.key === select.value);
+			if (column) {
+				this.toggleSort(column.key, column.index);
+			} else {
+				this.setSort([]);
+			}
+		});
+
+		const button = document.createElement('button');
+		button.type = 'button';
+		button.className = 'btn btn-outline-secondary btn-sm';
+		button.addEventListener('click', () => {
+			const column = this.columns.find(col => col.key === this.sortColumn);
+			if (column) {
+				this.toggleSort(column.key, column.index);
+			}
+		});
+
+		wrapper.append(select, button);
+		return wrapper;
+	}
+
+	updateCardSortControl() {
+		const cardLayout = this.isCardLayout();
+
+		if (!this.cardSortControl) {
+			if (!cardLayout) {
+				return;
+			}
+			this.cardSortControl = this.renderCardSortControl();
+			const anchor = this.scrollContainer || this.container.closest('.table-responsive') || this.container;
+			anchor.parentNode.insertBefore(this.cardSortControl, anchor);
+		}
+
+		const [select, button] = this.cardSortControl.children;
+		this.cardSortControl.classList.toggle('d-none', !cardLayout);
+		select.value = this.sortColumn || '';
+		button.disabled = !this.sortColumn;
+		button.setAttribute('aria-label', this.sortOrder === 'desc' ? 'Sorted descending' : 'Sorted ascending');
+		button.innerHTML = `<i class="bi bi-sort-${this.sortOrder === 'desc' ? 'down' : 'up'}"></i>`;
+	}
+
+	hasDetailRows() {
+		return Boolean(this.detailRow);
+	}
+
+	renderDetailToggleCell(row) {
+		const td = document.createElement('td');
+		td.className = 'detail-cell';
+
+		const expanded = this.expandedRows.has(this.getRowId(row));
+		const button = document.createElement('button');
+		button.type = 'button';
+		button.className = 'btn btn-link btn-sm p-0 detail-toggle';
+		button.setAttribute('aria-expanded', String(expanded));
+		button.setAttribute('aria-label', expanded ? 'Hide details' : 'Show details');
+		button.innerHTML = `<i class="bi bi-chevron-${expanded ? 'down' : 'right'}"></i>`;
+		button.addEventListener('click', (e) => {
+			e.stopPropagation();
+			this.toggleRow(row);
+		});
+
+		td.appendChild(button);
+		return td;
+	}
+
+	renderDetailRow(row) {
+		const tr = document.createElement('tr');
+		tr.className = 'detail-row';
+
+		const td = document.createElement('td');
+		td.colSpan = this.getVisibleColumnCount();
+		tr.appendChild(td);
+
+		this.fillDetailCell(td, row);
+		return tr;
+	}
+
+	getDetailContent(row) {
+		if (typeof this.detailRow === 'function') {
+			return this.detailRow(row, this);
+		}
+
+		const template = document.querySelector(this.detailRow);
+		if (!template) {
+			return '';
+		}
+
+		// {{key}} placeholders are replaced with the escaped values of the row
+		return template.innerHTML.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, key) => String(row[key]?.value ?? '')
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;'));
+	}
+
+	fillDetailCell(td, row) {
+		const id = this.getRowId(row);
+
+		if (this.detailContent.has(id)) {
+			this.setDetailContent(td, this.detailContent.get(id));
+			return;
+		}
+
+		let pending = this.detailLoading.get(id);
+
+		if (!pending) {
+			let content;
+			try {
+				content = this.getDetailContent(row);
+			} catch (error) {
+				content = Promise.reject(error);
+			}
+
+			if (!content || typeof content.then !== 'function') {
+				this.setDetailContent(td, content);
+				return;
+			}
+
+			pending = content.then((result) => {
+				this.detailContent.set(id, result);
+				this.triggerEvent('detailloaded.yo.htmltable', { row, id, content: result });
+				return result;
+			}, (error) => {
+				console.error('Error loading row details:', error);
+				this.triggerEvent('detailerror.yo.htmltable', { row, id, error });
+				throw error;
+			}).finally(() => this.detailLoading.delete(id));
+			this.detailLoading.set(id, pending);
+		}
+
+		// A re-render while loading attaches the new cell to the same request
+		td.innerHTML = '<div class="text-muted py-2"><span class="spinner-border spinner-border-sm me-2" role="status"></span>Loading...</div>';
+		pending.then((result) => {
+			if (td.isConnected) {
+				this.setDetailContent(td, result);
+			}
+		}, () => {
+			if (td.isConnected) {
+				td.innerHTML = '<div class="text-danger py-2"><i class="bi bi-exclamation-triangle me-2"></i>Details could not be loaded.</div>';
+			}
+		});
+	}
+
+	setDetailContent(td, content) {
+		td.innerHTML = '';
+		if (content instanceof Node) {
+			td.appendChild(content);
+		} else {
+			td.innerHTML = content ?? '';
+		}
+	}
+
+	findRow(rowOrId) {
+		if (rowOrId && typeof rowOrId === 'object') {
+			return rowOrId;
+		}
+		return this.data.find(row => String(this.getRowId(row)) === String(rowOrId)) || null;
+	}
+
+	isRowExpanded(rowOrId) {
+		const row = this.findRow(rowOrId);
+		return row !== null && this.expandedRows.has(this.getRowId(row));
+	}
+
+	expandRow(rowOrId) {
+		const row = this.findRow(rowOrId);
+		if (!this.hasDetailRows() || !row || this.expandedRows.has(this.getRowId(row))) {
+			return;
+		}
+
+		const id = this.getRowId(row);
+		const event = this.triggerEvent('expand.yo.htmltable', { row, id });
+
+		if (event.defaultPrevented) {
+			return;
+		}
+
+		this.expandedRows.add(id);
+		this.renderTable('rows');
+
+		this.triggerEvent('expanded.yo.htmltable', { row, id });
+	}
+
+	collapseRow(rowOrId) {
+		const row = this.findRow(rowOrId);
+		if (!row || !this.expandedRows.has(this.getRowId(row))) {
+			return;
+		}
+
+		const id = this.getRowId(row);
+		const event = this.triggerEvent('collapse.yo.htmltable', { row, id });
+
+		if (event.defaultPrevented) {
+			return;
+		}
+
+		this.expandedRows.delete(id);
+		if (!this.detailCache) {
+			this.detailContent.delete(id);
+		}
+		this.renderTable('rows');
+
+		this.triggerEvent('collapsed.yo.htmltable', { row, id });
+	}
+
+	toggleRow(rowOrId) {
+		if (this.isRowExpanded(rowOrId)) {
+			this.collapseRow(rowOrId);
+		} else {
+			this.expandRow(rowOrId);
+		}
+	}
+
+	expandAll() {
+		// Every matching row is marked, details are rendered (and loaded) once their page is shown
+		const rows = this.viewRows.filter(row => !this.expandedRows.has(this.getRowId(row)));
+		if (!this.hasDetailRows() || rows.length === 0) {
+			return;
+		}
+
+		const ids = rows.map(row => this.getRowId(row));
+		const event = this.triggerEvent('expand.yo.htmltable', { rows, ids, all: true });
+
+		if (event.defaultPrevented) {
+			return;
+		}
+
+		ids.forEach(id => this.expandedRows.add(id));
+		this.renderTable('rows');
+
+		this.triggerEvent('expanded.yo.htmltable', { rows, ids, all: true });
+	}
+
+	collapseAll() {
+		const ids = [...this.expandedRows];
+		if (ids.length === 0) {
+			return;
+		}
+
+		const rows = ids.map(id => this.findRow(id)).filter(Boolean);
+		const event = this.triggerEvent('collapse.yo.htmltable', { rows, ids, all: true });
+
+		if (event.defaultPrevented) {
+			return;
+		}
+
+		this.expandedRows.clear();
+		if (!this.detailCache) {
+			this.detailContent.clear();
+		}
+		this.renderTable('rows');
+
+		this.triggerEvent('collapsed.yo.htmltable', { rows, ids, all: true });
+	}
+
+	setupAccessibility() {
+		if (!this.accessible) {
+			return;
+		}
+
+		this.container.setAttribute('role', 'grid');
+
+		this.liveRegion = document.createElement('div');
+		this.liveRegion.className = 'visually-hidden';
+		this.liveRegion.setAttribute('aria-live', 'polite');
+		this.liveRegion.setAttribute('aria-atomic', 'true');
+		const anchor = this.scrollContainer || this.container;
+		anchor.parentNode.insertBefore(this.liveRegion, anchor.nextSibling);
+
+		this.container.addEventListener('keydown', (e) => this.handleGridKeydown(e));
+		this.container.addEventListener('focusin', (e) => {
+			const position = this.getCellPosition(e.target.closest('td, th'));
+			if (position) {
+				this.activeCell = position;
+				this.updateRovingTabindex();
+			}
+		});
+	}
+
+	getGridRows() {
+		return [...this.container.querySelectorAll(':scope > thead > tr, :scope > tbody > tr:not(.virtual-spacer), :scope > tfoot > tr')]
+			.filter(tr => tr.style.display !== 'none' && tr.parentNode.style.display !== 'none');
+	}
+
+	getRowCells(tr) {
+		return [...tr.children].filter(cell => cell.style.display !== 'none');
+	}
+
+	getCellPosition(cell) {
+		if (!cell || cell.closest('table') !== this.container) {
+			return null;
+		}
+		const row = this.getGridRows().indexOf(cell.parentNode);
+		const column = row === -1 ? -1 : this.getRowCells(cell.parentNode).indexOf(cell);
+		return column === -1 ? null : { row, column };
+	}
+
+	getActiveCell() {
+		const rows = this.getGridRows();
+		if (!rows.length) {
+			return null;
+		}
+		const cells = this.getRowCells(rows[Math.min(this.activeCell.row, rows.length - 1)]);
+		return cells[Math.min(this.activeCell.column, cells.length - 1)] || null;
+	}
+
+	applyGridSemantics() {
+		if (!this.accessible) {
+			return;
+		}
+
+		this.getGridRows().forEach(tr => {
+			tr.setAttribute('role', 'row');
+			[...tr.children].forEach(cell => {
+				cell.setAttribute('role', cell.tagName === 'TH' ? 'columnheader' : 'gridcell');
+				cell.tabIndex = -1;
+			});
+		});
+		this.updateRovingTabindex();
+
+		// Keyboard sorting and paging re-render the cells, keep the focus on the same position
+		if (this.restoreGridFocus) {
+			this.restoreGridFocus = false;
+			const cell = this.getActiveCell();
+			if (cell) {
+				cell.focus();
+			}
+		}
+	}
+
+	updateRovingTabindex() {
+		const active = this.getActiveCell();
+		this.getGridRows().forEach(tr => {
+			[...tr.children].forEach(cell => {
+				cell.tabIndex = cell === active ? 0 : -1;
+			});
+		});
+	}
+
+	focusCell(row, column) {
+		const rows = this.getGridRows();
+		if (!rows.length) {
+			return;
+		}
+		row = Math.max(0, Math.min(row, rows.length - 1));
+		const cells = this.getRowCells(rows[row]);
+		column = Math.max(0, Math.min(column, cells.length - 1));
+
+		this.activeCell = { row, column };
+		this.updateRovingTabindex();
+		if (cells[column]) {
+			cells[column].focus();
+		}
+	}
+
+	handleGridKeydown(e) {
+		const cell = e.composedPath().find(node => node.tagName === 'TD' || node.tagName === 'TH');
+		const position = this.getCellPosition(cell);
+		if (!position) {
+			return;
+		}
+
+		// Keys inside a cell's input belong to the input, Escape (or a finished inline edit) returns to the cell
+		if (e.target !== cell) {
+			if (e.key === 'Escape' || (e.key === 'Enter' && !e.target.isConnected && !this.container.contains(document.activeElement))) {
+				cell.focus();
+			}
+			return;
+		}
+
+		const rows = this.getGridRows();
+		const bodyRows = rows.map((tr, index) => (tr.parentNode.tagName === 'TBODY' ? index : -1)).filter(index => index !== -1);
+		let { row, column } = position;
+
+		switch (e.key) {
+			case 'ArrowRight':
+				column++;
+				break;
+			case 'ArrowLeft':
+				column--;
+				break;
+			case 'ArrowDown':
+				row++;
+				break;
+			case 'ArrowUp':
+				row--;
+				break;
+			case 'Home':
+				column = 0;
+				row = e.ctrlKey ? 0 : row;
+				break;
+			case 'End':
+				column = Infinity;
+				row = e.ctrlKey ? rows.length - 1 : row;
+				break;
+			case 'PageDown':
+			case 'PageUp': {
+				const page = this.currentPage + (e.key === 'PageDown' ? 1 : -1);
+				e.preventDefault();
+
+				// Turn the page and stay on the same cell, or jump to the first/last row of the last/first page
+				if (!this.scrollContainer && page >= 1 && page <= this.filteredPages) {
+					this.restoreGridFocus = true;
+					Promise.resolve(this.goToPage(page)).then(() => {
+						this.restoreGridFocus = false;
+					});
+					return;
+				}
+				if (bodyRows.length) {
+					row = e.key === 'PageDown' ? bodyRows[bodyRows.length - 1] : bodyRows[0];
+				}
+				break;
+			}
+			case 'Enter':
+			case 'F2':
+			case ' ':
+				e.preventDefault();
+				this.activateCell(cell, e);
+				return;
+			default:
+				return;
+		}
+
+		e.preventDefault();
+		this.focusCell(row, column);
+	}
+
+	activateCell(cell, e) {
+		if (cell.tagName === 'TH' && cell.classList.contains('sortable')) {
+			this.restoreGridFocus = true;
+			const index = this.columns.findIndex(col => col.key === cell.dataset.column);
+			this.toggleSort(cell.dataset.column, index, e.shiftKey);
+			this.restoreGridFocus = false;
+			return;
+		}
+
+		const widget = cell.querySelector('input, select, textarea, button, a[href]');
+		if (!widget) {
+			return;
+		}
+		if (e.key === ' ' && widget.type === 'checkbox') {
+			widget.click();
+		} else {
+			widget.focus();
+		}
+	}
+
+	announce(message) {
+		if (!this.liveRegion) {
+			return;
+		}
+		// Clearing first makes screen readers repeat an identical message
+		this.liveRegion.textContent = '';
+		setTimeout(() => {
+			this.liveRegion.textContent = message;
+		}, 100);
+	}
+
+	isSelectable() {
+		return this.selectable === 'single' || this.selectable === 'multi';
+	}
+
+	renderSelectHeaderCell() {
+		const th = document.createElement('th');
+		th.className = 'select-cell';
+
+		if (this.selectable === 'multi') {
+			const checkbox = document.createElement('input');
+			checkbox.type = 'checkbox';
+			checkbox.className = 'form-check-input select-page';
+			checkbox.setAttribute('aria-label', 'Select all rows on this page');
+			checkbox.addEventListener('click', (e) => {
+				e.stopPropagation();
+				this.togglePageSelection();
+			});
+			th.appendChild(checkbox);
+		}
+
+		return th;
+	}
+
+	renderSelectCell(row) {
+		const td = document.createElement('td');
+		td.className = 'select-cell';
+
+		const checkbox = document.createElement('input');
+		checkbox.type = 'checkbox';
+		checkbox.className = 'form-check-input select-row';
+		checkbox.checked = this.selectedRows.has(this.getRowId(row));
+		checkbox.setAttribute('aria-label', 'Select row');
+		checkbox.addEventListener('click', (e) => {
+			e.stopPropagation();
+			this.toggleRowSelection(row, e.shiftKey);
+		});
+
+		td.appendChild(checkbox);
+		return td;
+	}
+
+	toggleRowSelection(row, range = false) {
+		const id = this.getRowId(row);
+		const selected = new Map(this.selectedRows);
+		const viewIndex = this.viewRows.indexOf(row);
+		const select = !selected.has(id);
+
+		if (this.selectable === 'single') {
+			selected.clear();
+			if (select) {
+				selected.set(id, row);
+			}
+		} else if (range && this.selectionAnchor !== null && viewIndex > -1) {
+			// Shift-click applies the clicked row's new state to every row since the last click
+			const from = Math.min(this.selectionAnchor, viewIndex);
+			const to = Math.max(this.selectionAnchor, viewIndex);
+			this.viewRows.slice(from, to + 1).forEach(item => {
+				if (select) {
+					selected.set(this.getRowId(item), item);
+				} else {
+					selected.delete(this.getRowId(item));
+				}
+			});
+		} else if (select) {
+			selected.set(id, row);
+		} else {
+			selected.delete(id);
+		}
+
+		this.selectionAnchor = viewIndex > -1 ? viewIndex : null;
+		this.applySelection(selected);
+	}
+
+	togglePageSelection() {
+		const selected = new Map(this.selectedRows);
+		const allSelected = this.pageRows.length > 0 && this.pageRows.every(row => selected.has(this.getRowId(row)));
+
+		this.pageRows.forEach(row => {
+			if (allSelected) {
+				selected.delete(this.getRowId(row));
+			} else {
+				selected.set(this.getRowId(row), row);
+			}
+		});
+
+		this.applySelection(selected);
+	}
+
+	selectAllMatching() {
+		const selected = new Map(this.selectedRows);
+		this.viewRows.forEach(row => selected.set(this.getRowId(row), row));
+		this.applySelection(selected);
+	}
+
+	selectRows(ids) {
+		const selected = new Map(this.selectedRows);
+		ids.forEach(id => {
+			const row = this.data.find(item => String(this.getRowId(item)) === String(id));
+			if (row) {
+				selected.set(this.getRowId(row), row);
+			}
+		});
+		this.applySelection(selected);
+	}
+
+	clearSelection() {
+		this.applySelection(new Map());
+	}
+
+	getSelected() {
+		return [...this.selectedRows.values()];
+	}
+
+	getSelectedIds() {
+		return [...this.selectedRows.keys()];
+	}
+
+	applySelection(selected) {
+		const added = [...selected.keys()].filter(id => !this.selectedRows.has(id));
+		const removed = [...this.selectedRows.keys()].filter(id => !selected.has(id));
+
+		if (added.length === 0 && removed.length === 0) {
+			this.updateSelectionUI();
+			return;
+		}
+
+		const event = this.triggerEvent('select.yo.htmltable', {
+			ids: [...selected.keys()],
+			rows: [...selected.values()],
+			added,
+			removed
+		});
+
+		if (event.defaultPrevented) {
+			this.updateSelectionUI();
+			return;
+		}
+
+		this.selectedRows = selected;
+		this.updateSelectionUI();
+
+		this.triggerEvent('selected.yo.htmltable', {
+			ids: this.getSelectedIds(),
+			rows: this.getSelected(),
+			added,
+			removed
+		});
+	}
+
+	updateSelectionUI() {
+		if (!this.isSelectable()) {
+			return;
+		}
+
+		this.container.querySelectorAll('tbody tr').forEach(tr => {
+			const checkbox = tr.querySelector('.select-row');
+			const row = this.pageRows[parseInt(tr.dataset.rowIndex, 10)];
+			if (checkbox && row) {
+				const isSelected = this.selectedRows.has(this.getRowId(row));
+				checkbox.checked = isSelected;
+				tr.classList.toggle('table-active', isSelected);
+			}
+		});
+
+		const pageCheckbox = this.container.querySelector('thead .select-page');
+		if (pageCheckbox) {
+			const count = this.pageRows.filter(row => this.selectedRows.has(this.getRowId(row))).length;
+			pageCheckbox.checked = count > 0 && count === this.pageRows.length;
+			pageCheckbox.indeterminate = count > 0 && count < this.pageRows.length;
+		}
+
+		this.renderBulkActionBar();
+	}
+
+	renderBulkActionBar() {
+		if (!this.bulkActionBar) {
+			if (!this.bulkActions.length) {
+				return;
+			}
+			this.bulkActionBar = document.createElement('div');
+			this.container.parentNode.insertBefore(this.bulkActionBar, this.container);
+		}
+
+		const count = this.selectedRows.size;
+		this.bulkActionBar.innerHTML = '';
+		this.bulkActionBar.classList.toggle('d-none', count === 0);
+
+		if (count === 0) {
+			return;
+		}
+
+		const bar = document.createElement('div');
+		bar.className = 'bulk-action-bar alert alert-secondary d-flex flex-wrap align-items-center gap-2 py-2';
+
+		const summary = document.createElement('span');
+		summary.className = 'me-auto';
+		summary.innerHTML = `<strong>${count}</strong> selected`;
+		bar.appendChild(summary);
+
+		const matching = this.viewRows.length;
+		const allMatchingSelected = this.viewRows.every(row => this.selectedRows.has(this.getRowId(row)));
+		if (this.selectable === 'multi' && !allMatchingSelected) {
+			const selectAll = document.createElement('button');
+			selectAll.type = 'button';
+			selectAll.className = 'btn btn-link btn-sm';
+			selectAll.textContent = `Select all ${matching} matching`;
+			selectAll.addEventListener('click', () => this.selectAllMatching());
+			bar.appendChild(selectAll);
+		}
+
+		this.bulkActions.forEach(action => {
+			const button = document.createElement('button');
+			button.type = 'button';
+			button.className = action.className || 'btn btn-outline-primary btn-sm';
+			button.innerHTML = action.icon ? `<i class="${action.icon}"></i> ` : '';
+			button.appendChild(document.createTextNode(action.label));
+			button.addEventListener('click', () => {
+				const rows = this.getSelected();
+				this.triggerEvent('bulkaction.yo.htmltable', {
+					action: action.name || action.label,
+					rows,
+					ids: this.getSelectedIds()
+				});
+				if (typeof action.action === 'function') {
+					action.action(rows, this);
+				}
+			});
+			bar.appendChild(button);
+		});
+
+		const clear = document.createElement('button');
+		clear.type = 'button';
+		clear.className = 'btn btn-outline-secondary btn-sm';
+		clear.textContent = 'Clear';
+		clear.addEventListener('click', () => this.clearSelection());
+		bar.appendChild(clear);
+
+		this.bulkActionBar.appendChild(bar);
+	}
+
+	getState() {
+		return {
+			currentPage: this.currentPage,
+			rowsPerPage: this.rowsPerPage,
+			sortList: this.getSort(),
+			filterModel: this.getFilterModel(),
+			search: this.searchValue,
+			hiddenColumns: [...this.hiddenColumns],
+			columnOrder: this.columnOrder.map(index => this.columns[index].key),
+			columnWidths: { ...this.columnWidths },
+			pinnedColumns: { ...this.pinnedColumns }
+		};
+	}
+
+	setState(state) {
+		if (state.rowsPerPage) {
+			this.rowsPerPage = state.rowsPerPage;
+		}
+		if (Array.isArray(state.hiddenColumns)) {
+			this.hiddenColumns = new Set(state.hiddenColumns);
+		}
+		if (Array.isArray(state.columnOrder)) {
+			this.columnOrder = this.resolveColumnOrder(state.columnOrder);
+		}
+		if (state.columnWidths) {
+			this.columnWidths = { ...state.columnWidths };
+		}
+		if (state.pinnedColumns) {
+			this.pinnedColumns = { ...state.pinnedColumns };
+		}
+		if (Array.isArray(state.sortList)) {
+			this.sortList = state.sortList.filter(item => this.columns.some(col => col.key === item.column));
+			this.sortColumn = this.sortList[0]?.column ?? null;
+			this.sortOrder = this.sortList[0]?.order ?? 'asc';
+		}
+
+		if (state.filterModel) {
+			this.filterModel = {
+				logic: state.filterModel.logic === 'or' ? 'or' : 'and',
+				conditions: state.filterModel.conditions || []
+			};
+		}
+		this.searchValue = state.search || '';
+		this.applyFilters();
+
+		if (this.globalSearchInput) {
+			this.globalSearchInput.value = this.searchValue;
+		}
+
+		const totalPages = Math.max(1, Math.ceil(this.filteredData.length / this.rowsPerPage));
+		this.currentPage = Math.min(Math.max(1, state.currentPage || 1), totalPages);
+		this.updateFoundEntries();
+	}
+
+	getStorageKey() {
+		return this.stateKey || `yo.htmltable.${this.container.id || 'table'}`;
+	}
+
+	getStorage() {
+		if (this.stateSave === 'sessionStorage') {
+			return window.sessionStorage;
+		}
+		return window.localStorage;
+	}
+
+	saveState() {
+		if (!this.stateSave || this.restoringState) {
+			return;
+		}
+
+		// Renders that leave the state unchanged write nothing
+		const state = this.getState();
+		const serialized = JSON.stringify(state);
+		if (serialized === this.savedState) {
+			return;
+		}
+
+		try {
+			if (this.stateSave === 'url') {
+				const url = new URL(window.location.href);
+				url.searchParams.set(this.getStorageKey(), serialized);
+				window.history.replaceState(window.history.state, '', url);
+			} else {
+				this.getStorage().setItem(this.getStorageKey(), JSON.stringify({ time: Date.now(), state }));
+			}
+			this.savedState = serialized;
+		} catch (error) {
+			console.error('Error saving table state:', error);
+		}
+	}
+
+	readState() {
+		try {
+			if (this.stateSave === 'url') {
+				const value = new URL(window.location.href).searchParams.get(this.getStorageKey());
+				return value ? JSON.parse(value) : null;
+			}
+
+			const saved = JSON.parse(this.getStorage().getItem(this.getStorageKey()));
+			if (!saved) {
+				return null;
+			}
+
+			// Expired state is discarded, a stateDuration of 0 never expires
+			if (this.stateDuration > 0 && Date.now() - saved.time > this.stateDuration * 1000) {
+				this.clearState();
+				return null;
+			}
+			return saved.state;
+		} catch (error) {
+			console.error('Error reading table state:', error);
+			return null;
+		}
+	}
+
+	clearState() {
+		this.savedState = null;
+
+		if (this.stateSave === 'url') {
+			const url = new URL(window.location.href);
+			url.searchParams.delete(this.getStorageKey());
+			window.history.replaceState(window.history.state, '', url);
+		} else if (this.stateSave) {
+			this.getStorage().removeItem(this.getStorageKey());
+		}
+	}
+
+	loadState() {
+		if (!this.stateSave) {
+			return false;
+		}
+
+		const state = this.readState();
+		if (!state) {
+			return false;
+		}
+
+		// Listeners may veto the restore or modify event.detail.state
+		const event = this.triggerEvent('stateload.yo.htmltable', { state });
+		if (event.defaultPrevented) {
+			return false;
+		}
+
+		this.restoringState = true;
+		this.setState(event.detail.state);
+		this.restoringState = false;
+
+		this.triggerEvent('stateloaded.yo.htmltable', { state: event.detail.state });
+		return true;
+	}
+
+	setupLoadMoreButton() {
+		if (!this.loadMoreButton || !this.fragmentUrl) {
+			return;
+		}
+
+		const button = document.createElement('button');
+		button.type = 'button';
+		button.className = 'btn btn-outline-secondary load-more';
+		button.addEventListener('click', () => this.loadMore());
+
+		this.loadMoreButton.appendChild(button);
+		this.updateLoadMoreButton();
+	}
+
+	updateLoadMoreButton() {
+		const button = this.loadMoreButton?.querySelector('.load-more');
+		if (!button) {
+			return;
+		}
+
+		button.disabled = this.fragmentLoading;
+		button.classList.toggle('d-none', !this.hasMoreFragments);
+		button.innerHTML = this.fragmentLoading
+			? '<span class="spinner-border spinner-border-sm" aria-hidden="true"></span> '
+			: '<i class="bi bi-arrow-down-circle"></i> ';
+		button.appendChild(document.createTextNode(this.loadMoreText));
+	}
+
+	getFragmentUrl(page) {
+		const url = new URL(this.fragmentUrl, window.location.href);
+		const params = this.fragmentParams;
+
+		url.searchParams.set(params.page, page);
+		url.searchParams.set(params.rowsPerPage, this.fragmentPageSize || this.rowsPerPage);
+		if (this.sortList.length) {
+			url.searchParams.set(params.sort, this.sortList.map(item => `${item.column}:${item.order}`).join(','));
+		}
+		if (this.searchValue) {
+			url.searchParams.set(params.search, this.searchValue);
+		} else if (this.filterModel.conditions.length) {
+			url.searchParams.set(params.filters, JSON.stringify(this.filterModel));
+		}
+
+		return url.toString();
+	}
+
+	parseFragment(html) {
+		// Accept bare <tr> rows as well as a whole table or <tbody>
+		const template = document.createElement('template');
+		template.innerHTML = html.trim();
+
+		const tbody = template.content.querySelector('tbody');
+		return [...(tbody || template.content).children].filter(element => element.tagName === 'TR');
+	}
+
+	async loadMore() {
+		if (!this.fragmentUrl || !this.hasMoreFragments || this.fragmentLoading) {
+			return [];
+		}
+		return this.loadFragment(this.fragmentPage + 1);
+	}
+
+	reloadFragments() {
+		if (!this.fragmentUrl || !this.fragmentReload) {
+			return;
+		}
+		this.loadFragment(1, true);
+	}
+
+	async loadFragment(page, replace = false) {
+		const url = this.getFragmentUrl(page);
+
+		const event = this.triggerEvent('fragmentload.yo.htmltable', { page, url, replace });
+		if (event.defaultPrevented) {
+			return [];
+		}
+
+		// A newer request (e.g. after another sort change) makes this one stale
+		const requestId = ++this.fragmentRequestId;
+		this.fragmentLoading = true;
+		this.updateLoadMoreButton();
+
+		try {
+			const response = await fetch(url, {
+				...this.fragmentFetchOptions,
+				headers: { Accept: 'text/html', ...this.fragmentFetchOptions.headers }
+			});
+			if (!response.ok) {
+				throw new Error(`HTTP error! status: ${response.status}`);
+			}
+
+			const html = await response.text();
+			if (requestId !== this.fragmentRequestId) {
+				return [];
+			}
+
+			if (replace) {
+				this.data = [];
+			}
+
+			const rows = this.parseFragment(html).map(tr => {
+				const rowData = this.createRowData(tr, this.data.length);
+				this.data.push(rowData);
+				return rowData;
+			});
+
+			if (replace) {
+				this.reconcileRowState();
+			}
+
+			// The server can state the end explicitly, otherwise a short page is the last one
+			const hasMore = response.headers.get('X-Has-More');
+			this.hasMoreFragments = hasMore !== null
+				? hasMore !== 'false' && hasMore !== '0'
+				: rows.length >= (this.fragmentPageSize || this.rowsPerPage);
+			this.fragmentPage = page;
+			this.fragmentLoading = false;
+
+			this.applyFilters();
+			if (replace) {
+				this.currentPage = 1;
+			}
+			this.updateFoundEntries();
+			this.renderTable('rows');
+			this.updateLoadMoreButton();
+
+			this.triggerEvent('fragmentloaded.yo.htmltable', {
+				page,
+				rows,
+				replace,
+				hasMore: this.hasMoreFragments
+			});
+
+			return rows;
+		} catch (error) {
+			if (requestId === this.fragmentRequestId) {
+				console.error('Error loading rows:', error);
+				this.fragmentLoading = false;
+				this.updateLoadMoreButton();
+				this.triggerEvent('fragmenterror.yo.htmltable', { page, url, error });
+			}
+			return [];
+		}
+	}
+
+	reconcileRowState() {
+		// data-id and rowIdKey values are strings, a number is the row's position, which a reload reassigns
+		const keep = (id) => typeof id !== 'number';
+		const rowsById = new Map(this.data.map(row => [this.getRowId(row), row]));
+
+		// Selected rows the server no longer returned stay selected, like rows hidden by a filter
+		const selected = new Map();
+		this.selectedRows.forEach((row, id) => {
+			if (keep(id)) {
+				selected.set(id, rowsById.get(id) || row);
+			}
+		});
+		this.selectedRows = selected;
+
+		[this.expandedRows, this.responsiveExpanded].forEach(ids => {
+			[...ids].filter(id => !keep(id)).forEach(id => ids.delete(id));
+		});
+		[...this.detailContent.keys()].filter(id => !keep(id)).forEach(id => this.detailContent.delete(id));
+	}
+
+	// Public API methods
+	addRow(rowElement) {
+		const rowData = this.createRowData(rowElement, this.data.length);
+
+		this.data.push(rowData);
+		this.applyFilters();
+		this.updateFoundEntries();
+		this.renderTable('rows');
+
+		this.triggerEvent('rowadded.yo.htmltable', { row: rowData });
+	}
+
+	removeRow(rowIndex) {
+		const removedRow = this.data.splice(rowIndex, 1)[0];
+		this.selectedRows.delete(this.getRowId(removedRow));
+		this.expandedRows.delete(this.getRowId(removedRow));
+		this.responsiveExpanded.delete(this.getRowId(removedRow));
+		this.applyFilters();
 		this.updateFoundEntries();
 		this.renderTable('rows');
 
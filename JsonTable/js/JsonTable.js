@@ -10,41 +10,694 @@ class JsonTable {
 		this.foundEntriesContainer = options.foundEntriesContainer ? document.querySelector(options.foundEntriesContainer) : null;
 		this.foundEntriesText = options.foundEntriesText || 'XX Entries Found';
 		this.foundSearchedText = options.foundSearchedText || 'XX of XX Entries Found';
+		this.accessible = options.accessible || false; // ARIA grid with keyboard navigation and live announcements
+		this.pageAnnouncement = options.pageAnnouncement || 'Page XX of XX';
+		this.resultsAnnouncement = options.resultsAnnouncement || 'XX results';
 		this.columns = options.columns || []; // Array of objects defining column settings
 		this.allowEdit = options.allowEdit || false; // Whether to enable editing
 		this.editPlacement = options.editPlacement || 'start'; // 'start' or 'end'
+		this.editMode = options.editMode || 'modal'; // 'modal' or 'inline'
+		this.rowIdKey = options.rowIdKey || 'id'; // Key that uniquely identifies a row
+		this.allowCreate = options.allowCreate || false; // Whether to enable adding rows
+		this.allowDelete = options.allowDelete || false; // Whether to enable deleting rows
+		this.createUrl = options.createUrl || ''; // URL the new row is posted to
+		this.deleteUrl = options.deleteUrl || ''; // URL the deleted row id is posted to
+		this.createButton = options.createButton ? document.querySelector(options.createButton) : null;
+		this.exportButton = options.exportButton ? document.querySelector(options.exportButton) : null;
+		this.bulkActionBar = options.bulkActionBar ? document.querySelector(options.bulkActionBar) : null;
+		this.selectable = options.selectable || false; // 'single' or 'multi'
+		this.bulkActions = options.bulkActions || []; // [{ label, icon, className, action(rows, table) }]
+		this.virtualScroll = options.virtualScroll || false; // Render only the visible rows of all matches (not with serverSide)
+		this.virtualScrollHeight = options.virtualScrollHeight || '400px';
+		this.rowHeight = options.rowHeight || 40; // Estimated row height in pixels, measured after render
+		this.virtualBuffer = options.virtualBuffer ?? 10; // Extra rows rendered above and below the view
+		this.groupBy = options.groupBy || null; // Column key or function(row) returning the group value
+		this.groupLabel = options.groupLabel || null; // function(group) returning the group header text
+		this.groupsCollapsed = options.groupsCollapsed || false; // Start with every group collapsed
+		this.showTotals = options.showTotals ?? true; // Footer totals row for columns with an aggregate
+		this.detailRow = options.detailRow || null; // <template> selector or function(row, table) returning HTML, a node or a Promise
+		this.detailCache = options.detailCache ?? true; // Keep loaded detail content after collapsing
+		this.exportFormats = options.exportFormats || ['csv', 'json', 'excel'];
+		this.exportValues = options.exportValues || 'raw'; // Export 'raw' values or the 'formatted' display text
+		this.locale = options.locale || undefined; // Locale for the Intl based formatters, defaults to the browser's
+		this.formatters = { ...this.getDefaultFormatters(), ...(options.formatters || {}) }; // Named formatters for column.format
+		this.exportFilename = options.exportFilename || 'table';
+		this.stateSave = options.stateSave === true ? 'localStorage' : (options.stateSave || false); // localStorage, sessionStorage or url
+		this.stateKey = options.stateKey || null;
+		this.stateDuration = options.stateDuration ?? 7200; // Seconds, 0 keeps the state forever
+		this.createModalTitle = options.createModalTitle || 'Add Row';
+		this.confirmDelete = options.confirmDelete || (() => window.confirm('Are you sure you want to delete this row?'));
 		this.editSaveUrl = options.editSaveUrl || ''; // Added editSaveUrl
 		this.editSaveAdditionalData = options.editSaveAdditionalData || {}; // Added editSaveAdditionalData
 		this.toastWrapper = options.toastWrapper || ''; // Added toastWrapper
 		this.toastBody = options.toastBody || ''; // Added toastBody
+		this.serverSide = options.serverSide || false; // Page, sort and filter on the server
+		this.serverParams = Object.assign({
+			page: 'page',
+			rowsPerPage: 'rowsPerPage',
+			sortColumn: 'sortColumn',
+			sortOrder: 'sortOrder',
+			sort: 'sort',
+			search: 'search',
+			filters: 'filters'
+		}, options.serverParams || {}); // Query parameter names used in serverSide mode
+		this.requestBuilder = options.requestBuilder || null; // Custom request builder for serverSide mode
+		this.fetchOptions = options.fetchOptions || {}; // method, headers, body and credentials of the default fetch adapter
+		this.dataPath = options.dataPath || null; // Dot path to the rows in the response, e.g. 'data.items'
+		this.adapter = this.createAdapter(options.adapter); // Array, function(state, table) or { load(state, table) }
+		this.loadingText = options.loadingText || 'Loading...';
+		this.errorText = options.errorText || 'Data could not be loaded.';
+		this.refreshInterval = options.refreshInterval || 0; // Milliseconds between reloads, 0 disables polling
+		this.pauseWhenHidden = options.pauseWhenHidden ?? true; // Skip polling while the page is in a background tab
+		this.dataSource = options.dataSource || null; // EventSource, WebSocket or any object emitting 'message' events
+		this.messageParser = options.messageParser || null; // function(data, event) turning a push message into rows or an update
+		this.highlightDuration = options.highlightDuration ?? 1500; // Milliseconds changed rows stay highlighted
+		this.undoToast = options.undoToast || false; // Offer an Undo button in the toast after each save
+		this.undoLimit = options.undoLimit ?? 50; // Saved edits that can be undone, the change log itself is not limited
 
 		this.data = [];
 		this.currentPage = 1;
 		this.sortColumn = null;
 		this.sortOrder = 'asc';
+		this.sortList = []; // Ordered list of { column, order }, sortColumn/sortOrder mirror the first entry
 		this.filteredPages = 0;
 		this.filteredData = [];
+		this.searchValue = '';
+		this.columnFilters = {};
+		this.totalRecords = 0;
+		this.filteredRecords = 0;
+		this.serverRequestId = 0;
+		this.pageRows = [];
+		this.viewRows = [];
+		this.selectedRows = new Map(); // Row id => row data, kept across paging and filtering
+		this.selectionAnchor = null;
+		this.scrollContainer = null;
+		this.virtualWindow = { start: 0, end: 0 };
+		this.virtualFrame = null;
+		this.rowHeightMeasured = false;
+		this.viewItemCount = 0;
+		this.groups = [];
+		this.groupState = new Map(); // Group key => collapsed, overrides groupsCollapsed
+		this.expandedRows = new Set(); // Ids of rows with an open detail row, kept across renders
+		this.detailContent = new Map(); // Row id => content resolved by an async detailRow
+		this.detailLoading = new Map(); // Row id => pending detailRow promise
+		this.serverAggregates = null;
+		this.intlCache = new Map();
+		this.refreshTimer = null;
+		this.refreshToken = 0;
+		this.sourceListener = null;
+		this.loadError = null;
+		this.undoStack = []; // Saved edits { rowId, changes: [{ key, oldValue, newValue }], timestamp }
+		this.redoStack = [];
+		this.changeLog = []; // Every saved, undone and redone value change of this page session
+		this.historyPending = false;
+		this.activeCell = { row: 0, column: 0 }; // Grid position of the cell with tabindex 0
+		this.restoreGridFocus = false;
+		this.liveRegion = null;
+		this.announcedCount = null;
+		this.restoringState = false;
+		this.savedState = null; // Serialized state of the last save
 
 		this.init();
 	}
 
+	static arrayAdapter(rows) {
+		return {
+			load: async () => [...rows]
+		};
+	}
+
+	static functionAdapter(fn) {
+		return {
+			load: (state, table) => Promise.resolve(fn(state, table))
+		};
+	}
+
+	static fetchAdapter(url, options = {}) {
+		const { dataPath = null, totalPath = 'total', filteredTotalPath = 'filteredTotal', ...fetchOptions } = options;
+
+		return {
+			load: async (state, table) => {
+				let requestUrl = url;
+				let requestOptions = {};
+
+				// serverSide requests carry the page, sort and filters in the query string
+				if (state) {
+					({ url: requestUrl, options: requestOptions } = table.buildServerRequest(state, url));
+				}
+
+				const headers = { ...(typeof fetchOptions.headers === 'function' ? fetchOptions.headers(state) : fetchOptions.headers) };
+				let body = typeof fetchOptions.body === 'function' ? fetchOptions.body(state) : fetchOptions.body;
+				if (body && typeof body === 'object' && !(body instanceof FormData) && !(body instanceof URLSearchParams) && !(body instanceof Blob)) {
+					body = JSON.stringify(body);
+					headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+				}
+
+				const response = await fetch(requestUrl, {
+					...fetchOptions,
+					...requestOptions,
+					headers: { ...headers, ...(requestOptions.headers || {}) },
+					body: requestOptions.body ?? body
+				});
+
+				if (!response.ok) {
+					throw new Error(`Server responded with ${response.status}`);
+				}
+
+				const result = await response.json();
+				if (!dataPath) {
+					return result;
+				}
+
+				// Unwrap envelopes such as { data: { items: [] }, meta: { total } }
+				return {
+					rows: JsonTable.getPath(result, dataPath),
+					total: JsonTable.getPath(result, totalPath),
+					filteredTotal: JsonTable.getPath(result, filteredTotalPath),
+					aggregates: result.aggregates
+				};
+			}
+		};
+	}
+
+	static getPath(object, path) {
+		return String(path).split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+	}
+
+	createAdapter(adapter) {
+		if (Array.isArray(adapter)) {
+			return JsonTable.arrayAdapter(adapter);
+		}
+		if (typeof adapter === 'function') {
+			return JsonTable.functionAdapter(adapter);
+		}
+		if (adapter && typeof adapter.load === 'function') {
+			return adapter;
+		}
+		return JsonTable.fetchAdapter(this.jsonUrl, { ...this.fetchOptions, dataPath: this.dataPath });
+	}
+
+	normalizeResult(result) {
+		const normalized = Array.isArray(result) ? { rows: result } : { ...(result || {}) };
+
+		if (!Array.isArray(normalized.rows)) {
+			throw new Error('The data adapter did not return an array of rows');
+		}
+		return normalized;
+	}
+
 	async init() {
+		// Restore before fetching so serverSide requests already use the saved state
+		const restored = this.loadState();
 		await this.fetchData();
+		if (restored && !this.serverSide) {
+			this.applyFilters();
+			this.clampCurrentPage();
+		}
 		this.setupRowsPerPageSelector();
+		this.setupCreateButton();
+		this.setupExportButton();
+		if (!this.serverSide) {
+			this.setupVirtualScroll();
+		}
+		this.setupAccessibility();
 		this.renderTable();
 		this.addGlobalSearchListener();
+
+		if (this.refreshInterval) {
+			this.startRefresh();
+		}
+		if (this.dataSource) {
+			this.connect(this.dataSource);
+		}
 	}
 
 	async fetchData() {
+		if (this.serverSide) {
+			return this.fetchServerData();
+		}
+
+		this.showPlaceholder('loading');
+
 		try {
-			const response = await fetch(this.jsonUrl);
-			this.data = await response.json();
+			this.data = await this.fetchRows();
 			this.filteredData = [...this.data];
+			this.loadError = null;
 			this.updateFoundEntries();
 			this.triggerEvent('load.yo.jsontable', { data: this.data });
 		} catch (error) {
 			console.error('Error fetching JSON data:', error);
+			this.loadError = error;
+			this.showPlaceholder('error');
+			this.triggerEvent('loaderror.yo.jsontable', { error });
+		}
+	}
+
+	async fetchRows() {
+		const result = this.normalizeResult(await this.adapter.load(null, this));
+		return result.rows;
+	}
+
+	async retryLoad() {
+		this.loadError = null;
+		await this.fetchData();
+		this.renderTable();
+	}
+
+	getColumnCount() {
+		return this.columns.length
+			+ (this.isSelectable() ? 1 : 0)
+			+ (this.hasDetailRows() ? 1 : 0)
+			+ (this.hasEditColumn() ? 1 : 0);
+	}
+
+	renderPlaceholderRow(type) {
+		const tr = document.createElement('tr');
+		tr.className = `table-placeholder table-placeholder-${type}`;
+
+		const td = document.createElement('td');
+		td.colSpan = this.getColumnCount();
+		td.className = 'text-center py-4';
+
+		if (type === 'loading') {
+			td.innerHTML = '<span class="spinner-border spinner-border-sm me-2" role="status"></span>';
+			td.appendChild(document.createTextNode(this.loadingText));
+		} else {
+			const message = document.createElement('div');
+			message.className = 'text-danger mb-2';
+			message.innerHTML = '<i class="bi bi-exclamation-triangle me-2"></i>';
+			message.appendChild(document.createTextNode(this.errorText));
+
+			const retry = document.createElement('button');
+			retry.type = 'button';
+			retry.className = 'btn btn-outline-secondary btn-sm';
+			retry.innerHTML = '<i class="bi bi-arrow-clockwise"></i> Retry';
+			retry.addEventListener('click', () => this.retryLoad());
+
+			td.append(message, retry);
+		}
+
+		tr.appendChild(td);
+		return tr;
+	}
+
+	showPlaceholder(type) {
+		const tableBody = this.container.querySelector('tbody');
+		if (!tableBody) {
+			return;
+		}
+		tableBody.innerHTML = '';
+		tableBody.appendChild(this.renderPlaceholderRow(type));
+	}
+
+	setBusy(busy) {
+		// Rows already on screen stay visible but dimmed while the next page loads
+		const tableBody = this.container.querySelector('tbody');
+		this.container.setAttribute('aria-busy', String(busy));
+		if (tableBody) {
+			tableBody.style.opacity = busy ? '0.5' : '';
+		}
+	}
+
+	async reload() {
+		const event = this.triggerEvent('reload.yo.jsontable', {});
+
+		if (event.defaultPrevented) {
+			return false;
+		}
+
+		// The server sorts, filters and pages, so only the highlight needs a diff
+		if (this.serverSide) {
+			const before = new Map(this.pageRows.map(row => [String(this.getRowId(row)), JSON.stringify(row)]));
+			await this.fetchServerData();
+			this.renderTable('rows');
+			const changed = this.pageRows.filter(row => before.get(String(this.getRowId(row))) !== JSON.stringify(row));
+			this.highlightRows(changed);
+			this.triggerEvent('reloaded.yo.jsontable', { data: this.data });
+			return true;
+		}
+
+		try {
+			const rows = await this.fetchRows();
+			if (!Array.isArray(rows)) {
+				throw new Error('Expected an array of rows');
+			}
+			this.loadError = null;
+			this.applyData(rows);
+			this.triggerEvent('reloaded.yo.jsontable', { data: this.data });
+			return true;
+		} catch (error) {
+			console.error('Error reloading JSON data:', error);
 			this.triggerEvent('loaderror.yo.jsontable', { error });
+			return false;
+		}
+	}
+
+	startRefresh(interval = this.refreshInterval) {
+		this.stopRefresh();
+
+		if (!interval) {
+			return;
+		}
+
+		this.refreshInterval = interval;
+		const token = this.refreshToken;
+
+		// The next reload is scheduled once the previous one finished, so slow responses never overlap
+		const tick = async () => {
+			if (!(this.pauseWhenHidden && document.hidden)) {
+				await this.reload();
+			}
+			if (token === this.refreshToken) {
+				this.refreshTimer = setTimeout(tick, this.refreshInterval);
+			}
+		};
+
+		this.refreshTimer = setTimeout(tick, interval);
+	}
+
+	stopRefresh() {
+		this.refreshToken++;
+		clearTimeout(this.refreshTimer);
+		this.refreshTimer = null;
+	}
+
+	connect(source) {
+		this.disconnect();
+		this.dataSource = source;
+		this.sourceListener = (e) => this.handleSourceMessage(e);
+
+		if (typeof source.addEventListener === 'function') {
+			source.addEventListener('message', this.sourceListener);
+		} else {
+			source.onmessage = this.sourceListener;
+		}
+	}
+
+	disconnect() {
+		// The source is left open, it belongs to the caller
+		if (!this.dataSource || !this.sourceListener) {
+			return;
+		}
+
+		if (typeof this.dataSource.removeEventListener === 'function') {
+			this.dataSource.removeEventListener('message', this.sourceListener);
+		} else if (this.dataSource.onmessage === this.sourceListener) {
+			this.dataSource.onmessage = null;
+		}
+
+		this.sourceListener = null;
+	}
+
+	handleSourceMessage(e) {
+		let message;
+
+		try {
+			message = typeof this.messageParser === 'function'
+				? this.messageParser(e.data, e)
+				: (typeof e.data === 'string' ? JSON.parse(e.data) : e.data);
+		} catch (error) {
+			console.error('Error parsing data source message:', error);
+			this.triggerEvent('sourceerror.yo.jsontable', { error, event: e });
+			return;
+		}
+
+		if (!message) {
+			return;
+		}
+
+		// Only the current page is loaded in serverSide mode, so any change fetches it again
+		if (this.serverSide) {
+			this.reload();
+			return;
+		}
+
+		if (Array.isArray(message)) {
+			this.applyData(message);
+			return;
+		}
+
+		switch (message.action) {
+			case 'replace':
+				this.applyData(message.rows || []);
+				break;
+			case 'upsert':
+				this.upsertRows(message.rows || [message.row]);
+				break;
+			case 'delete':
+				this.removeRows(message.ids || [message.id]);
+				break;
+			default:
+				console.warn('Unknown data source message:', message);
+		}
+	}
+
+	applyData(rows) {
+		return this.updateData(rows, { removeMissing: true });
+	}
+
+	upsertRows(rows) {
+		return this.updateData(rows.filter(Boolean), { removeMissing: false });
+	}
+
+	removeRows(ids) {
+		const remove = new Set(ids.map(String));
+		return this.updateData([], { remove });
+	}
+
+	valuesEqual(a, b) {
+		if (a === b) {
+			return true;
+		}
+		if (a && b && typeof a === 'object' && typeof b === 'object') {
+			return JSON.stringify(a) === JSON.stringify(b);
+		}
+		return false;
+	}
+
+	updateData(incoming, { removeMissing = false, remove = new Set() } = {}) {
+		const current = new Map(this.data.map(row => [String(this.getRowId(row)), row]));
+		const seen = new Set();
+		const added = [];
+		const changes = [];
+
+		incoming.forEach(next => {
+			const id = String(this.getRowId(next));
+			const row = current.get(id);
+			seen.add(id);
+
+			if (!row) {
+				added.push(next);
+				return;
+			}
+
+			const keys = [...new Set([...Object.keys(row), ...Object.keys(next)])]
+				.filter(key => !this.valuesEqual(row[key], next[key]));
+			if (keys.length) {
+				changes.push({ row, next, keys, structural: keys.some(key => !(key in row) || !(key in next)) });
+			}
+		});
+
+		const removed = this.data.filter(row => {
+			const id = String(this.getRowId(row));
+			return remove.has(id) || (removeMissing && !seen.has(id));
+		});
+
+		if (added.length === 0 && changes.length === 0 && removed.length === 0) {
+			return { added, updated: [], removed };
+		}
+
+		const event = this.triggerEvent('update.yo.jsontable', {
+			added,
+			updated: changes.map(change => change.row),
+			removed,
+			changes: changes.map(({ row, next, keys }) => ({ row, changes: next, keys }))
+		});
+
+		if (event.defaultPrevented) {
+			return { added: [], updated: [], removed: [] };
+		}
+
+		// Existing row objects are updated in place, so selection, detail rows and open editors keep their reference
+		changes.forEach(({ row, next, keys }) => {
+			keys.forEach(key => {
+				if (key in next) {
+					row[key] = next[key];
+				} else {
+					delete row[key];
+				}
+			});
+			this.detailContent.delete(this.getRowId(row));
+		});
+
+		const removedSet = new Set(removed);
+		if (removeMissing) {
+			// A full dataset also brings the row order
+			this.data = incoming.map(next => current.get(String(this.getRowId(next))) || next);
+		} else {
+			this.data = [...this.data.filter(row => !removedSet.has(row)), ...added];
+		}
+
+		removed.forEach(row => {
+			this.selectedRows.delete(this.getRowId(row));
+			this.expandedRows.delete(this.getRowId(row));
+		});
+
+		this.refreshView(added, changes, removed);
+
+		const updated = changes.map(change => change.row);
+		this.triggerEvent('updated.yo.jsontable', { added, updated, removed });
+		return { added, updated, removed };
+	}
+
+	refreshView(added, changes, removed) {
+		const oldFiltered = this.filteredData;
+		this.applyFilters();
+
+		// Patch the changed cells when the same rows stay on the page in the same order, otherwise render the page again
+		const sortKeys = this.sortList.map(item => item.column);
+		const viewChanged = added.length > 0
+			|| removed.length > 0
+			|| this.groupBy
+			|| this.filteredData.length !== oldFiltered.length
+			|| this.filteredData.some((row, index) => row !== oldFiltered[index])
+			|| changes.some(change => change.structural || change.keys.some(key => sortKeys.includes(key)));
+
+		const highlight = [...added, ...changes.map(change => change.row)];
+
+		if (viewChanged) {
+			this.clampCurrentPage();
+			this.renderTable('rows');
+			this.highlightRows(highlight);
+			return;
+		}
+
+		const changedRows = new Map(changes.map(change => [change.row, change.keys]));
+		this.container.querySelectorAll('tbody tr[data-row-index]').forEach(tr => {
+			const row = this.pageRows[parseInt(tr.dataset.rowIndex, 10)];
+			const keys = changedRows.get(row);
+			if (!keys) {
+				return;
+			}
+			keys.forEach(key => {
+				const td = [...tr.children].find(cell => cell.dataset.key === key);
+				// Leave cells alone while they are being edited or saved
+				if (td && !td.classList.contains('cell-editing') && !td.classList.contains('cell-saving')) {
+					this.renderCell(td, key, row[key], row);
+				}
+			});
+		});
+
+		this.renderTotals();
+		this.updateFoundEntries();
+		this.highlightRows(highlight);
+	}
+
+	highlightRows(rows) {
+		if (!this.highlightDuration || rows.length === 0) {
+			return;
+		}
+
+		const ids = new Set(rows.map(row => String(this.getRowId(row))));
+		this.container.querySelectorAll('tbody tr[data-row-index]').forEach(tr => {
+			const row = this.pageRows[parseInt(tr.dataset.rowIndex, 10)];
+			if (row && ids.has(String(this.getRowId(row)))) {
+				tr.classList.add('row-updated', 'table-warning');
+				setTimeout(() => tr.classList.remove('row-updated', 'table-warning'), this.highlightDuration);
+			}
+		});
+	}
+
+	getServerState() {
+		return {
+			page: this.currentPage,
+			rowsPerPage: this.rowsPerPage,
+			sortColumn: this.sortColumn,
+			sortOrder: this.sortOrder,
+			sort: this.getSort(),
+			search: this.searchValue,
+			filters: { ...this.columnFilters }
+		};
+	}
+
+	buildServerRequest(state, baseUrl = this.jsonUrl) {
+		if (typeof this.requestBuilder === 'function') {
+			const built = this.requestBuilder(state, this);
+			if (typeof built === 'string') {
+				return { url: built, options: {} };
+			}
+			return { url: built.url, options: built.options || {} };
+		}
+
+		const url = new URL(baseUrl, window.location.href);
+		const params = this.serverParams;
+
+		url.searchParams.set(params.page, state.page);
+		url.searchParams.set(params.rowsPerPage, state.rowsPerPage);
+
+		if (state.sortColumn) {
+			url.searchParams.set(params.sortColumn, state.sortColumn);
+			url.searchParams.set(params.sortOrder, state.sortOrder);
+		}
+
+		// Secondary sort keys are only sent when sorting by more than one column
+		if (state.sort.length > 1) {
+			url.searchParams.set(params.sort, state.sort.map(item => `${item.column}:${item.order}`).join(','));
+		}
+
+		if (state.search) {
+			url.searchParams.set(params.search, state.search);
+		}
+
+		Object.entries(state.filters).forEach(([key, value]) => {
+			url.searchParams.set(`${params.filters}[${key}]`, value);
+		});
+
+		return { url: url.toString(), options: {} };
+	}
+
+	async fetchServerData() {
+		const state = this.getServerState();
+		const requestId = ++this.serverRequestId;
+
+		if (this.container.querySelector('tbody tr[data-row-index]')) {
+			this.setBusy(true);
+		} else {
+			this.showPlaceholder('loading');
+		}
+
+		try {
+			const result = this.normalizeResult(await this.adapter.load(state, this));
+
+			// A newer request was sent while this one was in flight
+			if (requestId !== this.serverRequestId) {
+				return;
+			}
+
+			this.setBusy(false);
+			this.loadError = null;
+
+			this.data = result.rows;
+			this.filteredData = [...this.data];
+			this.totalRecords = result.total ?? this.data.length;
+			this.filteredRecords = result.filteredTotal ?? this.totalRecords;
+			this.serverAggregates = result.aggregates || null;
+			this.updateFoundEntries();
+			this.triggerEvent('load.yo.jsontable', {
+				data: this.data,
+				total: this.totalRecords,
+				filteredTotal: this.filteredRecords,
+				state
+			});
+		} catch (error) {
+			if (requestId !== this.serverRequestId) {
+				return;
+			}
+			console.error('Error fetching JSON data:', error);
+			this.setBusy(false);
+			this.loadError = error;
+			this.showPlaceholder('error');
+			this.triggerEvent('loaderror.yo.jsontable', { error, state });
 		}
 	}
 
@@ -52,20 +705,25 @@ class JsonTable {
 		const event = new CustomEvent(eventName, {
 			detail,
 			bubbles: true,
-			cancelable: eventName.split('.')[0].match(/^(sort|filter|edit|save|pagechange|rowsperpage)$/) !== null
+			cancelable: eventName.split('.')[0].match(/^(sort|filter|edit|save|create|delete|pagechange|rowsperpage|export|stateload|select|grouptoggle|expand|collapse|reload|update|undo|redo)$/) !== null
 		});
 		this.container.dispatchEvent(event);
 		return event;
 	}
 
 	updateFoundEntries() {
+		const totalEntries = this.serverSide ? this.totalRecords : this.data.length;
+		const filteredEntries = this.serverSide ? this.filteredRecords : this.filteredData.length;
+
+		if (filteredEntries !== this.announcedCount && this.liveRegion) {
+			this.announcedCount = filteredEntries;
+			this.announce(this.resultsAnnouncement.replace('XX', filteredEntries));
+		}
+
 		if (!this.foundEntriesContainer) {
 			return;
 		}
 
-		const totalEntries = this.data.length;
-		const filteredEntries = this.filteredData.length;
-
 		let text = '';
 
 		if (filteredEntries === totalEntries) {
@@ -98,7 +756,7 @@ class JsonTable {
 			});
 
 			// Add event listener
-			this.rowsPerPageSelect.addEventListener('change', (e) => {
+			this.rowsPerPageSelect.addEventListener('change', async (e) => {
 				const oldValue = this.rowsPerPage;
 				const newValue = parseInt(e.target.value, 10);
 
@@ -113,6 +771,9 @@ class JsonTable {
 
 				this.rowsPerPage = newValue;
 				this.currentPage = 1; // Reset to first page
+				if (this.serverSide) {
+					await this.fetchServerData();
+				}
 				this.renderTable('rows');
 
 				this.triggerEvent('rowsperpagechanged.yo.jsontable', {
@@ -149,8 +810,8 @@ class JsonTable {
 		const headerRow = tableHeader.querySelector('tr');
 
 		// Add edit column if allowEdit is true
-		if (this.allowEdit && this.editPlacement === 'start') {
-			headerRow.insertAdjacentHTML('afterbegin', `<th>Edit</th>`);
+		if (this.hasEditColumn() && this.editPlacement === 'start') {
+			headerRow.insertAdjacentHTML('afterbegin', `<th>${this.getActionsTitle()}</th>`);
 		}
 
 		this.columns.forEach((column) => {
@@ -170,18 +831,10 @@ class JsonTable {
 				sortIcon.className = 'sort-icon ms-1';
 
 				// Add appropriate icon based on current sort state
-				if (this.sortColumn === column.key) {
-					if (this.sortOrder === 'asc') {
-						sortIcon.innerHTML = '<i class="bi bi-arrow-up"></i>';
-					} else {
-						sortIcon.innerHTML = '<i class="bi bi-arrow-down"></i>';
-					}
-				} else {
-					sortIcon.innerHTML = '<i class="bi bi-arrow-down-up"></i>';
-				}
+				sortIcon.innerHTML = this.getSortIconHtml(column.key);
 
 				th.appendChild(sortIcon);
-				th.addEventListener('click', () => this.toggleSort(column.key));
+				th.addEventListener('click', (e) => this.toggleSort(column.key, e.shiftKey));
 			} else {
 				th.textContent = column.title;
 			}
@@ -189,9 +842,20 @@ class JsonTable {
 			headerRow.appendChild(th);
 		});
 
-		if (this.allowEdit && this.editPlacement === 'end') {
-			headerRow.insertAdjacentHTML('beforeend', `<th>Edit</th>`);
+		if (this.hasEditColumn() && this.editPlacement === 'end') {
+			headerRow.insertAdjacentHTML('beforeend', `<th>${this.getActionsTitle()}</th>`);
+		}
+
+		if (this.hasDetailRows()) {
+			headerRow.insertAdjacentHTML('afterbegin', '<th class="detail-cell"><span class="visually-hidden">Details</span></th>');
 		}
+
+		if (this.isSelectable()) {
+			headerRow.insertBefore(this.renderSelectHeaderCell(), headerRow.firstChild);
+		}
+
+		this.updateSortIcons();
+		this.applyGridSemantics();
 	}
 
 	renderFooter() {
@@ -200,7 +864,7 @@ class JsonTable {
 		const footerRow = tableFooter.querySelector('tr');
 
 		// Add edit column if allowEdit is true
-		if (this.allowEdit && this.editPlacement === 'start') {
+		if (this.hasEditColumn() && this.editPlacement === 'start') {
 			footerRow.insertAdjacentHTML('afterbegin', `<td></td>`);
 		}
 
@@ -210,7 +874,10 @@ class JsonTable {
 				const select = document.createElement('select');
 				select.className = 'form-control';
 				select.innerHTML = `<option value="">All ${column.title}</option>`;
-				const uniqueValues = [...new Set(this.data.map(row => row[column.key]))];
+				// In serverSide mode only the current page is loaded, so prefer the declared options
+				const uniqueValues = (this.serverSide && column.options)
+					? column.options
+					: [...new Set(this.data.map(row => row[column.key]))];
 				uniqueValues.forEach(value => {
 					const option = document.createElement('option');
 					option.textContent = value;
@@ -227,44 +894,112 @@ class JsonTable {
 				input.addEventListener('input', (e) => this.filterColumn(column.key, e.target.value));
 				td.appendChild(input);
 			}
+
+			// Keep the active filter value when the footer is rebuilt
+			const field = td.querySelector('input, select');
+			if (field && this.columnFilters[column.key] !== undefined) {
+				field.value = this.columnFilters[column.key];
+			}
+
 			footerRow.appendChild(td);
 		});
+
+		if (this.hasEditColumn() && this.editPlacement === 'end') {
+			footerRow.insertAdjacentHTML('beforeend', `<td></td>`);
+		}
+
+		if (this.hasDetailRows()) {
+			footerRow.insertAdjacentHTML('afterbegin', '<td class="detail-cell"></td>');
+		}
+
+		if (this.isSelectable()) {
+			footerRow.insertAdjacentHTML('afterbegin', '<td class="select-cell"></td>');
+		}
+
+		this.renderTotals();
+		this.applyGridSemantics();
 	}
 
-	renderRows() {
+	renderRows(options = {}) {
 		const tableBody = this.container.querySelector('tbody');
 		tableBody.innerHTML = '';
-		const start = (this.currentPage - 1) * this.rowsPerPage;
-		const end = start + this.rowsPerPage;
 
-		let rows = [...this.filteredData];
+		// Keep the error row (and its retry button) until a load succeeds
+		if (this.loadError) {
+			this.pageRows = [];
+			this.viewRows = [];
+			this.filteredPages = 0;
+			tableBody.appendChild(this.renderPlaceholderRow('error'));
+			this.applyGridSemantics();
+			return;
+		}
+		let start = (this.currentPage - 1) * this.rowsPerPage;
+		let end = start + this.rowsPerPage;
 
-		// Sorting
-		if (this.sortColumn) {
-			const column = this.columns.find(col => col.key === this.sortColumn);
-			const hasSortValue = column && typeof column.sortValue === 'function';
+		let rows = [...this.filteredData];
 
-			rows.sort((a, b) => {
-				let aVal = a[this.sortColumn];
-				let bVal = b[this.sortColumn];
+		// The server already returned the sorted rows for the current page
+		if (this.serverSide) {
+			start = 0;
+			end = rows.length;
+		}
 
-				// Use custom sortValue function if provided
-				if (hasSortValue) {
-					aVal = column.sortValue(aVal);
-					bVal = column.sortValue(bVal);
-				}
+		// Sorting
+		if (this.sortList.length && !this.serverSide) {
+			this.sortRows(rows);
+		}
 
-				if (this.sortOrder === 'asc') return aVal > bVal ? 1 : -1;
-				return aVal < bVal ? 1 : -1;
-			});
+		// Grouping turns the rows into group headers followed by the rows of expanded groups
+		let items = rows;
+		if (this.groupBy) {
+			items = this.buildGroupItems(rows);
+			rows = this.groups.flatMap(group => group.rows);
+			if (this.serverSide) {
+				end = items.length;
+			}
 		}
 
 		// Paging
-		const totalPages = Math.ceil(rows.length / this.rowsPerPage);
+		const rowCount = this.serverSide ? this.filteredRecords : items.length;
+		const totalPages = Math.ceil(rowCount / this.rowsPerPage);
 		this.filteredPages = totalPages;
 
-		rows.slice(start, end).forEach((row, rowIndex) => {
+		// Collapsing groups can leave the current page past the last one
+		if (!this.serverSide && totalPages > 0 && this.currentPage > totalPages) {
+			this.currentPage = totalPages;
+			start = (this.currentPage - 1) * this.rowsPerPage;
+			end = start + this.rowsPerPage;
+		}
+
+		// Virtual scrolling replaces pages with the window of rows in view
+		if (this.scrollContainer) {
+			({ start, end } = this.getVirtualWindow(items.length));
+			this.virtualWindow = { start, end };
+			this.filteredPages = 1;
+			tableBody.appendChild(this.createVirtualSpacer(start));
+		}
+
+		const pageItems = items.slice(start, end);
+
+		// Repeat the group header on a page that starts in the middle of a group
+		if (this.groupBy && !this.scrollContainer && pageItems.length && !this.groups.includes(pageItems[0])) {
+			pageItems.unshift(this.groups.find(group => group.rows.includes(pageItems[0])));
+		}
+
+		this.viewRows = rows;
+		this.viewItemCount = items.length;
+		this.pageRows = this.groupBy ? pageItems.filter(item => !this.groups.includes(item)) : pageItems;
+
+		let rowIndex = 0;
+		pageItems.forEach((item, itemIndex) => {
+			if (this.groupBy && this.groups.includes(item)) {
+				tableBody.appendChild(this.renderGroupRow(item, itemIndex === 0 && start > 0 && item !== items[start]));
+				return;
+			}
+
+			const row = item;
 			const tr = document.createElement('tr');
+			tr.dataset.rowIndex = rowIndex;
 
 			// Trigger row render event
 			const rowEvent = this.triggerEvent('rowrender.yo.jsontable', {
@@ -274,24 +1009,38 @@ class JsonTable {
 			});
 
 			// Add edit column if allowEdit is true
-			if (this.allowEdit && this.editPlacement === 'start') {
-				tr.insertAdjacentHTML('afterbegin', `<td><button class="btn btn-primary btn-sm edit-btn" data-row="${rowIndex}"><i class="bi bi-pencil-square"></i></button></td>`);
+			if (this.hasEditColumn() && this.editPlacement === 'start') {
+				tr.insertAdjacentHTML('afterbegin', this.getActionsCell(rowIndex));
 			}
 
 			Object.keys(row).forEach((key) => {
 				const td = document.createElement('td');
-				td.textContent = row[key];
+				td.dataset.key = key;
+				this.renderCell(td, key, row[key], row);
+
+				if (this.allowEdit && this.editMode === 'inline') {
+					td.addEventListener('dblclick', () => this.startInlineEdit(td));
+				}
+
 				tr.appendChild(td);
 			});
 
-			if (this.allowEdit && this.editPlacement === 'end') {
-				tr.insertAdjacentHTML('beforeend', `<td><button class="btn btn-primary btn-sm edit-btn" data-row="${rowIndex}"><i class="bi bi-pencil-square"></i></button></td>`);
+			if (this.hasEditColumn() && this.editPlacement === 'end') {
+				tr.insertAdjacentHTML('beforeend', this.getActionsCell(rowIndex));
+			}
+
+			if (this.hasDetailRows()) {
+				tr.insertBefore(this.renderDetailToggleCell(row), tr.firstChild);
+			}
+
+			if (this.isSelectable()) {
+				tr.insertBefore(this.renderSelectCell(row), tr.firstChild);
 			}
 
 			// Add click event listener to row
 			tr.addEventListener('click', (e) => {
-				// Don't trigger if clicking edit button
-				if (!e.target.closest('.edit-btn')) {
+				// Don't trigger if clicking edit, delete, select or detail controls
+				if (!e.target.closest('.edit-btn, .delete-btn, .select-cell, .detail-cell')) {
 					this.triggerEvent('rowclick.yo.jsontable', {
 						row,
 						rowIndex,
@@ -302,171 +1051,886 @@ class JsonTable {
 			});
 
 			tableBody.appendChild(tr);
+			rowIndex++;
+
+			if (this.hasDetailRows() && this.expandedRows.has(this.getRowId(row))) {
+				tableBody.appendChild(this.renderDetailRow(row));
+			}
 		});
 
+		if (this.scrollContainer) {
+			tableBody.appendChild(this.createVirtualSpacer(items.length - end));
+			if (this.measureVirtualRowHeight(tableBody)) {
+				this.renderRows(options);
+				return;
+			}
+		}
+
 		// Add event listeners for edit buttons
-		if (this.allowEdit) {
+		if (this.hasEditColumn()) {
 			this.container.querySelectorAll('.edit-btn').forEach((btn) =>
 				btn.addEventListener('click', (e) => this.showEditModal(parseInt(btn.dataset.row, 10)))
 			);
+			this.container.querySelectorAll('.delete-btn').forEach((btn) =>
+				btn.addEventListener('click', (e) => this.deleteRow(this.pageRows[parseInt(btn.dataset.row, 10)]))
+			);
+		}
+
+		this.renderTotals();
+		this.updateSelectionUI();
+		this.applyGridSemantics();
+
+		// Scrolling the virtual window does not change the state
+		if (!options.virtual) {
+			this.saveState();
 		}
 	}
 
-	renderPagination() {
-		this.paginationContainer.innerHTML = '';
-		const totalPages = this.filteredPages;
-		const currentPage = this.currentPage;
-		const maxVisiblePages = 6; // Adjust this number as needed
+	renderCell(td, key, value, row) {
+		const column = this.columns.find(col => col.key === key);
+		const content = column ? this.formatCell(column, value, row) : null;
 
-		if (totalPages <= maxVisiblePages) {
-			// If total pages are less than or equal to maxVisiblePages, show all pages
-			for (let i = 1; i <= totalPages; i++) {
-				this.renderPageLink(i, currentPage);
-			}
+		// Columns without a renderer or formatter show the raw value as text
+		if (content === null || content === undefined) {
+			td.textContent = value ?? '';
+		} else if (content instanceof Node) {
+			td.innerHTML = '';
+			td.appendChild(content);
 		} else {
-			// Determine which pages to display based on current page
-			let pagesToShow = [];
+			td.innerHTML = content;
+		}
+	}
 
-			// Always show first 2 pages
-			pagesToShow.push(1);
-			pagesToShow.push(2);
+	formatCell(column, value, row) {
+		if (typeof column.render === 'function') {
+			return column.render(value, row, this);
+		}
 
-			// Calculate mid range around current page
-			const leftRange = Math.max(currentPage - 2, 3); // Always show at least 2 pages before
-			const rightRange = Math.min(currentPage + 2, totalPages - 2); // Always show at least 2 pages after
+		if (!column.format) {
+			return null;
+		}
 
-			// Show range of pages
-			for (let i = leftRange; i <= rightRange; i++) {
-				pagesToShow.push(i);
-			}
+		const formatter = typeof column.format === 'function' ? column.format : this.formatters[column.format];
+		if (typeof formatter !== 'function') {
+			console.warn(`Unknown formatter "${column.format}" for column "${column.key}"`);
+			return null;
+		}
 
-			// Always show last 2 pages
-			pagesToShow.push(totalPages - 1);
-			pagesToShow.push(totalPages);
+		// Empty values stay empty, except for booleans where they mean false
+		if ((value === null || value === undefined || value === '') && column.format !== 'boolean') {
+			return '';
+		}
 
-			// Render the pages with "..." as needed
-			for (let i = 0; i < pagesToShow.length; i++) {
-				const pageNumber = pagesToShow[i];
-				if (i > 0 && pageNumber - pagesToShow[i - 1] > 1) {
-					// There's a gap between pages, add "..."
-					this.renderPaginationGap();
+		return formatter(value, column.formatOptions || {}, row, column);
+	}
+
+	getFormattedText(column, value, row) {
+		const content = this.formatCell(column, value, row);
+
+		if (content === null || content === undefined) {
+			return value;
+		}
+		if (content instanceof Node) {
+			return content.textContent.trim();
+		}
+
+		const element = document.createElement('div');
+		element.innerHTML = content;
+		return element.textContent.trim();
+	}
+
+	escapeHtml(value) {
+		return String(value ?? '')
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;');
+	}
+
+	isSafeUrl(url, allowImageData = false) {
+		const text = String(url).trim();
+		// Inline images only as <img> sources, an SVG opened as a link can run scripts
+		if (allowImageData && /^data:image\//i.test(text)) {
+			return true;
+		}
+		// Relative URLs and common schemes only, so data can't inject javascript: links
+		return /^(https?:|mailto:|tel:|[^:]*$)/i.test(text);
+	}
+
+	getIntl(type, locale, options) {
+		const cacheKey = `${type}|${locale}|${JSON.stringify(options)}`;
+		if (!this.intlCache.has(cacheKey)) {
+			this.intlCache.set(cacheKey, new Intl[type](locale, options));
+		}
+		return this.intlCache.get(cacheKey);
+	}
+
+	getDefaultFormatters() {
+		const toNumber = (value) => typeof value === 'number' ? value : this.parseCurrency(value);
+		const toTime = (value, column) => this.parseDate(value, column.dateFormat);
+		const dateFormatter = (defaults) => (value, { locale, ...options }, row, column) => {
+			const time = toTime(value, column);
+			if (Number.isNaN(time)) {
+				return this.escapeHtml(value);
+			}
+			const intlOptions = Object.keys(options).length ? options : defaults;
+			return this.escapeHtml(this.getIntl('DateTimeFormat', locale ?? this.locale, intlOptions).format(time));
+		};
+		const numberFormatter = (defaults, overrides = {}) => (value, { locale, ...options }) => {
+			const number = toNumber(value);
+			if (Number.isNaN(number)) {
+				return this.escapeHtml(value);
+			}
+			return this.escapeHtml(this.getIntl('NumberFormat', locale ?? this.locale, { ...defaults, ...options, ...overrides }).format(number));
+		};
+		const resolve = (option, value, row, fallback) => {
+			if (typeof option === 'function') {
+				return option(value, row);
+			}
+			return option ?? fallback;
+		};
+
+		return {
+			date: dateFormatter({ dateStyle: 'medium' }),
+			datetime: dateFormatter({ dateStyle: 'medium', timeStyle: 'short' }),
+			time: dateFormatter({ timeStyle: 'short' }),
+			number: numberFormatter({}),
+			currency: numberFormatter({ currency: 'USD' }, { style: 'currency' }),
+			percent: numberFormatter({}, { style: 'percent' }),
+
+			boolean: (value, options) => {
+				const checked = value === true || ['true', '1', 'yes', 'on'].includes(String(value).toLowerCase());
+				const label = checked ? (options.trueLabel ?? 'Yes') : (options.falseLabel ?? 'No');
+				const className = checked ? (options.trueClass ?? 'text-bg-success') : (options.falseClass ?? 'text-bg-secondary');
+				return `<span class="badge ${className}">${this.escapeHtml(label)}</span>`;
+			},
+
+			link: (value, options, row) => {
+				const href = typeof options.href === 'string'
+					? options.href.replace('{value}', encodeURIComponent(value))
+					: resolve(options.href, value, row, value);
+				const text = resolve(options.text, value, row, value);
+				if (!this.isSafeUrl(href)) {
+					return this.escapeHtml(text);
 				}
-				this.renderPageLink(pageNumber, currentPage);
+				const target = options.target ? ` target="${this.escapeHtml(options.target)}" rel="noopener noreferrer"` : '';
+				return `<a href="${this.escapeHtml(href)}"${target}>${this.escapeHtml(text)}</a>`;
+			},
+
+			image: (value, options, row) => {
+				const src = resolve(options.src, value, row, value);
+				if (!this.isSafeUrl(src, true)) {
+					return '';
+				}
+				const alt = resolve(options.alt, value, row, '');
+				const className = options.className ?? 'rounded';
+				return `<img src="${this.escapeHtml(src)}" alt="${this.escapeHtml(alt)}" class="${this.escapeHtml(className)}" style="height: ${this.escapeHtml(options.height ?? 32)}px" loading="lazy">`;
+			},
+
+			progress: (value, options, row) => {
+				const number = toNumber(value);
+				const max = options.max ?? 100;
+				const percent = Number.isNaN(number) ? 0 : Math.min(100, Math.max(0, number / max * 100));
+				const variant = resolve(options.variant, number, row, 'bg-primary');
+				const label = options.showLabel === false ? '' : `${Math.round(percent)}%`;
+				return `<div class="progress" role="progressbar" aria-valuenow="${Number.isNaN(number) ? 0 : number}" aria-valuemin="0" aria-valuemax="${this.escapeHtml(max)}" style="height: ${this.escapeHtml(options.height ?? 16)}px">`
+					+ `<div class="progress-bar ${this.escapeHtml(variant)}" style="width: ${percent}%">${label}</div></div>`;
+			},
+
+			relative: (value, { locale, ...options }, row, column) => {
+				const time = toTime(value, column);
+				if (Number.isNaN(time)) {
+					return this.escapeHtml(value);
+				}
+				const units = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+				const seconds = (time - Date.now()) / 1000;
+				const [unit, size] = units.find(([, unitSeconds]) => Math.abs(seconds) >= unitSeconds) || units[units.length - 1];
+				const text = this.getIntl('RelativeTimeFormat', locale ?? this.locale, { numeric: 'auto', ...options }).format(Math.round(seconds / size), unit);
+				const title = this.getIntl('DateTimeFormat', locale ?? this.locale, { dateStyle: 'medium', timeStyle: 'short' }).format(time);
+				return `<time datetime="${new Date(time).toISOString()}" title="${this.escapeHtml(title)}">${this.escapeHtml(text)}</time>`;
+			}
+		};
+	}
+
+	getGroupValue(row) {
+		return typeof this.groupBy === 'function' ? this.groupBy(row) : row[this.groupBy];
+	}
+
+	buildGroupItems(rows) {
+		const groups = new Map();
+
+		rows.forEach(row => {
+			const value = this.getGroupValue(row);
+			const key = String(value ?? '');
+			if (!groups.has(key)) {
+				groups.set(key, { key, value, rows: [] });
+			}
+			groups.get(key).rows.push(row);
+		});
+
+		// Groups are ordered by their value, following the sort order of the group column when it's sorted
+		const column = this.columns.find(col => col.key === this.groupBy) || {};
+		const sort = this.sortList.find(item => item.column === this.groupBy);
+		const direction = sort && sort.order === 'desc' ? -1 : 1;
+		const sortValue = (value) => typeof column.sortValue === 'function' ? column.sortValue(value) : value;
+
+		this.groups = [...groups.values()].sort((a, b) => {
+			const result = typeof column.type === 'function'
+				? column.type(sortValue(a.value), sortValue(b.value), a.rows[0], b.rows[0])
+				: this.compareValues(sortValue(a.value), sortValue(b.value), column.type, column.dateFormat);
+			return result * direction;
+		});
+
+		const items = [];
+		this.groups.forEach(group => {
+			group.aggregates = this.getAggregates(group.rows);
+			items.push(group);
+			if (!this.isGroupCollapsed(group.key)) {
+				items.push(...group.rows);
 			}
+		});
+
+		return items;
+	}
+
+	getGroupLabel(group) {
+		if (typeof this.groupLabel === 'function') {
+			return this.groupLabel(group);
+		}
+
+		const column = this.columns.find(col => col.key === this.groupBy);
+		let value = group.value === null || group.value === undefined || group.value === '' ? '(empty)' : group.value;
+		if (column && value !== '(empty)') {
+			value = this.getFormattedText(column, group.value, group.rows[0]);
 		}
+		return column ? `${column.title}: ${value}` : String(value);
 	}
 
-	renderPageLink(pageNumber, currentPage) {
-		const li = document.createElement('li');
-		li.className = 'page-item';
-		if (pageNumber === currentPage) {
-			li.classList.add('active');
+	renderGroupRow(group, continued = false) {
+		const tr = document.createElement('tr');
+		const collapsed = this.isGroupCollapsed(group.key);
+		tr.className = 'group-row table-light';
+		tr.dataset.group = group.key;
+		tr.style.cursor = 'pointer';
+		tr.setAttribute('aria-expanded', String(!collapsed));
+
+		const label = document.createElement('span');
+		label.innerHTML = `<i class="bi bi-chevron-${collapsed ? 'right' : 'down'} me-1"></i>`;
+		const title = document.createElement('strong');
+		title.textContent = continued ? `${this.getGroupLabel(group)} (continued)` : this.getGroupLabel(group);
+		label.appendChild(title);
+		label.insertAdjacentHTML('beforeend', ` <span class="badge text-bg-secondary">${group.rows.length}</span>`);
+
+		this.renderAggregateRow(tr, group.aggregates, label);
+
+		tr.addEventListener('click', () => this.toggleGroup(group.key));
+
+		return tr;
+	}
+
+	isGroupCollapsed(key) {
+		return this.groupState.get(key) ?? this.groupsCollapsed;
+	}
+
+	toggleGroup(key, collapsed = !this.isGroupCollapsed(key)) {
+		const event = this.triggerEvent('grouptoggle.yo.jsontable', { key, collapsed });
+
+		if (event.defaultPrevented) {
+			return;
 		}
 
-		const a = document.createElement('a');
-		a.className = 'page-link';
-		a.textContent = pageNumber;
-		a.href = '#';
-		a.addEventListener('click', (e) => {
-			e.preventDefault();
+		this.groupState.set(key, collapsed);
+		this.renderTable('rows');
 
-			const event = this.triggerEvent('pagechange.yo.jsontable', {
-				oldPage: this.currentPage,
-				newPage: pageNumber
-			});
+		this.triggerEvent('grouptoggled.yo.jsontable', { key, collapsed });
+	}
 
-			if (event.defaultPrevented) {
-				return;
-			}
+	expandAllGroups() {
+		this.groupsCollapsed = false;
+		this.groupState.clear();
+		this.renderTable('rows');
+	}
 
-			this.currentPage = pageNumber;
-			this.renderRows();
-			this.renderPagination();
-			this.updateActivePage(pageNumber);
+	collapseAllGroups() {
+		this.groupsCollapsed = true;
+		this.groupState.clear();
+		this.renderTable('rows');
+	}
 
-			this.triggerEvent('pagechanged.yo.jsontable', {
-				oldPage: currentPage,
-				newPage: pageNumber
-			});
+	setGroupBy(groupBy) {
+		this.groupBy = groupBy || null;
+		this.groups = [];
+		this.groupState.clear();
+		this.currentPage = 1;
+		this.renderTable('rows');
+	}
+
+	getAggregates(rows) {
+		const aggregates = {};
+		this.columns.forEach(column => {
+			if (column.aggregate) {
+				aggregates[column.key] = this.aggregate(column, rows);
+			}
 		});
+		return aggregates;
+	}
 
-		li.appendChild(a);
-		this.paginationContainer.appendChild(li);
+	aggregate(column, rows) {
+		const values = rows.map(row => row[column.key]);
+
+		if (typeof column.aggregate === 'function') {
+			return column.aggregate(values, rows);
+		}
+
+		if (column.aggregate === 'count') {
+			return rows.length;
+		}
+
+		const toNumber = (value) => column.type === 'date' ? this.parseDate(value, column.dateFormat) : this.parseCurrency(value);
+		const numbers = values
+			.filter(value => value !== null && value !== undefined && value !== '')
+			.map(value => ({ value, number: toNumber(value) }))
+			.filter(item => !Number.isNaN(item.number));
+
+		if (numbers.length === 0) {
+			return column.aggregate === 'sum' ? 0 : null;
+		}
+
+		switch (column.aggregate) {
+			case 'sum':
+				return numbers.reduce((total, item) => total + item.number, 0);
+			case 'avg':
+				return numbers.reduce((total, item) => total + item.number, 0) / numbers.length;
+			case 'min':
+				// Min and max return the original value so dates and currencies keep their format
+				return numbers.reduce((min, item) => item.number < min.number ? item : min).value;
+			case 'max':
+				return numbers.reduce((max, item) => item.number > max.number ? item : max).value;
+			default:
+				return null;
+		}
 	}
 
-	renderPaginationGap() {
-		const li = document.createElement('li');
-		li.className = 'page-item disabled';
-		const span = document.createElement('span');
-		span.className = 'page-link';
-		span.textContent = '...';
-		li.appendChild(span);
-		this.paginationContainer.appendChild(li);
+	formatAggregate(column, value) {
+		if (typeof column.aggregateFormat === 'function') {
+			return column.aggregateFormat(value, column.aggregate);
+		}
+		if (value === null || value === undefined) {
+			return '';
+		}
+		if (typeof value === 'number') {
+			return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+		}
+		return String(value);
 	}
 
-	updateActivePage(page) {
-		const paginationItems = this.paginationContainer.querySelectorAll('.page-item');
-		paginationItems.forEach(item => {
-			item.classList.remove('active');
-			const link = item.querySelector('.page-link');
-			if (link.textContent === String(page)) {
-				item.classList.add('active');
+	renderAggregateRow(tr, aggregates, label) {
+		// The label spans every cell before the first aggregated column
+		const leading = (this.isSelectable() ? 1 : 0) + (this.hasDetailRows() ? 1 : 0) + (this.hasEditColumn() && this.editPlacement === 'start' ? 1 : 0);
+		const firstAggregate = this.columns.findIndex(column => column.aggregate);
+		const labelColumns = firstAggregate === -1 ? this.columns.length : Math.max(firstAggregate, leading ? 0 : 1);
+
+		const labelCell = document.createElement('td');
+		labelCell.colSpan = Math.max(leading + labelColumns, 1);
+		labelCell.appendChild(label);
+		tr.appendChild(labelCell);
+
+		this.columns.forEach((column, index) => {
+			const hasAggregate = column.aggregate && aggregates[column.key] !== undefined;
+			const text = hasAggregate ? this.formatAggregate(column, aggregates[column.key]) : '';
+
+			// Without leading cells the first column shares its cell with the label
+			if (index < labelColumns) {
+				if (text) {
+					labelCell.insertAdjacentHTML('beforeend', ' ');
+					labelCell.appendChild(document.createTextNode(text));
+				}
+				return;
 			}
+
+			const td = document.createElement('td');
+			td.dataset.key = column.key;
+			td.className = 'aggregate-cell';
+			td.textContent = text;
+			if (hasAggregate && typeof column.aggregate === 'string') {
+				td.title = column.aggregate;
+			}
+			tr.appendChild(td);
 		});
+
+		if (this.hasEditColumn() && this.editPlacement === 'end') {
+			tr.appendChild(document.createElement('td'));
+		}
 	}
 
-	showEditModal(rowIndex) {
-		const rowData = this.filteredData[rowIndex];
-		const modal = document.querySelector('#editModal');
-		const modalBody = modal.querySelector('.modal-body');
+	renderTotals() {
+		const tableFooter = this.container.querySelector('tfoot');
+		if (!tableFooter) {
+			return;
+		}
+
+		let tr = tableFooter.querySelector('tr.totals-row');
+
+		if (!this.showTotals || !this.columns.some(column => column.aggregate)) {
+			if (tr) {
+				tr.remove();
+			}
+			return;
+		}
+
+		if (!tr) {
+			tr = document.createElement('tr');
+			tr.className = 'totals-row fw-semibold';
+			tableFooter.appendChild(tr);
+		}
+
+		tr.innerHTML = '';
+
+		// In serverSide mode only the current page is loaded, so prefer totals sent by the server
+		const aggregates = this.serverSide && this.serverAggregates
+			? this.serverAggregates
+			: this.getAggregates(this.serverSide ? this.data : this.filteredData);
+
+		this.renderAggregateRow(tr, aggregates, document.createTextNode('Total'));
+	}
+
+	hasEditColumn() {
+		return (this.allowEdit && this.editMode !== 'inline') || this.allowDelete;
+	}
+
+	getActionsTitle() {
+		return this.allowDelete ? 'Actions' : 'Edit';
+	}
+
+	getActionsCell(rowIndex) {
+		let buttons = '';
+		if (this.allowEdit && this.editMode !== 'inline') {
+			buttons += `<button class="btn btn-primary btn-sm edit-btn" data-row="${rowIndex}"><i class="bi bi-pencil-square"></i></button>`;
+		}
+		if (this.allowDelete) {
+			buttons += ` <button class="btn btn-danger btn-sm delete-btn" data-row="${rowIndex}"><i class="bi bi-trash"></i></button>`;
+		}
+		return `<td class="text-nowrap">${buttons.trim()}</td>`;
+	}
+
+	isCellEditable(td) {
+		const column = this.columns.find(col => col.key === td.dataset.key);
+		return !!column && column.editFieldType !== false;
+	}
+
+	startInlineEdit(td) {
+		if (td.classList.contains('cell-editing') || td.classList.contains('cell-saving') || !this.isCellEditable(td)) {
+			return;
+		}
+
+		const rowIndex = parseInt(td.closest('tr').dataset.rowIndex, 10);
+		const rowData = this.pageRows[rowIndex];
+		const key = td.dataset.key;
+		const column = this.columns.find(col => col.key === key);
 
 		const event = this.triggerEvent('edit.yo.jsontable', {
 			rowData,
-			rowIndex
+			rowIndex,
+			key,
+			element: td
 		});
 
 		if (event.defaultPrevented) {
 			return;
 		}
 
-		modalBody.innerHTML = '';
+		const oldValue = rowData[key];
+		const input = this.createInlineInput(column, oldValue);
+		let finished = false;
 
-		this.columns.forEach((column) => {
-			const fieldType = column.editFieldType || 'text';
-			const inputWrapper = document.createElement('div');
-			let isFloating = false
-			inputWrapper.classList.add('mb-3');
+		const finish = async (action, direction = 0) => {
+			if (finished) {
+				return;
+			}
+			finished = true;
+			td.classList.remove('cell-editing');
 
+			const newValue = input.type === 'checkbox' ? input.checked : this.parseEditValue(column, input.value, oldValue);
+			this.renderCell(td, key, action === 'commit' ? newValue : oldValue, rowData);
 
-			if (column.editFieldType !== false) {
-				const floating = document.createElement('div');
-				const floatingLabel = document.createElement('label');
-				if (column.columnIcon) {
-					inputWrapper.classList.add('input-group')
-					const iconSpan = document.createElement('span');
-					iconSpan.className = 'input-group-text';
-					const icon = document.createElement('i');
-					icon.className = column.columnIcon;
-					iconSpan.appendChild(icon);
-					inputWrapper.appendChild(iconSpan);
-					floating.className = 'floating-label'
-					floatingLabel.textContent = column.title;
-					isFloating = true
-				} else {
-					const label = document.createElement('label');
-					label.className = 'form-label';
-					label.textContent = column.title;
-					inputWrapper.appendChild(label);
-				}
+			if (direction !== 0) {
+				this.moveInlineEdit(td, direction);
+			}
 
-				let input;
+			if (action === 'commit' && String(newValue ?? '') !== String(oldValue ?? '')) {
+				await this.saveCell(td, rowData, rowIndex, key, newValue, oldValue);
+			}
+		};
 
-				switch (fieldType) {
-					case 'bool':
-						input = document.createElement('input');
-						input.type = 'checkbox';
-						input.checked = !!rowData[column.key];
-						break;
+		input.addEventListener('keydown', (e) => {
+			if (e.key === 'Escape') {
+				e.preventDefault();
+				finish('cancel');
+			} else if (e.key === 'Enter') {
+				e.preventDefault();
+				finish('commit', e.shiftKey ? -1 : 0);
+			} else if (e.key === 'Tab') {
+				e.preventDefault();
+				finish('commit', e.shiftKey ? -1 : 1);
+			}
+		});
+		input.addEventListener('blur', () => finish('commit'));
+
+		td.classList.remove('cell-error');
+		td.removeAttribute('title');
+		td.classList.add('cell-editing');
+		td.innerHTML = '';
+		td.appendChild(input);
+		input.focus();
+
+		this.triggerEvent('edited.yo.jsontable', {
+			rowData,
+			rowIndex,
+			key,
+			element: td
+		});
+	}
+
+	createInlineInput(column, value) {
+		const fieldType = column.editFieldType || 'text';
+		let input;
+
+		switch (fieldType) {
+			case 'bool':
+				input = document.createElement('input');
+				input.type = 'checkbox';
+				input.className = 'form-check-input';
+				input.checked = !!value;
+				break;
+			case 'select':
+				input = document.createElement('select');
+				input.className = 'form-select form-select-sm';
+				column.options.forEach((opt) => {
+					const option = document.createElement('option');
+					option.value = opt;
+					option.textContent = opt;
+					option.selected = value === opt;
+					input.appendChild(option);
+				});
+				break;
+			default:
+				input = document.createElement('input');
+				// Textareas don't fit in a cell, edit them as plain text
+				input.type = fieldType === 'textarea' ? 'text' : fieldType;
+				input.className = 'form-control form-control-sm';
+				input.value = value ?? '';
+				break;
+		}
+
+		input.dataset.key = column.key;
+		return input;
+	}
+
+	parseEditValue(column, value, oldValue) {
+		const fieldType = column.editFieldType || 'text';
+
+		if (['number', 'range'].includes(fieldType)) {
+			if (value === '') {
+				return null;
+			}
+			const number = Number(value);
+			return Number.isNaN(number) ? value : number;
+		}
+
+		// Date inputs give ISO strings, keep timestamps and Date objects in their own type
+		if (['date', 'datetime-local'].includes(fieldType)) {
+			if (value === '') {
+				return null;
+			}
+			if (typeof oldValue === 'number') {
+				return this.parseDate(value);
+			}
+			if (oldValue instanceof Date) {
+				return new Date(this.parseDate(value));
+			}
+		}
+
+		return value;
+	}
+
+	moveInlineEdit(td, direction) {
+		const cells = [...this.container.querySelectorAll('tbody tr[data-row-index] > td[data-key]')]
+			.filter(cell => this.isCellEditable(cell));
+		const next = cells[cells.indexOf(td) + direction];
+
+		if (next) {
+			this.startInlineEdit(next);
+		}
+	}
+
+	async saveCell(td, rowData, rowIndex, key, value, oldValue) {
+		const formData = { [key]: value };
+
+		const column = this.columns.find(col => col.key === key);
+		const invalid = await this.validateField(column, value, { ...rowData, ...formData });
+		if (invalid) {
+			this.renderCell(td, key, oldValue, rowData);
+			td.classList.add('cell-error');
+			td.title = invalid;
+			this.showToast('error', invalid);
+			return;
+		}
+
+		const postData = {
+			[this.rowIdKey]: rowData[this.rowIdKey],
+			...formData,
+			...this.editSaveAdditionalData
+		};
+
+		td.classList.add('cell-dirty');
+
+		const saveEvent = this.triggerEvent('save.yo.jsontable', {
+			rowData,
+			rowIndex,
+			key,
+			formData,
+			postData
+		});
+
+		if (saveEvent.defaultPrevented) {
+			td.classList.remove('cell-dirty');
+			this.renderCell(td, key, oldValue, rowData);
+			return;
+		}
+
+		td.classList.add('cell-saving');
+
+		try {
+			const responseData = await this.postEditData(postData);
+
+			if (this.getResponseErrors(responseData)) {
+				throw this.createResponseError(responseData);
+			}
+
+			rowData[key] = value;
+			td.classList.remove('cell-dirty');
+
+			const batch = this.recordChange(rowData, [{ key, oldValue, newValue: value }]);
+			this.showSaveToast(responseData, this.getUndoAction(batch));
+
+			this.triggerEvent('saved.yo.jsontable', {
+				rowData,
+				rowIndex,
+				key,
+				response: responseData
+			});
+		} catch (error) {
+			console.error('Error saving data:', error);
+			this.renderCell(td, key, oldValue, rowData);
+			td.classList.remove('cell-dirty');
+			td.classList.add('cell-error');
+
+			const errors = this.getResponseErrors(error.data);
+			const fieldError = errors && errors[key] ? [].concat(errors[key]).join(' ') : null;
+			td.title = fieldError || error.message;
+			this.showToast('error', fieldError || 'Failed to save data. Please try again.');
+
+			this.triggerEvent('saveerror.yo.jsontable', {
+				rowData,
+				rowIndex,
+				key,
+				error,
+				errors
+			});
+		} finally {
+			td.classList.remove('cell-saving');
+		}
+	}
+
+	renderPagination() {
+		this.paginationContainer.innerHTML = '';
+		if (this.scrollContainer) {
+			return;
+		}
+		const totalPages = this.filteredPages;
+		const currentPage = this.currentPage;
+		const maxVisiblePages = 6; // Adjust this number as needed
+
+		if (totalPages <= maxVisiblePages) {
+			// If total pages are less than or equal to maxVisiblePages, show all pages
+			for (let i = 1; i <= totalPages; i++) {
+				this.renderPageLink(i, currentPage);
+			}
+		} else {
+			// Determine which pages to display based on current page
+			let pagesToShow = [];
+
+			// Always show first 2 pages
+			pagesToShow.push(1);
+			pagesToShow.push(2);
+
+			// Calculate mid range around current page
+			const leftRange = Math.max(currentPage - 2, 3); // Always show at least 2 pages before
+			const rightRange = Math.min(currentPage + 2, totalPages - 2); // Always show at least 2 pages after
+
+			// Show range of pages
+			for (let i = leftRange; i <= rightRange; i++) {
+				pagesToShow.push(i);
+			}
+
+			// Always show last 2 pages
+			pagesToShow.push(totalPages - 1);
+			pagesToShow.push(totalPages);
+
+			// Render the pages with "..." as needed
+			for (let i = 0; i < pagesToShow.length; i++) {
+				const pageNumber = pagesToShow[i];
+				if (i > 0 && pageNumber - pagesToShow[i - 1] > 1) {
+					// There's a gap between pages, add "..."
+					this.renderPaginationGap();
+				}
+				this.renderPageLink(pageNumber, currentPage);
+			}
+		}
+	}
+
+	renderPageLink(pageNumber, currentPage) {
+		const li = document.createElement('li');
+		li.className = 'page-item';
+		if (pageNumber === currentPage) {
+			li.classList.add('active');
+		}
+
+		const a = document.createElement('a');
+		a.className = 'page-link';
+		a.textContent = pageNumber;
+		a.href = '#';
+		a.setAttribute('aria-label', `Page ${pageNumber}`);
+		if (pageNumber === currentPage) {
+			a.setAttribute('aria-current', 'page');
+		}
+		a.addEventListener('click', (e) => {
+			e.preventDefault();
+			this.goToPage(pageNumber);
+		});
+
+		li.appendChild(a);
+		this.paginationContainer.appendChild(li);
+	}
+
+	async goToPage(pageNumber) {
+		const oldPage = this.currentPage;
+		const event = this.triggerEvent('pagechange.yo.jsontable', {
+			oldPage,
+			newPage: pageNumber
+		});
+
+		if (event.defaultPrevented) {
+			return;
+		}
+
+		this.currentPage = pageNumber;
+		if (this.serverSide) {
+			await this.fetchServerData();
+		}
+		this.renderRows();
+		this.renderPagination();
+		this.updateActivePage(pageNumber);
+		this.announce(this.pageAnnouncement.replace('XX', pageNumber).replace('XX', this.filteredPages));
+
+		this.triggerEvent('pagechanged.yo.jsontable', {
+			oldPage,
+			newPage: pageNumber
+		});
+	}
+
+	renderPaginationGap() {
+		const li = document.createElement('li');
+		li.className = 'page-item disabled';
+		const span = document.createElement('span');
+		span.className = 'page-link';
+		span.textContent = '...';
+		li.appendChild(span);
+		this.paginationContainer.appendChild(li);
+	}
+
+	updateActivePage(page) {
+		const paginationItems = this.paginationContainer.querySelectorAll('.page-item');
+		paginationItems.forEach(item => {
+			item.classList.remove('active');
+			const link = item.querySelector('.page-link');
+			link.removeAttribute('aria-current');
+			if (link.textContent === String(page)) {
+				item.classList.add('active');
+				link.setAttribute('aria-current', 'page');
+			}
+		});
+	}
+
+	showEditModal(rowIndex) {
+		const rowData = this.pageRows[rowIndex];
+		const modal = document.querySelector('#editModal');
+		const modalBody = modal.querySelector('.modal-body');
+
+		const event = this.triggerEvent('edit.yo.jsontable', {
+			rowData,
+			rowIndex
+		});
+
+		if (event.defaultPrevented) {
+			return;
+		}
+
+		modalBody.innerHTML = '';
+
+		this.buildEditForm(modalBody, rowData);
+
+		this.setModalTitle(modal, 'edit');
+
+		const saveBtn = modal.querySelector('.save-edit');
+		saveBtn.onclick = () => this.saveEdit(rowIndex, modal);
+
+		const modalInstance = new bootstrap.Modal(modal);
+		modalInstance.show();
+
+		this.triggerEvent('edited.yo.jsontable', {
+			rowData,
+			rowIndex
+		});
+	}
+
+	buildEditForm(modalBody, rowData) {
+		this.columns.forEach((column) => {
+			const fieldType = column.editFieldType || 'text';
+			const inputWrapper = document.createElement('div');
+			let isFloating = false
+			inputWrapper.classList.add('mb-3');
+
+
+			if (column.editFieldType !== false) {
+				const floating = document.createElement('div');
+				const floatingLabel = document.createElement('label');
+				if (column.columnIcon) {
+					inputWrapper.classList.add('input-group')
+					const iconSpan = document.createElement('span');
+					iconSpan.className = 'input-group-text';
+					const icon = document.createElement('i');
+					icon.className = column.columnIcon;
+					iconSpan.appendChild(icon);
+					inputWrapper.appendChild(iconSpan);
+					floating.className = 'floating-label'
+					floatingLabel.textContent = column.title;
+					isFloating = true
+				} else {
+					const label = document.createElement('label');
+					label.className = 'form-label';
+					label.textContent = column.title;
+					inputWrapper.appendChild(label);
+				}
+
+				let input;
+
+				switch (fieldType) {
+					case 'bool':
+						input = document.createElement('input');
+						input.type = 'checkbox';
+						input.checked = !!rowData[column.key];
+						break;
 					case 'select':
 						input = document.createElement('select');
 						input.className = 'form-control';
@@ -494,196 +1958,1919 @@ class JsonTable {
 				}
 
 				input.dataset.key = column.key;
+				if (column.validation?.required) {
+					input.required = true;
+				}
 				if(isFloating == true){
 					floating.appendChild(input);
 					floating.appendChild(floatingLabel);
 					inputWrapper.appendChild(floating);
 				} else {
-					inputWrapper.appendChild(input);
+					inputWrapper.appendChild(input);
+				}
+				modalBody.appendChild(inputWrapper);
+			} else {
+				const input = document.createElement('input');
+				input.type = 'hidden';
+				input.value = rowData[column.key];
+				input.dataset.key = column.key;
+				modalBody.appendChild(input);
+			}
+		});
+	}
+
+	setModalTitle(modal, mode) {
+		const title = modal.querySelector('.modal-title');
+		if (!title) {
+			return;
+		}
+		if (!title.dataset.editTitle) {
+			title.dataset.editTitle = title.textContent;
+		}
+		title.textContent = mode === 'create' ? this.createModalTitle : title.dataset.editTitle;
+	}
+
+	collectFormData(modal) {
+		const formData = {};
+		const inputs = modal.querySelectorAll('[data-key]');
+		inputs.forEach((input) => {
+			const key = input.dataset.key;
+			if (key && input.type !== 'button' && input.type !== 'submit' && input.type !== 'reset') {
+				if (input.type === 'checkbox') {
+					formData[key] = input.checked;
+				} else {
+					formData[key] = input.value;
+				}
+			}
+		});
+		return formData;
+	}
+
+	async validateField(column, value, formData) {
+		const rules = column?.validation;
+		if (!rules || column.editFieldType === false) {
+			return null;
+		}
+
+		const title = column.title || column.key;
+		const messages = rules.messages || {};
+		const isEmpty = value === null || value === undefined || value === '' || value === false;
+
+		if (isEmpty) {
+			return rules.required ? (messages.required || `${title} is required.`) : null;
+		}
+
+		// Dates and times compare as ISO strings, everything else as numbers
+		const fieldType = column.editFieldType || 'text';
+		const comparable = (v) => (['date', 'datetime-local', 'time', 'month', 'week'].includes(fieldType) ? String(v) : Number(v));
+		const text = String(value);
+
+		if (rules.min !== undefined && comparable(value) < comparable(rules.min)) {
+			return messages.min || `${title} must be at least ${rules.min}.`;
+		}
+		if (rules.max !== undefined && comparable(value) > comparable(rules.max)) {
+			return messages.max || `${title} must be at most ${rules.max}.`;
+		}
+		if (rules.minLength !== undefined && text.length < rules.minLength) {
+			return messages.minLength || `${title} must be at least ${rules.minLength} characters.`;
+		}
+		if (rules.maxLength !== undefined && text.length > rules.maxLength) {
+			return messages.maxLength || `${title} must be at most ${rules.maxLength} characters.`;
+		}
+		if (rules.pattern && !new RegExp(rules.pattern).test(text)) {
+			return messages.pattern || `${title} has an invalid format.`;
+		}
+		if (rules.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) {
+			return messages.email || `${title} must be a valid email address.`;
+		}
+
+		if (typeof rules.validator === 'function') {
+			// true or nothing is valid, false uses the default message, a string is the message
+			const result = await rules.validator(value, formData, column, this);
+			if (result === false) {
+				return messages.validator || `${title} is invalid.`;
+			}
+			if (typeof result === 'string' && result !== '') {
+				return result;
+			}
+		}
+
+		return null;
+	}
+
+	async validateForm(modal, formData, rowData) {
+		this.clearFieldErrors(modal);
+
+		const errors = {};
+		const values = { ...rowData, ...formData };
+		for (const column of this.columns) {
+			if (column.key in formData) {
+				const message = await this.validateField(column, formData[column.key], values);
+				if (message) {
+					errors[column.key] = message;
+				}
+			}
+		}
+
+		if (Object.keys(errors).length === 0) {
+			return true;
+		}
+
+		this.showFieldErrors(modal, errors);
+		this.triggerEvent('validationerror.yo.jsontable', {
+			rowData,
+			formData,
+			errors
+		});
+		return false;
+	}
+
+	showFieldErrors(modal, errors) {
+		this.clearFieldErrors(modal);
+
+		const unmatched = [];
+		let first = null;
+
+		Object.entries(errors).forEach(([key, message]) => {
+			const text = [].concat(message).join(' ');
+			const input = modal.querySelector(`.modal-body [data-key="${CSS.escape(key)}"]`);
+
+			if (!input || input.type === 'hidden') {
+				unmatched.push(text);
+				return;
+			}
+
+			this.setFieldError(input, text);
+			first = first || input;
+		});
+
+		if (first) {
+			first.focus();
+		}
+
+		// Errors for fields that are not in the form still need to be seen
+		if (unmatched.length) {
+			this.showToast('error', unmatched.join(' '));
+		}
+	}
+
+	setFieldError(input, message) {
+		const feedback = document.createElement('div');
+		feedback.className = 'invalid-feedback';
+		feedback.id = `edit-${input.dataset.key}-feedback`;
+		feedback.textContent = message;
+
+		input.classList.add('is-invalid');
+		input.setAttribute('aria-invalid', 'true');
+		input.setAttribute('aria-describedby', feedback.id);
+		input.closest('.input-group')?.classList.add('has-validation');
+
+		// Bootstrap shows .invalid-feedback when it follows the invalid input
+		input.parentNode.appendChild(feedback);
+
+		const clear = () => {
+			input.classList.remove('is-invalid');
+			input.removeAttribute('aria-invalid');
+			input.removeAttribute('aria-describedby');
+			feedback.remove();
+		};
+		input.addEventListener('input', clear, { once: true });
+		input.addEventListener('change', clear, { once: true });
+	}
+
+	clearFieldErrors(modal) {
+		modal.querySelectorAll('.modal-body .is-invalid').forEach((input) => {
+			input.classList.remove('is-invalid');
+			input.removeAttribute('aria-invalid');
+			input.removeAttribute('aria-describedby');
+		});
+		modal.querySelectorAll('.modal-body .invalid-feedback').forEach(feedback => feedback.remove());
+	}
+
+	setupCreateButton() {
+		if (this.allowCreate && this.createButton) {
+			this.createButton.addEventListener('click', (e) => {
+				e.preventDefault();
+				this.showCreateModal();
+			});
+		}
+	}
+
+	showCreateModal() {
+		const rowData = {};
+		this.columns.forEach((column) => {
+			rowData[column.key] = column.defaultValue ?? '';
+		});
+
+		const modal = document.querySelector('#editModal');
+		const modalBody = modal.querySelector('.modal-body');
+
+		modalBody.innerHTML = '';
+		this.buildEditForm(modalBody, rowData);
+		this.setModalTitle(modal, 'create');
+
+		const saveBtn = modal.querySelector('.save-edit');
+		saveBtn.onclick = () => this.saveCreate(modal);
+
+		bootstrap.Modal.getOrCreateInstance(modal).show();
+	}
+
+	async saveCreate(modal) {
+		const formData = this.collectFormData(modal);
+		if (!(await this.validateForm(modal, formData, {}))) {
+			return;
+		}
+
+		const postData = {
+			...formData,
+			...this.editSaveAdditionalData
+		};
+
+		const createEvent = this.triggerEvent('create.yo.jsontable', {
+			formData,
+			postData
+		});
+
+		if (createEvent.defaultPrevented) {
+			return;
+		}
+
+		bootstrap.Modal.getOrCreateInstance(modal).hide();
+
+		// Optimistically insert the new row at the top of the table
+		const rowData = { ...formData };
+		this.data.unshift(rowData);
+		this.filteredData.unshift(rowData);
+		this.updateFoundEntries();
+		this.renderTable('rows');
+
+		try {
+			const responseData = await this.postJson(this.createUrl, postData);
+			this.assertSuccessResponse(responseData);
+
+			// Let the server fill in generated values such as the row id
+			if (responseData?.row) {
+				Object.assign(rowData, responseData.row);
+			}
+
+			if (this.serverSide) {
+				await this.fetchServerData();
+			}
+			this.renderTable('rows');
+			this.showSaveToast(responseData);
+
+			this.triggerEvent('created.yo.jsontable', {
+				rowData,
+				response: responseData
+			});
+		} catch (error) {
+			const errors = this.getResponseErrors(error.data);
+			console.error('Error creating row:', error);
+			this.removeFromArray(this.data, rowData);
+			this.removeFromArray(this.filteredData, rowData);
+			this.updateFoundEntries();
+			this.renderTable('rows');
+
+			// Reopen the modal, it still holds the entered values, and point at the invalid fields
+			if (errors) {
+				bootstrap.Modal.getOrCreateInstance(modal).show();
+				this.showFieldErrors(modal, errors);
+			} else {
+				this.showToast('error', 'Failed to add row. Please try again.');
+			}
+
+			this.triggerEvent('createerror.yo.jsontable', {
+				rowData,
+				error,
+				errors
+			});
+		}
+	}
+
+	async deleteRow(rowData) {
+		if (!rowData) {
+			return;
+		}
+
+		const confirmed = await this.confirmDelete(rowData);
+		if (!confirmed) {
+			return;
+		}
+
+		const postData = {
+			[this.rowIdKey]: rowData[this.rowIdKey],
+			...this.editSaveAdditionalData
+		};
+
+		const deleteEvent = this.triggerEvent('delete.yo.jsontable', {
+			rowData,
+			postData
+		});
+
+		if (deleteEvent.defaultPrevented) {
+			return;
+		}
+
+		// Optimistically remove the row, remembering where it was for a rollback
+		const dataIndex = this.removeFromArray(this.data, rowData);
+		const filteredIndex = this.removeFromArray(this.filteredData, rowData);
+		this.updateFoundEntries();
+		this.renderTable('rows');
+
+		try {
+			const responseData = await this.postJson(this.deleteUrl, postData);
+			this.assertSuccessResponse(responseData);
+
+			if (this.serverSide) {
+				await this.fetchServerData();
+				this.renderTable('rows');
+			}
+			this.showSaveToast(responseData);
+			this.expandedRows.delete(this.getRowId(rowData));
+			if (this.selectedRows.delete(this.getRowId(rowData))) {
+				this.updateSelectionUI();
+			}
+
+			this.triggerEvent('deleted.yo.jsontable', {
+				rowData,
+				response: responseData
+			});
+		} catch (error) {
+			console.error('Error deleting row:', error);
+			if (dataIndex > -1) {
+				this.data.splice(dataIndex, 0, rowData);
+			}
+			if (filteredIndex > -1) {
+				this.filteredData.splice(filteredIndex, 0, rowData);
+			}
+			this.updateFoundEntries();
+			this.renderTable('rows');
+			this.showToast('error', 'Failed to delete row. Please try again.');
+
+			this.triggerEvent('deleteerror.yo.jsontable', {
+				rowData,
+				error
+			});
+		}
+	}
+
+	assertSuccessResponse(responseData) {
+		if (responseData?.status === 'error' || responseData?.status === 'danger' || this.getResponseErrors(responseData)) {
+			throw this.createResponseError(responseData);
+		}
+	}
+
+	createResponseError(responseData, message = 'Server returned an error') {
+		const error = new Error(responseData?.msg || message);
+		error.data = responseData; // Keeps the field errors of the response
+		return error;
+	}
+
+	getResponseErrors(responseData) {
+		const errors = responseData?.errors;
+		return errors && typeof errors === 'object' && Object.keys(errors).length ? errors : null;
+	}
+
+	removeFromArray(array, item) {
+		const index = array.indexOf(item);
+		if (index > -1) {
+			array.splice(index, 1);
+		}
+		return index;
+	}
+
+	addGlobalSearchListener() {
+		if (this.globalSearchInput) {
+			this.globalSearchInput.addEventListener('input', (e) => this.filterGlobal(e.target.value));
+		}
+	}
+
+	async filterGlobal(value) {
+		const event = this.triggerEvent('filter.yo.jsontable', {
+			filterType: 'global',
+			value,
+			oldData: this.filteredData
+		});
+
+		if (event.defaultPrevented) {
+			return;
+		}
+
+		this.searchValue = value;
+
+		if (this.serverSide) {
+			this.currentPage = 1;
+			await this.fetchServerData();
+			this.renderTable('rows');
+
+			this.triggerEvent('filtered.yo.jsontable', {
+				filterType: 'global',
+				value,
+				resultCount: this.filteredRecords
+			});
+			return;
+		}
+
+		this.applyFilters();
+		this.currentPage = 1;
+		this.updateFoundEntries();
+		this.renderTable();
+
+		this.triggerEvent('filtered.yo.jsontable', {
+			filterType: 'global',
+			value,
+			resultCount: this.filteredData.length
+		});
+	}
+
+	async filterColumn(key, value) {
+		// Filter data based on specific column key and input value
+		const event = this.triggerEvent('filter.yo.jsontable', {
+			filterType: 'column',
+			column: key,
+			value,
+			oldData: this.filteredData
+		});
+
+		if (event.defaultPrevented) {
+			return;
+		}
+
+		if (value === '') {
+			delete this.columnFilters[key];
+		} else {
+			this.columnFilters[key] = value;
+		}
+
+		if (this.serverSide) {
+			this.currentPage = 1;
+			await this.fetchServerData();
+			this.renderTable('rows');
+
+			this.triggerEvent('filtered.yo.jsontable', {
+				filterType: 'column',
+				column: key,
+				value,
+				resultCount: this.filteredRecords
+			});
+			return;
+		}
+
+		// Update filteredData based on current search criteria
+		this.applyFilters();
+
+		// Re-render table rows and pagination after filtering
+		this.currentPage = 1; // Reset to first page
+		this.updateFoundEntries();
+		this.renderTable('rows');
+
+		this.triggerEvent('filtered.yo.jsontable', {
+			filterType: 'column',
+			column: key,
+			value,
+			resultCount: this.filteredData.length
+		});
+	}
+
+	applyFilters() {
+		const lowerValue = this.searchValue.toLowerCase();
+		const filters = Object.entries(this.columnFilters).map(([key, value]) => ({
+			key,
+			value: String(value).toLowerCase(),
+			exact: !!this.columns.find((col) => col.key === key && col.searchType === 'select')
+		}));
+
+		this.filteredData = this.data.filter((row) => {
+			if (lowerValue && !Object.values(row).some((field) => String(field).toLowerCase().includes(lowerValue))) {
+				return false;
+			}
+
+			return filters.every(({ key, value, exact }) => {
+				const cellValue = String(row[key] ?? '').toLowerCase();
+				// Select dropdowns match exactly, text inputs match partially
+				return exact ? cellValue === value : cellValue.includes(value);
+			});
+		});
+	}
+
+	adjustTfootSearchFields() {
+		// Adjust tfoot search fields based on editPlacement
+		const tfoot = this.container.querySelector('tfoot');
+		if (this.hasEditColumn() && this.editPlacement === 'start') {
+			// If edit column is at the start, move tfoot search fields over by 1
+			const th = document.createElement('th');
+			th.textContent = ''; // Adjust as needed based on your table structure
+			tfoot.insertBefore(th, tfoot.firstElementChild); // Adjust based on your specific structure
+		}
+	}
+
+	async toggleSort(column, multi = false) {
+		const oldColumn = this.sortColumn;
+		const oldOrder = this.sortOrder;
+		const oldSortList = this.getSort();
+		const sortList = this.getSort();
+		const existing = sortList.find(item => item.column === column);
+
+		if (multi) {
+			// Shift-click cycles a column through asc, desc and unsorted while keeping the others
+			if (!existing) {
+				sortList.push({ column, order: 'asc' });
+			} else if (existing.order === 'asc') {
+				existing.order = 'desc';
+			} else {
+				sortList.splice(sortList.indexOf(existing), 1);
+			}
+		} else {
+			const newOrder = (existing && sortList.length === 1 && existing.order === 'asc') ? 'desc' : 'asc';
+			sortList.splice(0, sortList.length, { column, order: newOrder });
+		}
+
+		const newOrder = sortList.find(item => item.column === column)?.order || null;
+
+		const event = this.triggerEvent('sort.yo.jsontable', {
+			column,
+			oldColumn,
+			oldOrder,
+			newOrder,
+			multi,
+			oldSortList,
+			sortList
+		});
+
+		if (event.defaultPrevented) {
+			return;
+		}
+
+		await this.applySort(sortList);
+
+		this.triggerEvent('sorted.yo.jsontable', {
+			column: this.sortColumn,
+			order: this.sortOrder,
+			sortList: this.getSort()
+		});
+	}
+
+	getSort() {
+		return this.sortList.map(item => ({ ...item }));
+	}
+
+	async setSort(sortList) {
+		await this.applySort(sortList);
+
+		this.triggerEvent('sorted.yo.jsontable', {
+			column: this.sortColumn,
+			order: this.sortOrder,
+			sortList: this.getSort()
+		});
+	}
+
+	async applySort(sortList) {
+		this.sortList = sortList
+			.filter(item => item && item.column)
+			.map(item => ({ column: item.column, order: item.order === 'desc' ? 'desc' : 'asc' }));
+		this.sortColumn = this.sortList[0]?.column ?? null;
+		this.sortOrder = this.sortList[0]?.order ?? 'asc';
+
+		this.updateSortIcons();
+		if (this.serverSide) {
+			await this.fetchServerData();
+			this.renderTable('rows');
+		} else {
+			this.renderRows();
+		}
+	}
+
+	sortRows(rows) {
+		const sorters = this.sortList.map(({ column: key, order }) => {
+			const column = this.columns.find(col => col.key === key) || {};
+			return { key, column, direction: order === 'desc' ? -1 : 1 };
+		});
+
+		return rows.sort((a, b) => {
+			for (const { key, column, direction } of sorters) {
+				let aVal = a[key];
+				let bVal = b[key];
+
+				// Use custom sortValue function if provided
+				if (typeof column.sortValue === 'function') {
+					aVal = column.sortValue(aVal);
+					bVal = column.sortValue(bVal);
+				}
+
+				const result = typeof column.type === 'function'
+					? column.type(aVal, bVal, a, b)
+					: this.compareValues(aVal, bVal, column.type, column.dateFormat);
+
+				if (result !== 0) {
+					return result * direction;
+				}
+			}
+			return 0;
+		});
+	}
+
+	compareValues(a, b, type = 'string', dateFormat = 'MDY') {
+		switch (type) {
+			case 'number':
+				return this.compareNumbers(parseFloat(a), parseFloat(b));
+			case 'currency':
+				return this.compareNumbers(this.parseCurrency(a), this.parseCurrency(b));
+			case 'date':
+				return this.compareNumbers(this.parseDate(a, dateFormat), this.parseDate(b, dateFormat));
+			case 'natural':
+				return String(a ?? '').localeCompare(String(b ?? ''), undefined, { numeric: true, sensitivity: 'base' });
+			default:
+				a = a ?? '';
+				b = b ?? '';
+				return a > b ? 1 : a < b ? -1 : 0;
+		}
+	}
+
+	compareNumbers(a, b) {
+		// Values that can't be parsed always sort after real numbers
+		const aNaN = Number.isNaN(a);
+		const bNaN = Number.isNaN(b);
+		if (aNaN || bNaN) {
+			return aNaN === bNaN ? 0 : aNaN ? 1 : -1;
+		}
+		return a - b;
+	}
+
+	parseCurrency(value) {
+		if (typeof value === 'number') {
+			return value;
+		}
+		const text = String(value ?? '');
+		const negative = /^\s*\(.*\)\s*$/.test(text) || text.includes('-');
+		const number = parseFloat(text.replace(/[^0-9.]/g, ''));
+		return negative ? -number : number;
+	}
+
+	parseDate(value, format = 'MDY') {
+		if (value instanceof Date) {
+			return value.getTime();
+		}
+		const text = String(value ?? '').trim();
+		const parts = text.match(/^(\d{1,4})[\/.-](\d{1,2})[\/.-](\d{1,4})(.*)$/);
+
+		// Numeric dates like 03/04/2024 are read in the configured part order
+		if (parts && !/^\d{4}-\d{2}-\d{2}/.test(text)) {
+			const values = { [format[0]]: parts[1], [format[1]]: parts[2], [format[2]]: parts[3] };
+			const time = parts[4].trim();
+			const date = new Date(`${values.Y.padStart(4, '20')}-${values.M.padStart(2, '0')}-${values.D.padStart(2, '0')}${time ? 'T' + time : ''}`);
+			return date.getTime();
+		}
+		return Date.parse(text);
+	}
+
+	updateSortIcons() {
+		// Update all sortable column headers with appropriate icons
+		this.container.querySelectorAll('th.sortable').forEach(th => {
+			const columnKey = th.dataset.column;
+			const sortIcon = th.querySelector('.sort-icon');
+
+			if (sortIcon) {
+				sortIcon.innerHTML = this.getSortIconHtml(columnKey);
+			}
+
+			// Only the primary sort column carries aria-sort
+			th.setAttribute('aria-sort', columnKey === this.sortColumn ? (this.sortOrder === 'asc' ? 'ascending' : 'descending') : 'none');
+		});
+	}
+
+	getSortIconHtml(columnKey) {
+		const index = this.sortList.findIndex(item => item.column === columnKey);
+
+		if (index === -1) {
+			return '<i class="bi bi-arrow-down-up"></i>';
+		}
+
+		const icon = this.sortList[index].order === 'asc'
+			? '<i class="bi bi-arrow-up"></i>'
+			: '<i class="bi bi-arrow-down"></i>';
+
+		// Number the icons when sorting by more than one column
+		return this.sortList.length > 1 ? `${icon}<sup class="sort-index">${index + 1}</sup>` : icon;
+	}
+
+	exportData(format = 'csv', scope = 'filtered', options = {}) {
+		const valueMode = options.values || this.exportValues;
+		let rows;
+
+		// In serverSide mode only the current page is loaded, so every scope exports that page
+		if (scope === 'page') {
+			rows = this.pageRows;
+		} else if (scope === 'all') {
+			rows = this.data;
+		} else {
+			rows = this.sortList.length && !this.serverSide ? this.sortRows([...this.filteredData]) : this.filteredData;
+		}
+
+		const event = this.triggerEvent('export.yo.jsontable', {
+			format,
+			scope,
+			values: valueMode,
+			columns: this.columns,
+			rows
+		});
+
+		if (event.defaultPrevented) {
+			return null;
+		}
+
+		const headers = this.columns.map(column => column.title);
+		const values = rows.map(row => this.columns.map(column => {
+			if (typeof column.exportValue === 'function') {
+				return column.exportValue(row[column.key], row);
+			}
+			return valueMode === 'formatted' ? this.getFormattedText(column, row[column.key], row) : row[column.key];
+		}));
+		const keys = this.columns.map(column => column.key);
+		const content = this.serializeRows(format, headers, values, keys);
+
+		this.triggerEvent('exported.yo.jsontable', {
+			format,
+			scope,
+			rowCount: rows.length,
+			content
+		});
+
+		return content;
+	}
+
+	serializeRows(format, headers, rows, keys = headers) {
+		switch (format) {
+			case 'csv':
+				return this.toCsv(headers, rows);
+			case 'json':
+				// Keyed like the loaded data, titles may be empty or repeated
+				return JSON.stringify(rows.map(row => Object.fromEntries(keys.map((key, i) => [key, row[i]]))), null, 2);
+			case 'excel':
+				return this.toSpreadsheetXml(headers, rows);
+			default:
+				throw new Error(`Unknown export format: ${format}`);
+		}
+	}
+
+	toCsv(headers, rows) {
+		// RFC 4180: quote fields containing commas, quotes or line breaks and double embedded quotes
+		const escape = (value) => {
+			const text = String(value ?? '');
+			return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+		};
+		return [headers, ...rows].map(row => row.map(escape).join(',')).join('\r\n');
+	}
+
+	toSpreadsheetXml(headers, rows) {
+		const escape = (value) => String(value ?? '')
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;');
+		const cell = (value) => {
+			if (typeof value === 'number' && Number.isFinite(value)) {
+				return `<Cell><Data ss:Type="Number">${value}</Data></Cell>`;
+			}
+			if (typeof value === 'boolean') {
+				return `<Cell><Data ss:Type="Boolean">${value ? 1 : 0}</Data></Cell>`;
+			}
+			return `<Cell><Data ss:Type="String">${escape(value)}</Data></Cell>`;
+		};
+		const xmlRows = [headers, ...rows].map(row => `<Row>${row.map(cell).join('')}</Row>`).join('\n');
+
+		return '<?xml version="1.0" encoding="UTF-8"?>\n'
+			+ '<?mso-application progid="Excel.Sheet"?>\n'
+			+ '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">\n'
+			+ '<Worksheet ss:Name="Sheet1"><Table>\n'
+			+ xmlRows
+			+ '\n</Table></Worksheet></Workbook>';
+	}
+
+	download(format = 'csv', scope = 'filtered', filename = this.exportFilename) {
+		const content = this.exportData(format, scope);
+		if (content === null) {
+			return;
+		}
+
+		const types = {
+			csv: ['text/csv;charset=utf-8', 'csv'],
+			json: ['application/json;charset=utf-8', 'json'],
+			excel: ['application/vnd.ms-excel;charset=utf-8', 'xls']
+		};
+		const [mimeType, extension] = types[format];
+		// The BOM makes Excel read UTF-8 CSV files correctly
+		const blob = new Blob([format === 'csv' ? '\ufeff' + content : content], { type: mimeType });
+		const url = URL.createObjectURL(blob);
+		const link = document.createElement('a');
+		link.href = url;
+		link.download = `${filename}.${extension}`;
+		document.body.appendChild(link);
+		link.click();
+		link.remove();
+		URL.revokeObjectURL(url);
+	}
+
+	setupExportButton() {
+		if (!this.exportButton) {
+			return;
+		}
+
+		const labels = { csv: 'CSV', json: 'JSON', excel: 'Excel' };
+		const scopes = { filtered: 'Filtered rows', page: 'Current page', all: 'All rows' };
+
+		const dropdown = document.createElement('div');
+		dropdown.className = 'dropdown';
+
+		const button = document.createElement('button');
+		button.className = 'btn btn-outline-secondary btn-sm';
+		button.type = 'button';
+		button.dataset.bsToggle = 'dropdown';
+		button.setAttribute('aria-expanded', 'false');
+		button.innerHTML = '<i class="bi bi-download"></i> Export';
+
+		const menu = document.createElement('ul');
+		menu.className = 'dropdown-menu';
+
+		Object.entries(scopes).forEach(([scope, scopeLabel], index) => {
+			if (index > 0) {
+				menu.insertAdjacentHTML('beforeend', '<li><hr class="dropdown-divider"></li>');
+			}
+			menu.insertAdjacentHTML('beforeend', `<li><h6 class="dropdown-header">${scopeLabel}</h6></li>`);
+
+			this.exportFormats.forEach(format => {
+				const li = document.createElement('li');
+				const a = document.createElement('a');
+				a.className = 'dropdown-item';
+				a.href = '#';
+				a.textContent = labels[format] || format;
+				a.addEventListener('click', (e) => {
+					e.preventDefault();
+					this.download(format, scope);
+				});
+				li.appendChild(a);
+				menu.appendChild(li);
+			});
+		});
+
+		dropdown.appendChild(button);
+		dropdown.appendChild(menu);
+		this.exportButton.appendChild(dropdown);
+	}
+
+	getRowId(row) {
+		return row[this.rowIdKey];
+	}
+
+	setupVirtualScroll() {
+		if (!this.virtualScroll || this.scrollContainer) {
+			return;
+		}
+
+		// Wrap the table in a fixed-height scroll container
+		this.scrollContainer = document.createElement('div');
+		this.scrollContainer.className = 'table-virtual-scroll';
+		this.scrollContainer.style.height = this.virtualScrollHeight;
+		this.scrollContainer.style.overflowY = 'auto';
+		this.container.parentNode.insertBefore(this.scrollContainer, this.container);
+		this.scrollContainer.appendChild(this.container);
+
+		// Keep the header (and footer filters) visible while scrolling
+		['thead', 'tfoot'].forEach(tag => {
+			const section = this.container.querySelector(tag);
+			if (section) {
+				section.style.position = 'sticky';
+				section.style[tag === 'thead' ? 'top' : 'bottom'] = '0';
+				section.style.zIndex = '2';
+			}
+		});
+
+		this.scrollContainer.addEventListener('scroll', () => {
+			if (this.virtualFrame) {
+				return;
+			}
+			this.virtualFrame = requestAnimationFrame(() => {
+				this.virtualFrame = null;
+				const { start, end } = this.getVirtualWindow(this.viewItemCount);
+				if (start !== this.virtualWindow.start || end !== this.virtualWindow.end) {
+					this.renderRows({ virtual: true });
+				}
+			});
+		}, { passive: true });
+	}
+
+	getVirtualWindow(rowCount) {
+		const scrollTop = this.scrollContainer ? this.scrollContainer.scrollTop : 0;
+		const viewHeight = this.scrollContainer ? this.scrollContainer.clientHeight : 0;
+		const start = Math.max(0, Math.floor(scrollTop / this.rowHeight) - this.virtualBuffer);
+		const end = Math.min(rowCount, Math.ceil((scrollTop + viewHeight) / this.rowHeight) + this.virtualBuffer);
+		return { start, end };
+	}
+
+	createVirtualSpacer(rowCount) {
+		const tr = document.createElement('tr');
+		tr.className = 'virtual-spacer';
+		tr.setAttribute('aria-hidden', 'true');
+		const td = document.createElement('td');
+		td.colSpan = this.container.querySelectorAll('thead th').length || 1;
+		td.style.height = `${rowCount * this.rowHeight}px`;
+		td.style.padding = '0';
+		td.style.border = '0';
+		tr.appendChild(td);
+		return tr;
+	}
+
+	measureVirtualRowHeight(tbody) {
+		// Replace the estimated rowHeight with the real one the first time a row is in the DOM
+		if (this.rowHeightMeasured) {
+			return false;
+		}
+		const row = tbody.querySelector('tr:not(.virtual-spacer)');
+		const height = row ? row.offsetHeight : 0;
+		if (height === 0) {
+			return false;
+		}
+		this.rowHeightMeasured = true;
+		if (Math.abs(height - this.rowHeight) > 1) {
+			this.rowHeight = height;
+			return true;
+		}
+		return false;
+	}
+
+	hasDetailRows() {
+		return Boolean(this.detailRow);
+	}
+
+	renderDetailToggleCell(row) {
+		const td = document.createElement('td');
+		td.className = 'detail-cell';
+
+		const expanded = this.expandedRows.has(this.getRowId(row));
+		const button = document.createElement('button');
+		button.type = 'button';
+		button.className = 'btn btn-link btn-sm p-0 detail-toggle';
+		button.setAttribute('aria-expanded', String(expanded));
+		button.setAttribute('aria-label', expanded ? 'Hide details' : 'Show details');
+		button.innerHTML = `<i class="bi bi-chevron-${expanded ? 'down' : 'right'}"></i>`;
+		button.addEventListener('click', (e) => {
+			e.stopPropagation();
+			this.toggleRow(row);
+		});
+
+		td.appendChild(button);
+		return td;
+	}
+
+	renderDetailRow(row) {
+		const tr = document.createElement('tr');
+		tr.className = 'detail-row';
+
+		const td = document.createElement('td');
+		td.colSpan = [...this.container.querySelectorAll('thead th')].filter(th => th.style.display !== 'none').length || 1;
+		tr.appendChild(td);
+
+		this.fillDetailCell(td, row);
+		return tr;
+	}
+
+	getDetailContent(row) {
+		if (typeof this.detailRow === 'function') {
+			return this.detailRow(row, this);
+		}
+
+		const template = document.querySelector(this.detailRow);
+		if (!template) {
+			return '';
+		}
+
+		// {{key}} placeholders are replaced with the escaped values of the row
+		return template.innerHTML.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, key) => String(row[key] ?? '')
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;'));
+	}
+
+	fillDetailCell(td, row) {
+		const id = this.getRowId(row);
+
+		if (this.detailContent.has(id)) {
+			this.setDetailContent(td, this.detailContent.get(id));
+			return;
+		}
+
+		let pending = this.detailLoading.get(id);
+
+		if (!pending) {
+			let content;
+			try {
+				content = this.getDetailContent(row);
+			} catch (error) {
+				content = Promise.reject(error);
+			}
+
+			if (!content || typeof content.then !== 'function') {
+				this.setDetailContent(td, content);
+				return;
+			}
+
+			pending = content.then((result) => {
+				this.detailContent.set(id, result);
+				this.triggerEvent('detailloaded.yo.jsontable', { row, id, content: result });
+				return result;
+			}, (error) => {
+				console.error('Error loading row details:', error);
+				this.triggerEvent('detailerror.yo.jsontable', { row, id, error });
+				throw error;
+			}).finally(() => this.detailLoading.delete(id));
+			this.detailLoading.set(id, pending);
+		}
+
+		// A re-render while loading attaches the new cell to the same request
+		td.innerHTML = '<div class="text-muted py-2"><span class="spinner-border spinner-border-sm me-2" role="status"></span>Loading...</div>';
+		pending.then((result) => {
+			if (td.isConnected) {
+				this.setDetailContent(td, result);
+			}
+		}, () => {
+			if (td.isConnected) {
+				td.innerHTML = '<div class="text-danger py-2"><i class="bi bi-exclamation-triangle me-2"></i>Details could not be loaded.</div>';
+			}
+		});
+	}
+
+	setDetailContent(td, content) {
+		td.innerHTML = '';
+		if (content instanceof Node) {
+			td.appendChild(content);
+		} else {
+			td.innerHTML = content ?? '';
+		}
+	}
+
+	findRow(rowOrId) {
+		if (rowOrId && typeof rowOrId === 'object') {
+			return rowOrId;
+		}
+		return this.data.find(row => String(this.getRowId(row)) === String(rowOrId)) || null;
+	}
+
+	isRowExpanded(rowOrId) {
+		const row = this.findRow(rowOrId);
+		return row !== null && this.expandedRows.has(this.getRowId(row));
+	}
+
+	expandRow(rowOrId) {
+		const row = this.findRow(rowOrId);
+		if (!this.hasDetailRows() || !row || this.expandedRows.has(this.getRowId(row))) {
+			return;
+		}
+
+		const id = this.getRowId(row);
+		const event = this.triggerEvent('expand.yo.jsontable', { row, id });
+
+		if (event.defaultPrevented) {
+			return;
+		}
+
+		this.expandedRows.add(id);
+		this.renderTable('rows');
+
+		this.triggerEvent('expanded.yo.jsontable', { row, id });
+	}
+
+	collapseRow(rowOrId) {
+		const row = this.findRow(rowOrId);
+		if (!row || !this.expandedRows.has(this.getRowId(row))) {
+			return;
+		}
+
+		const id = this.getRowId(row);
+		const event = this.triggerEvent('collapse.yo.jsontable', { row, id });
+
+		if (event.defaultPrevented) {
+			return;
+		}
+
+		this.expandedRows.delete(id);
+		if (!this.detailCache) {
+			this.detailContent.delete(id);
+		}
+		this.renderTable('rows');
+
+		this.triggerEvent('collapsed.yo.jsontable', { row, id });
+	}
+
+	toggleRow(rowOrId) {
+		if (this.isRowExpanded(rowOrId)) {
+			this.collapseRow(rowOrId);
+		} else {
+			this.expandRow(rowOrId);
+		}
+	}
+
+	expandAll() {
+		// Every matching row is marked, details are rendered (and loaded) once their page is shown
+		const rows = this.viewRows.filter(row => !this.expandedRows.has(this.getRowId(row)));
+		if (!this.hasDetailRows() || rows.length === 0) {
+			return;
+		}
+
+		const ids = rows.map(row => this.getRowId(row));
+		const event = this.triggerEvent('expand.yo.jsontable', { rows, ids, all: true });
+
+		if (event.defaultPrevented) {
+			return;
+		}
+
+		ids.forEach(id => this.expandedRows.add(id));
+		this.renderTable('rows');
+
+		this.triggerEvent('expanded.yo.jsontable', { rows, ids, all: true });
+	}
+
+	collapseAll() {
+		const ids = [...this.expandedRows];
+		if (ids.length === 0) {
+			return;
+		}
+
+		const rows = ids.map(id => this.findRow(id)).filter(Boolean);
+		const event = this.triggerEvent('collapse.yo.jsontable', { rows, ids, all: true });
+
+		if (event.defaultPrevented) {
+			return;
+		}
+
+		this.expandedRows.clear();
+		if (!this.detailCache) {
+			this.detailContent.clear();
+		}
+		this.renderTable('rows');
+
+		this.triggerEvent('collapsed.yo.jsontable', { rows, ids, all: true });
+	}
+
+	setupAccessibility() {
+		if (!this.accessible) {
+			return;
+		}
+
+		this.container.setAttribute('role', 'grid');
+
+		this.liveRegion = document.createElement('div');
+		this.liveRegion.className = 'visually-hidden';
+		this.liveRegion.setAttribute('aria-live', 'polite');
+		this.liveRegion.setAttribute('aria-atomic', 'true');
+		const anchor = this.scrollContainer || this.container;
+		anchor.parentNode.insertBefore(this.liveRegion, anchor.nextSibling);
+
+		this.container.addEventListener('keydown', (e) => this.handleGridKeydown(e));
+		this.container.addEventListener('focusin', (e) => {
+			const position = this.getCellPosition(e.target.closest('td, th'));
+			if (position) {
+				this.activeCell = position;
+				this.updateRovingTabindex();
+			}
+		});
+	}
+
+	getGridRows() {
+		return [...this.container.querySelectorAll(':scope > thead > tr, :scope > tbody > tr:not(.virtual-spacer), :scope > tfoot > tr')]
+			.filter(tr => tr.style.display !== 'none' && tr.parentNode.style.display !== 'none');
+	}
+
+	getRowCells(tr) {
+		return [...tr.children].filter(cell => cell.style.display !== 'none');
+	}
+
+	getCellPosition(cell) {
+		if (!cell || cell.closest('table') !== this.container) {
+			return null;
+		}
+		const row = this.getGridRows().indexOf(cell.parentNode);
+		const column = row === -1 ? -1 : this.getRowCells(cell.parentNode).indexOf(cell);
+		return column === -1 ? null : { row, column };
+	}
+
+	getActiveCell() {
+		const rows = this.getGridRows();
+		if (!rows.length) {
+			return null;
+		}
+		const cells = this.getRowCells(rows[Math.min(this.activeCell.row, rows.length - 1)]);
+		return cells[Math.min(this.activeCell.column, cells.length - 1)] || null;
+	}
+
+	applyGridSemantics() {
+		if (!this.accessible) {
+			return;
+		}
+
+		this.getGridRows().forEach(tr => {
+			tr.setAttribute('role', 'row');
+			[...tr.children].forEach(cell => {
+				cell.setAttribute('role', cell.tagName === 'TH' ? 'columnheader' : 'gridcell');
+				cell.tabIndex = -1;
+			});
+		});
+		this.updateRovingTabindex();
+
+		// Keyboard sorting and paging re-render the cells, keep the focus on the same position
+		if (this.restoreGridFocus) {
+			this.restoreGridFocus = false;
+			const cell = this.getActiveCell();
+			if (cell) {
+				cell.focus();
+			}
+		}
+	}
+
+	updateRovingTabindex() {
+		const active = this.getActiveCell();
+		this.getGridRows().forEach(tr => {
+			[...tr.children].forEach(cell => {
+				cell.tabIndex = cell === active ? 0 : -1;
+			});
+		});
+	}
+
+	focusCell(row, column) {
+		const rows = this.getGridRows();
+		if (!rows.length) {
+			return;
+		}
+		row = Math.max(0, Math.min(row, rows.length - 1));
+		const cells = this.getRowCells(rows[row]);
+		column = Math.max(0, Math.min(column, cells.length - 1));
+
+		this.activeCell = { row, column };
+		this.updateRovingTabindex();
+		if (cells[column]) {
+			cells[column].focus();
+		}
+	}
+
+	handleGridKeydown(e) {
+		const cell = e.composedPath().find(node => node.tagName === 'TD' || node.tagName === 'TH');
+		const position = this.getCellPosition(cell);
+		if (!position) {
+			return;
+		}
+
+		// Keys inside a cell's input belong to the input, Escape (or a finished inline edit) returns to the cell
+		if (e.target !== cell) {
+			if (e.key === 'Escape' || (e.key === 'Enter' && !e.target.isConnected && !this.container.contains(document.activeElement))) {
+				cell.focus();
+			}
+			return;
+		}
+
+		const rows = this.getGridRows();
+		const bodyRows = rows.map((tr, index) => (tr.parentNode.tagName === 'TBODY' ? index : -1)).filter(index => index !== -1);
+		let { row, column } = position;
+
+		switch (e.key) {
+			case 'ArrowRight':
+				column++;
+				break;
+			case 'ArrowLeft':
+				column--;
+				break;
+			case 'ArrowDown':
+				row++;
+				break;
+			case 'ArrowUp':
+				row--;
+				break;
+			case 'Home':
+				column = 0;
+				row = e.ctrlKey ? 0 : row;
+				break;
+			case 'End':
+				column = Infinity;
+				row = e.ctrlKey ? rows.length - 1 : row;
+				break;
+			case 'PageDown':
+			case 'PageUp': {
+				const page = this.currentPage + (e.key === 'PageDown' ? 1 : -1);
+				e.preventDefault();
+
+				// Turn the page and stay on the same cell, or jump to the first/last row of the last/first page
+				if (!this.scrollContainer && page >= 1 && page <= this.filteredPages) {
+					this.restoreGridFocus = true;
+					Promise.resolve(this.goToPage(page)).then(() => {
+						this.restoreGridFocus = false;
+					});
+					return;
+				}
+				if (bodyRows.length) {
+					row = e.key === 'PageDown' ? bodyRows[bodyRows.length - 1] : bodyRows[0];
+				}
+				break;
+			}
+			case 'Enter':
+			case 'F2':
+			case ' ':
+				e.preventDefault();
+				this.activateCell(cell, e);
+				return;
+			default:
+				return;
+		}
+
+		e.preventDefault();
+		this.focusCell(row, column);
+	}
+
+	activateCell(cell, e) {
+		if (cell.tagName === 'TH' && cell.classList.contains('sortable')) {
+			this.restoreGridFocus = true;
+			this.toggleSort(cell.dataset.column, e.shiftKey).then(() => {
+				this.restoreGridFocus = false;
+			});
+			return;
+		}
+
+		// F2 always edits, Enter edits unless the cell holds a link or another control
+		const rowIndex = cell.parentNode.dataset.rowIndex;
+		const editable = this.allowEdit && e.key !== ' ' && cell.dataset.key && rowIndex !== undefined;
+		if (editable && (e.key === 'F2' || !cell.querySelector('input, select, textarea, button, a[href]'))) {
+			if (this.editMode === 'inline') {
+				this.startInlineEdit(cell);
+			} else {
+				this.showEditModal(parseInt(rowIndex, 10));
+			}
+			return;
+		}
+
+		const widget = cell.querySelector('input, select, textarea, button, a[href]');
+		if (!widget) {
+			return;
+		}
+		if (e.key === ' ' && widget.type === 'checkbox') {
+			widget.click();
+		} else {
+			widget.focus();
+		}
+	}
+
+	announce(message) {
+		if (!this.liveRegion) {
+			return;
+		}
+		// Clearing first makes screen readers repeat an identical message
+		this.liveRegion.textContent = '';
+		setTimeout(() => {
+			this.liveRegion.textContent = message;
+		}, 100);
+	}
+
+	isSelectable() {
+		return this.selectable === 'single' || this.selectable === 'multi';
+	}
+
+	renderSelectHeaderCell() {
+		const th = document.createElement('th');
+		th.className = 'select-cell';
+
+		if (this.selectable === 'multi') {
+			const checkbox = document.createElement('input');
+			checkbox.type = 'checkbox';
+			checkbox.className = 'form-check-input select-page';
+			checkbox.setAttribute('aria-label', 'Select all rows on this page');
+			checkbox.addEventListener('click', (e) => {
+				e.stopPropagation();
+				this.togglePageSelection();
+			});
+			th.appendChild(checkbox);
+		}
+
+		return th;
+	}
+
+	renderSelectCell(row) {
+		const td = document.createElement('td');
+		td.className = 'select-cell';
+
+		const checkbox = document.createElement('input');
+		checkbox.type = 'checkbox';
+		checkbox.className = 'form-check-input select-row';
+		checkbox.checked = this.selectedRows.has(this.getRowId(row));
+		checkbox.setAttribute('aria-label', 'Select row');
+		checkbox.addEventListener('click', (e) => {
+			e.stopPropagation();
+			this.toggleRowSelection(row, e.shiftKey);
+		});
+
+		td.appendChild(checkbox);
+		return td;
+	}
+
+	toggleRowSelection(row, range = false) {
+		const id = this.getRowId(row);
+		const selected = new Map(this.selectedRows);
+		const viewIndex = this.viewRows.indexOf(row);
+		const select = !selected.has(id);
+
+		if (this.selectable === 'single') {
+			selected.clear();
+			if (select) {
+				selected.set(id, row);
+			}
+		} else if (range && this.selectionAnchor !== null && viewIndex > -1) {
+			// Shift-click applies the clicked row's new state to every row since the last click
+			const from = Math.min(this.selectionAnchor, viewIndex);
+			const to = Math.max(this.selectionAnchor, viewIndex);
+			this.viewRows.slice(from, to + 1).forEach(item => {
+				if (select) {
+					selected.set(this.getRowId(item), item);
+				} else {
+					selected.delete(this.getRowId(item));
 				}
-				modalBody.appendChild(inputWrapper);
+			});
+		} else if (select) {
+			selected.set(id, row);
+		} else {
+			selected.delete(id);
+		}
+
+		this.selectionAnchor = viewIndex > -1 ? viewIndex : null;
+		this.applySelection(selected);
+	}
+
+	togglePageSelection() {
+		const selected = new Map(this.selectedRows);
+		const allSelected = this.pageRows.length > 0 && this.pageRows.every(row => selected.has(this.getRowId(row)));
+
+		this.pageRows.forEach(row => {
+			if (allSelected) {
+				selected.delete(this.getRowId(row));
 			} else {
-				const input = document.createElement('input');
-				input.type = 'hidden';
-				input.value = rowData[column.key];
-				input.dataset.key = column.key;
-				modalBody.appendChild(input);
+				selected.set(this.getRowId(row), row);
 			}
 		});
 
-		const saveBtn = modal.querySelector('.save-edit');
-		saveBtn.onclick = () => this.saveEdit(rowIndex, modal);
+		this.applySelection(selected);
+	}
 
-		const modalInstance = new bootstrap.Modal(modal);
-		modalInstance.show();
+	selectAllMatching() {
+		const selected = new Map(this.selectedRows);
+		this.viewRows.forEach(row => selected.set(this.getRowId(row), row));
+		this.applySelection(selected);
+	}
 
-		this.triggerEvent('edited.yo.jsontable', {
-			rowData,
-			rowIndex
+	selectRows(ids) {
+		const selected = new Map(this.selectedRows);
+		ids.forEach(id => {
+			const row = this.data.find(item => String(this.getRowId(item)) === String(id));
+			if (row) {
+				selected.set(this.getRowId(row), row);
+			}
 		});
+		this.applySelection(selected);
 	}
 
-	addGlobalSearchListener() {
-		if (this.globalSearchInput) {
-			this.globalSearchInput.addEventListener('input', (e) => this.filterGlobal(e.target.value));
-		}
+	clearSelection() {
+		this.applySelection(new Map());
 	}
 
-	filterGlobal(value) {
-		const event = this.triggerEvent('filter.yo.jsontable', {
-			filterType: 'global',
-			value,
-			oldData: this.filteredData
+	getSelected() {
+		return [...this.selectedRows.values()];
+	}
+
+	getSelectedIds() {
+		return [...this.selectedRows.keys()];
+	}
+
+	applySelection(selected) {
+		const added = [...selected.keys()].filter(id => !this.selectedRows.has(id));
+		const removed = [...this.selectedRows.keys()].filter(id => !selected.has(id));
+
+		if (added.length === 0 && removed.length === 0) {
+			this.updateSelectionUI();
+			return;
+		}
+
+		const event = this.triggerEvent('select.yo.jsontable', {
+			ids: [...selected.keys()],
+			rows: [...selected.values()],
+			added,
+			removed
 		});
 
 		if (event.defaultPrevented) {
+			this.updateSelectionUI();
 			return;
 		}
 
-		const lowerValue = value.toLowerCase();
-		this.filteredData = this.data.filter((row) =>
-			Object.values(row).some((field) => String(field).toLowerCase().includes(lowerValue))
-		);
-		this.currentPage = 1;
-		this.updateFoundEntries();
-		this.renderTable();
+		this.selectedRows = selected;
+		this.updateSelectionUI();
 
-		this.triggerEvent('filtered.yo.jsontable', {
-			filterType: 'global',
-			value,
-			resultCount: this.filteredData.length
+		this.triggerEvent('selected.yo.jsontable', {
+			ids: this.getSelectedIds(),
+			rows: this.getSelected(),
+			added,
+			removed
 		});
 	}
 
-	filterColumn(key, value) {
-		// Filter data based on specific column key and input value
-		const event = this.triggerEvent('filter.yo.jsontable', {
-			filterType: 'column',
-			column: key,
-			value,
-			oldData: this.filteredData
+	updateSelectionUI() {
+		if (!this.isSelectable()) {
+			return;
+		}
+
+		this.container.querySelectorAll('tbody tr').forEach(tr => {
+			const checkbox = tr.querySelector('.select-row');
+			const row = this.pageRows[parseInt(tr.dataset.rowIndex, 10)];
+			if (checkbox && row) {
+				const isSelected = this.selectedRows.has(this.getRowId(row));
+				checkbox.checked = isSelected;
+				tr.classList.toggle('table-active', isSelected);
+			}
 		});
 
-		if (event.defaultPrevented) {
+		const pageCheckbox = this.container.querySelector('thead .select-page');
+		if (pageCheckbox) {
+			const count = this.pageRows.filter(row => this.selectedRows.has(this.getRowId(row))).length;
+			pageCheckbox.checked = count > 0 && count === this.pageRows.length;
+			pageCheckbox.indeterminate = count > 0 && count < this.pageRows.length;
+		}
+
+		this.renderBulkActionBar();
+	}
+
+	renderBulkActionBar() {
+		if (!this.bulkActionBar) {
+			if (!this.bulkActions.length) {
+				return;
+			}
+			this.bulkActionBar = document.createElement('div');
+			this.container.parentNode.insertBefore(this.bulkActionBar, this.container);
+		}
+
+		const count = this.selectedRows.size;
+		this.bulkActionBar.innerHTML = '';
+		this.bulkActionBar.classList.toggle('d-none', count === 0);
+
+		if (count === 0) {
 			return;
 		}
 
-		// Update filteredData based on current search criteria
-		if (value === '') {
-			// If search value is empty, reset to original data
-			this.filteredData = [...this.data];
-		} else {
-			// Perform filtering based on the key and value
-			const lowerCaseValue = value.toLowerCase();
+		const bar = document.createElement('div');
+		bar.className = 'bulk-action-bar alert alert-secondary d-flex flex-wrap align-items-center gap-2 py-2';
+
+		const summary = document.createElement('span');
+		summary.className = 'me-auto';
+		summary.innerHTML = `<strong>${count}</strong> selected`;
+		bar.appendChild(summary);
+
+		const matching = this.viewRows.length;
+		const allMatchingSelected = this.viewRows.every(row => this.selectedRows.has(this.getRowId(row)));
+		if (this.selectable === 'multi' && !allMatchingSelected) {
+			const selectAll = document.createElement('button');
+			selectAll.type = 'button';
+			selectAll.className = 'btn btn-link btn-sm';
+			selectAll.textContent = `Select all ${matching} matching`;
+			selectAll.addEventListener('click', () => this.selectAllMatching());
+			bar.appendChild(selectAll);
+		}
 
-			this.filteredData = this.data.filter((row) => {
-				if (this.columns.find((col) => col.key === key && col.searchType === 'select')) {
-					// For select dropdown filtering
-					return row[key].toLowerCase() === lowerCaseValue;
-				} else {
-					// For text input filtering
-					return row[key].toLowerCase().includes(lowerCaseValue);
+		this.bulkActions.forEach(action => {
+			const button = document.createElement('button');
+			button.type = 'button';
+			button.className = action.className || 'btn btn-outline-primary btn-sm';
+			button.innerHTML = action.icon ? `<i class="${action.icon}"></i> ` : '';
+			button.appendChild(document.createTextNode(action.label));
+			button.addEventListener('click', () => {
+				const rows = this.getSelected();
+				this.triggerEvent('bulkaction.yo.jsontable', {
+					action: action.name || action.label,
+					rows,
+					ids: this.getSelectedIds()
+				});
+				if (typeof action.action === 'function') {
+					action.action(rows, this);
 				}
 			});
+			bar.appendChild(button);
+		});
+
+		const clear = document.createElement('button');
+		clear.type = 'button';
+		clear.className = 'btn btn-outline-secondary btn-sm';
+		clear.textContent = 'Clear';
+		clear.addEventListener('click', () => this.clearSelection());
+		bar.appendChild(clear);
+
+		this.bulkActionBar.appendChild(bar);
+	}
+
+	getState() {
+		return {
+			currentPage: this.currentPage,
+			rowsPerPage: this.rowsPerPage,
+			sortList: this.getSort(),
+			columnFilters: { ...this.columnFilters },
+			search: this.searchValue
+		};
+	}
+
+	setState(state) {
+		if (state.rowsPerPage) {
+			this.rowsPerPage = state.rowsPerPage;
+		}
+		if (Array.isArray(state.sortList)) {
+			this.sortList = state.sortList.filter(item => this.columns.some(col => col.key === item.column));
+			this.sortColumn = this.sortList[0]?.column ?? null;
+			this.sortOrder = this.sortList[0]?.order ?? 'asc';
 		}
 
-		// Re-render table rows and pagination after filtering
-		this.currentPage = 1; // Reset to first page
+		this.columnFilters = state.columnFilters || {};
+		this.searchValue = state.search || '';
+		this.currentPage = Math.max(1, state.currentPage || 1);
+
+		if (this.globalSearchInput) {
+			this.globalSearchInput.value = this.searchValue;
+		}
+	}
+
+	clampCurrentPage() {
+		const totalPages = Math.max(1, Math.ceil(this.filteredData.length / this.rowsPerPage));
+		this.currentPage = Math.min(this.currentPage, totalPages);
 		this.updateFoundEntries();
-		this.renderTable('rows');
+	}
 
-		this.triggerEvent('filtered.yo.jsontable', {
-			filterType: 'column',
-			column: key,
-			value,
-			resultCount: this.filteredData.length
-		});
+	getStorageKey() {
+		return this.stateKey || `yo.jsontable.${this.container.id || 'table'}`;
 	}
 
-	adjustTfootSearchFields() {
-		// Adjust tfoot search fields based on editPlacement
-		const tfoot = this.container.querySelector('tfoot');
-		if (this.allowEdit && this.editPlacement === 'start') {
-			// If edit column is at the start, move tfoot search fields over by 1
-			const th = document.createElement('th');
-			th.textContent = ''; // Adjust as needed based on your table structure
-			tfoot.insertBefore(th, tfoot.firstElementChild); // Adjust based on your specific structure
+	getStorage() {
+		if (this.stateSave === 'sessionStorage') {
+			return window.sessionStorage;
 		}
+		return window.localStorage;
 	}
 
-	toggleSort(column) {
-		const oldColumn = this.sortColumn;
-		const oldOrder = this.sortOrder;
-		const newOrder = (this.sortColumn === column)
-			? (this.sortOrder === 'asc' ? 'desc' : 'asc')
-			: 'asc';
+	saveState() {
+		if (!this.stateSave || this.restoringState) {
+			return;
+		}
 
-		const event = this.triggerEvent('sort.yo.jsontable', {
-			column,
-			oldColumn,
-			oldOrder,
-			newOrder
-		});
+		// Renders that leave the state unchanged write nothing
+		const state = this.getState();
+		const serialized = JSON.stringify(state);
+		if (serialized === this.savedState) {
+			return;
+		}
+
+		try {
+			if (this.stateSave === 'url') {
+				const url = new URL(window.location.href);
+				url.searchParams.set(this.getStorageKey(), serialized);
+				window.history.replaceState(window.history.state, '', url);
+			} else {
+				this.getStorage().setItem(this.getStorageKey(), JSON.stringify({ time: Date.now(), state }));
+			}
+			this.savedState = serialized;
+		} catch (error) {
+			console.error('Error saving table state:', error);
+		}
+	}
+
+	readState() {
+		try {
+			if (this.stateSave === 'url') {
+				const value = new URL(window.location.href).searchParams.get(this.getStorageKey());
+				return value ? JSON.parse(value) : null;
+			}
+
+			const saved = JSON.parse(this.getStorage().getItem(this.getStorageKey()));
+			if (!saved) {
+				return null;
+			}
 
+			// Expired state is discarded, a stateDuration of 0 never expires
+			if (this.stateDuration > 0 && Date.now() - saved.time > this.stateDuration * 1000) {
+				this.clearState();
+				return null;
+			}
+			return saved.state;
+		} catch (error) {
+			console.error('Error reading table state:', error);
+			return null;
+		}
+	}
+
+	clearState() {
+		this.savedState = null;
+
+		if (this.stateSave === 'url') {
+			const url = new URL(window.location.href);
+			url.searchParams.delete(this.getStorageKey());
+			window.history.replaceState(window.history.state, '', url);
+		} else if (this.stateSave) {
+			this.getStorage().removeItem(this.getStorageKey());
+		}
+	}
+
+	loadState() {
+		if (!this.stateSave) {
+			return false;
+		}
+
+		const state = this.readState();
+		if (!state) {
+			return false;
+		}
+
+		// Listeners may veto the restore or modify event.detail.state
+		const event = this.triggerEvent('stateload.yo.jsontable', { state });
 		if (event.defaultPrevented) {
-			return;
+			return false;
 		}
 
-		if (this.sortColumn === column) {
-			this.sortOrder = this.sortOrder === 'asc' ? 'desc' : 'asc';
-		} else {
-			this.sortColumn = column;
-			this.sortOrder = 'asc';
+		this.restoringState = true;
+		this.setState(event.detail.state);
+		this.restoringState = false;
+
+		this.triggerEvent('stateloaded.yo.jsontable', { state: event.detail.state });
+		return true;
+	}
+
+	recordChange(row, changes) {
+		if (!changes.length) {
+			return null;
 		}
 
-		this.updateSortIcons();
-		this.renderRows();
+		const batch = { rowId: this.getRowId(row), changes, timestamp: new Date().toISOString() };
+		this.undoStack.push(batch);
+		if (this.undoStack.length > this.undoLimit) {
+			this.undoStack.shift();
+		}
+		this.redoStack = [];
+		this.logChanges(batch, 'edit');
+		return batch;
+	}
 
-		this.triggerEvent('sorted.yo.jsontable', {
-			column: this.sortColumn,
-			order: this.sortOrder
+	logChanges(batch, action) {
+		const timestamp = action === 'edit' ? batch.timestamp : new Date().toISOString();
+		batch.changes.forEach(({ key, oldValue, newValue }) => {
+			// oldValue/newValue are the values before and after this entry, so undo entries swap them
+			this.changeLog.push({
+				action,
+				rowId: batch.rowId,
+				key,
+				oldValue: action === 'undo' ? newValue : oldValue,
+				newValue: action === 'undo' ? oldValue : newValue,
+				timestamp
+			});
 		});
 	}
 
-	updateSortIcons() {
-		// Update all sortable column headers with appropriate icons
-		this.container.querySelectorAll('th.sortable').forEach(th => {
-			const columnKey = th.dataset.column;
-			const sortIcon = th.querySelector('.sort-icon');
+	getUndoAction(batch) {
+		if (!this.undoToast || !batch) {
+			return null;
+		}
+		return {
+			label: 'Undo',
+			handler: () => {
+				// The toast may be older than the last save
+				if (this.undoStack[this.undoStack.length - 1] === batch) {
+					this.undo();
+				}
+			}
+		};
+	}
 
-			if (sortIcon) {
-				if (this.sortColumn === columnKey) {
-					if (this.sortOrder === 'asc') {
-						sortIcon.innerHTML = '<i class="bi bi-arrow-up"></i>';
-					} else {
-						sortIcon.innerHTML = '<i class="bi bi-arrow-down"></i>';
-					}
-				} else {
-					sortIcon.innerHTML = '<i class="bi bi-arrow-down-up"></i>';
+	getRedoAction(batch) {
+		if (!this.undoToast || !batch) {
+			return null;
+		}
+		return {
+			label: 'Redo',
+			handler: () => {
+				// Another undo or a new save may have happened since the toast was shown
+				if (this.redoStack[this.redoStack.length - 1] === batch) {
+					this.redo();
 				}
 			}
+		};
+	}
+
+	canUndo() {
+		return this.undoStack.length > 0 && !this.historyPending;
+	}
+
+	canRedo() {
+		return this.redoStack.length > 0 && !this.historyPending;
+	}
+
+	undo() {
+		return this.applyHistoryStep('undo');
+	}
+
+	redo() {
+		return this.applyHistoryStep('redo');
+	}
+
+	async applyHistoryStep(action) {
+		const stack = action === 'undo' ? this.undoStack : this.redoStack;
+		const batch = stack[stack.length - 1];
+		if (!batch || this.historyPending) {
+			return false;
+		}
+
+		const row = this.findRow(batch.rowId);
+		const values = Object.fromEntries(batch.changes.map(change => [change.key, action === 'undo' ? change.oldValue : change.newValue]));
+		const postData = {
+			[this.rowIdKey]: batch.rowId,
+			...values,
+			...this.editSaveAdditionalData
+		};
+
+		const event = this.triggerEvent(`${action}.yo.jsontable`, {
+			row,
+			rowId: batch.rowId,
+			values,
+			postData
 		});
+
+		if (event.defaultPrevented) {
+			return false;
+		}
+
+		this.historyPending = true;
+
+		try {
+			const responseData = await this.postEditData(postData);
+			this.assertSuccessResponse(responseData);
+
+			stack.pop();
+			if (action === 'undo') {
+				this.redoStack.push(batch);
+			} else {
+				this.undoStack.push(batch);
+				if (this.undoStack.length > this.undoLimit) {
+					this.undoStack.shift();
+				}
+			}
+			this.logChanges(batch, action);
+
+			if (this.serverSide) {
+				await this.fetchServerData();
+				this.renderTable('rows');
+			} else if (row) {
+				Object.assign(row, values);
+				this.detailContent.delete(batch.rowId);
+				this.refreshView([], [{ row, keys: Object.keys(values), structural: false }], []);
+			}
+
+			this.showSaveToast(responseData, action === 'undo' ? this.getRedoAction(batch) : null);
+
+			this.triggerEvent(`${action === 'undo' ? 'undone' : 'redone'}.yo.jsontable`, {
+				row,
+				rowId: batch.rowId,
+				values,
+				response: responseData
+			});
+			return true;
+		} catch (error) {
+			console.error(`Error during ${action}:`, error);
+			this.showToast('error', `Failed to ${action} the change. Please try again.`);
+
+			this.triggerEvent(`${action}error.yo.jsontable`, {
+				row,
+				rowId: batch.rowId,
+				values,
+				error
+			});
+			return false;
+		} finally {
+			this.historyPending = false;
+		}
+	}
+
+	getChangeLog() {
+		return this.changeLog.map(entry => ({ ...entry }));
+	}
+
+	clearChangeLog() {
+		this.changeLog = [];
+		this.undoStack = [];
+		this.redoStack = [];
 	}
 
 	async saveEdit(rowIndex, modal) {
-		const rowData = this.filteredData[rowIndex];
-		const editSaveUrl = this.editSaveUrl || '';
+		const rowData = this.pageRows[rowIndex];
 		const editSaveAdditionalData = this.editSaveAdditionalData || {};
 
-		const formData = {};
-		const additionalData = {};
+		const formData = this.collectFormData(modal);
+		if (!(await this.validateForm(modal, formData, rowData))) {
+			return;
+		}
 
-		const inputs = modal.querySelectorAll('[data-key]');
-		inputs.forEach((input) => {
-			const key = input.dataset.key;
-			if (key && input.type !== 'button' && input.type !== 'submit' && input.type !== 'reset') {
-				if (input.type === 'checkbox') {
-					formData[key] = input.checked;
-				} else {
-					formData[key] = input.value;
-				}
-			}
-		});
+		const additionalData = {};
 
 		for (let [key, value] of Object.entries(editSaveAdditionalData)) {
 			additionalData[key] = value;
@@ -705,22 +3892,18 @@ class JsonTable {
 			return;
 		}
 
+		let keepOpen = false;
+
 		try {
-			let type = 'success';
-			let msg = '';
-			const response = await fetch(editSaveUrl, {
-				method: 'POST',
-				headers: {
-					'Content-Type': 'application/json',
-				},
-				body: JSON.stringify(postData),
-			});
+			const responseData = await this.postEditData(postData);
 
-			if (!response.ok) {
-				throw new Error('Failed to save data');
+			if (this.getResponseErrors(responseData)) {
+				throw this.createResponseError(responseData);
 			}
 
-			const responseData = await response.json();
+			const changes = Object.keys(formData)
+				.filter(key => String(rowData[key] ?? '') !== String(formData[key] ?? ''))
+				.map(key => ({ key, oldValue: rowData[key], newValue: formData[key] }));
 
 			// Update the data in the table with the edited values
 			Object.keys(formData).forEach((key) => {
@@ -730,16 +3913,9 @@ class JsonTable {
 			// Rerender the table
 			this.renderRows();
 
-			if (responseData.msg) {
-				msg = responseData.msg
-			} else {
-				msg = responseData
-			}
-			if (responseData?.status) {
-				type = responseData.status
-			}
 			// Show success toast
-			this.showToast(type, msg); //'Data saved successfully');
+			const batch = this.recordChange(rowData, changes);
+			this.showSaveToast(responseData, this.getUndoAction(batch));
 
 			this.triggerEvent('saved.yo.jsontable', {
 				rowData,
@@ -747,22 +3923,71 @@ class JsonTable {
 				response: responseData
 			});
 		} catch (error) {
-			console.error('Error saving data:', error);
-			this.showToast('error', 'Failed to save data. Please try again.');
+			const errors = this.getResponseErrors(error.data);
+
+			// Field errors keep the modal open so the values can be corrected
+			if (errors) {
+				keepOpen = true;
+				this.showFieldErrors(modal, errors);
+			} else {
+				console.error('Error saving data:', error);
+				this.showToast('error', 'Failed to save data. Please try again.');
+			}
 
 			this.triggerEvent('saveerror.yo.jsontable', {
 				rowData,
 				rowIndex,
-				error
+				error,
+				errors
 			});
 		} finally {
 			// Close the modal
-			const modalInstance = bootstrap.Modal.getInstance(modal);
-			modalInstance.hide();
+			if (!keepOpen) {
+				const modalInstance = bootstrap.Modal.getInstance(modal);
+				modalInstance.hide();
+			}
+		}
+	}
+
+	async postEditData(postData) {
+		return this.postJson(this.editSaveUrl, postData);
+	}
+
+	async postJson(url, postData) {
+		const response = await fetch(url || '', {
+			method: 'POST',
+			headers: {
+				'Content-Type': 'application/json',
+			},
+			body: JSON.stringify(postData),
+		});
+
+		if (!response.ok) {
+			// Validation failures (e.g. 422) come with a JSON body listing the invalid fields
+			const error = this.createResponseError(await response.json().catch(() => null), 'Failed to save data');
+			error.status = response.status;
+			throw error;
+		}
+
+		return response.json();
+	}
+
+	showSaveToast(responseData, action = null) {
+		let type = 'success';
+		let msg = '';
+
+		if (responseData.msg) {
+			msg = responseData.msg
+		} else {
+			msg = responseData
 		}
+		if (responseData?.status) {
+			type = responseData.status
+		}
+		this.showToast(type, msg, action);
 	}
 
-	showToast(type, message) {
+	showToast(type, message, action = null) {
 		const toastContainer = document.querySelector('#toastContainer .toast');
 		const toastResponse = toastContainer.querySelector('.toast-body');
 		if (!toastContainer) {
@@ -770,6 +3995,19 @@ class JsonTable {
 			return;
 		}
 		toastResponse.textContent = message;
+
+		// An optional { label, handler } button, e.g. Undo after a save
+		if (action) {
+			const button = document.createElement('button');
+			button.type = 'button';
+			button.className = 'btn btn-light btn-sm ms-2 toast-action';
+			button.textContent = action.label;
+			button.addEventListener('click', () => {
+				toastContainer.classList.remove('show');
+				action.handler();
+			});
+			toastResponse.appendChild(button);
+		}
 		toastContainer.classList.remove('text-bg-primary', 'text-bg-warning', 'text-bg-danger', 'text-bg-error', 'text-bg-info', 'text-bg-success');
 		toastContainer.classList.add(`text-bg-${type}`, 'fade', 'show');
 		setTimeout(function(){
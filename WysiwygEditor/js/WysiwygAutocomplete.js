@@ -0,0 +1,809 @@
+/**
+ * WYSIWYG Autocomplete
+ * Trigger characters with suggestion popups: mentions, hashtags and slash commands
+ *
+ * A trigger is a single character that opens a suggestion popup when typed at
+ * the start of a word. Suggestions come from a source: an array, or a function
+ * that receives the query and returns items or a Promise of items. Items are
+ * {id, label, description, icon, avatar}. Selecting an item of a command
+ * trigger runs its action, any other trigger inserts a non-editable mention:
+ *
+ *   <span class="wysiwyg-mention" contenteditable="false" data-mention="mention" data-mention-id="42">@Ada</span>
+ *
+ * @class WysiwygAutocomplete
+ * @version 1.0.0
+ */
+class WysiwygAutocomplete {
+	/**
+	 * Create autocomplete instance
+	 *
+	 * @param {WysiwygEditor} editor - Parent editor instance
+	 * @param {Object} config - Autocomplete configuration
+	 * @param {number} config.delay - Delay in ms before a source is asked for suggestions
+	 * @param {number} config.maxItems - Maximum number of suggestions shown
+	 * @param {number} config.maxQueryLength - Characters after the trigger before the popup gives up
+	 * @param {Object} config.triggers - Triggers by character {type, source, allowSpaces, allowCreate}
+	 * @param {Array|null} config.commands - Slash commands, null for the built-in ones
+	 */
+	constructor(editor, config = {}) {
+		this.editor = editor;
+
+		// Configuration
+		this.config = {
+			delay: 150,
+			maxItems: 8,
+			maxQueryLength: 30,
+			triggers: {},
+			commands: null,
+			...config
+		};
+
+		this.triggers = new Map();
+		this.commands = (this.config.commands || this._getDefaultCommands()).slice();
+
+		// State
+		this.active = null; // {char, trigger, node, offset, query} of the open popup
+		this.dismissed = null; // Trigger closed with Escape
+		this.items = [];
+		this.index = -1;
+		this.request = 0;
+		this.timer = null;
+		this.menu = null;
+
+		// Bound handlers
+		this._handleInput = this._handleInput.bind(this);
+		this._handleSelectionChange = this._handleSelectionChange.bind(this);
+		this._handleBlur = this._handleBlur.bind(this);
+		this._position = this._position.bind(this);
+
+		this._init();
+	}
+
+	/**
+	 * Initialize autocomplete
+	 * @private
+	 */
+	_init() {
+		this._addCustomStyles();
+
+		Object.keys(this.config.triggers).forEach(char => {
+			if (this.config.triggers[char]) {
+				this.registerTrigger(char, this.config.triggers[char]);
+			}
+		});
+
+		this.menu = this._createMenu();
+		this.editor.container.appendChild(this.menu);
+
+		this.editor.editorElement.addEventListener('input', this._handleInput);
+		this.editor.editorElement.addEventListener('blur', this._handleBlur);
+		document.addEventListener('selectionchange', this._handleSelectionChange);
+		window.addEventListener('scroll', this._position, true);
+		window.addEventListener('resize', this._position);
+	}
+
+	// ============================================
+	// Triggers and Commands
+	// ============================================
+
+	/**
+	 * Register a trigger character
+	 * @public
+	 * @param {string} char - Single trigger character, e.g. '@'
+	 * @param {Object} options - Trigger options
+	 * @param {string} options.type - 'command' runs the selected item, anything else inserts a mention of that type
+	 * @param {Array|Function} options.source - Items, or function(query, context) returning items or a Promise
+	 * @param {boolean} options.allowSpaces - Allow spaces in the query
+	 * @param {boolean} options.allowCreate - Offer the typed query as a new item
+	 */
+	registerTrigger(char, options = {}) {
+		if (typeof char !== 'string' || char.length !== 1) {
+			console.error(`WysiwygAutocomplete: Trigger must be a single character: ${char}`);
+			return;
+		}
+
+		this.triggers.set(char, {
+			type: 'mention',
+			source: null,
+			allowSpaces: false,
+			allowCreate: false,
+			...options
+		});
+	}
+
+	/**
+	 * Remove a trigger character
+	 * @public
+	 * @param {string} char - Trigger character
+	 */
+	unregisterTrigger(char) {
+		this.triggers.delete(char);
+		if (this.active && this.active.char === char) {
+			this.close();
+		}
+	}
+
+	/**
+	 * Add a slash command
+	 * @public
+	 * @param {Object} command - Command {id, label, description, icon, keywords, action(editor, command)}
+	 */
+	registerCommand(command) {
+		this.commands = this.commands.filter(existing => existing.id !== command.id);
+		this.commands.push(command);
+	}
+
+	/**
+	 * Get the built-in slash commands
+	 * @private
+	 * @returns {Array<Object>} Commands
+	 */
+	_getDefaultCommands() {
+		return [
+			{
+				id: 'heading1',
+				label: 'Heading 1',
+				description: 'Large section heading',
+				icon: 'bi-type-h1',
+				keywords: ['h1', 'title'],
+				action: editor => editor.formatBlock('h1')
+			},
+			{
+				id: 'heading2',
+				label: 'Heading 2',
+				description: 'Medium section heading',
+				icon: 'bi-type-h2',
+				keywords: ['h2', 'subtitle'],
+				action: editor => editor.formatBlock('h2')
+			},
+			{
+				id: 'heading3',
+				label: 'Heading 3',
+				description: 'Small section heading',
+				icon: 'bi-type-h3',
+				keywords: ['h3'],
+				action: editor => editor.formatBlock('h3')
+			},
+			{
+				id: 'table',
+				label: 'Table',
+				description: 'Insert a table',
+				icon: 'bi-table',
+				keywords: ['grid'],
+				action: editor => {
+					if (editor.toolbar) {
+						editor.toolbar.showTableDialog();
+					} else {
+						editor.execCommand('insertTable', { rows: 3, cols: 3, hasHeader: true });
+					}
+				}
+			},
+			{
+				id: 'image',
+				label: 'Image',
+				description: 'Insert an image from a URL or file',
+				icon: 'bi-image',
+				keywords: ['picture', 'photo'],
+				action: editor => {
+					if (editor.toolbar) {
+						editor.toolbar.showImageDialog();
+					}
+				}
+			},
+			{
+				id: 'codeBlock',
+				label: 'Code block',
+				description: 'Preformatted code',
+				icon: 'bi-code-square',
+				keywords: ['pre', 'snippet'],
+				action: editor => editor.formatBlock('pre')
+			},
+			{
+				id: 'quote',
+				label: 'Quote',
+				description: 'Block quotation',
+				icon: 'bi-quote',
+				keywords: ['blockquote'],
+				action: editor => editor.formatBlock('blockquote')
+			},
+			{
+				id: 'bulletList',
+				label: 'Bulleted list',
+				description: 'Unordered list',
+				icon: 'bi-list-ul',
+				keywords: ['ul'],
+				action: editor => editor.execCommand('insertUnorderedList')
+			},
+			{
+				id: 'numberedList',
+				label: 'Numbered list',
+				description: 'Ordered list',
+				icon: 'bi-list-ol',
+				keywords: ['ol'],
+				action: editor => editor.execCommand('insertOrderedList')
+			},
+			{
+				id: 'divider',
+				label: 'Divider',
+				description: 'Horizontal rule',
+				icon: 'bi-hr',
+				keywords: ['hr', 'line'],
+				action: editor => editor.insertHorizontalRule()
+			}
+		];
+	}
+
+	// ============================================
+	// Detection and Suggestions
+	// ============================================
+
+	/**
+	 * Find a trigger and query before the caret
+	 * A trigger counts at the start of a text node or after whitespace or an opening bracket.
+	 * @private
+	 * @returns {Object|null} {char, trigger, node, offset, query}
+	 */
+	_detect() {
+		const selection = window.getSelection();
+		if (!selection || selection.rangeCount === 0 || !selection.isCollapsed) {
+			return null;
+		}
+
+		const range = selection.getRangeAt(0);
+		const node = range.startContainer;
+		if (node.nodeType !== Node.TEXT_NODE || !this.editor.editorElement.contains(node)) {
+			return null;
+		}
+
+		// No suggestions in code, links or existing mentions
+		if (node.parentElement.closest('pre, code, a, [data-mention]')) {
+			return null;
+		}
+
+		const text = node.textContent.slice(0, range.startOffset);
+		const limit = Math.max(0, text.length - 1 - this.config.maxQueryLength);
+		let spaced = false;
+
+		for (let i = text.length - 1; i >= limit; i--) {
+			const char = text[i];
+			const trigger = this.triggers.get(char);
+
+			if (trigger && (i === 0 || /[\s([{]/.test(text[i - 1]))) {
+				const query = text.slice(i + 1);
+				if ((spaced && !trigger.allowSpaces) || /^\s/.test(query)) {
+					return null;
+				}
+				if (!trigger.source && trigger.type !== 'command') {
+					return null;
+				}
+				return { char, trigger, node, offset: i, query };
+			}
+
+			if (/\s/.test(char)) {
+				spaced = true;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Open, update or close the popup for the text before the caret
+	 * @private
+	 */
+	_update() {
+		const match = this._detect();
+
+		if (!match || (this.dismissed && this.dismissed.node === match.node && this.dismissed.offset === match.offset)) {
+			this.close();
+			return;
+		}
+
+		this.dismissed = null;
+		this.active = match;
+
+		clearTimeout(this.timer);
+		this.timer = setTimeout(() => this._fetch(match), match.trigger.type === 'command' ? 0 : this.config.delay);
+	}
+
+	/**
+	 * Ask the trigger source for suggestions
+	 * Results of older requests are ignored.
+	 * @private
+	 * @param {Object} match - Detected trigger
+	 */
+	_fetch(match) {
+		const request = ++this.request;
+
+		Promise.resolve()
+			.then(() => this._getSuggestions(match))
+			.then(items => {
+				if (request !== this.request || this.active !== match) {
+					return;
+				}
+				this._show(items);
+			})
+			.catch(error => {
+				console.error('WysiwygAutocomplete: Suggestion source failed', error);
+				if (request === this.request) {
+					this.close();
+				}
+			});
+	}
+
+	/**
+	 * Get the suggestions for a trigger and query
+	 * @private
+	 * @param {Object} match - Detected trigger
+	 * @returns {Array|Promise<Array>} Items
+	 */
+	_getSuggestions(match) {
+		const { trigger, query } = match;
+
+		if (typeof trigger.source === 'function') {
+			return Promise.resolve(trigger.source(query, { trigger: match.char, type: trigger.type, editor: this.editor }))
+				.then(items => this._normalizeItems(items, match));
+		}
+
+		const items = Array.isArray(trigger.source) ? trigger.source :
+			(trigger.type === 'command' ? this.commands : []);
+
+		return this._normalizeItems(this._filterItems(items, query), match);
+	}
+
+	/**
+	 * Filter items by label, id and keywords
+	 * Items whose label starts with the query come first.
+	 * @private
+	 * @param {Array} items - Items or strings
+	 * @param {string} query - Query
+	 * @returns {Array} Matching items
+	 */
+	_filterItems(items, query) {
+		const search = query.toLowerCase();
+		if (!search) {
+			return items;
+		}
+
+		const starts = [];
+		const contains = [];
+
+		items.forEach(item => {
+			const label = String(typeof item === 'string' ? item : item.label || item.id).toLowerCase();
+			const words = typeof item === 'string' ? [] : [String(item.id), ...(item.keywords || [])].map(word => word.toLowerCase());
+
+			if (label.startsWith(search) || words.some(word => word.startsWith(search))) {
+				starts.push(item);
+			} else if (label.includes(search)) {
+				contains.push(item);
+			}
+		});
+
+		return [...starts, ...contains];
+	}
+
+	/**
+	 * Turn source results into items
+	 * @private
+	 * @param {Array} items - Items or strings
+	 * @param {Object} match - Detected trigger
+	 * @returns {Array<Object>} Items {id, label, ...}
+	 */
+	_normalizeItems(items, match) {
+		const result = (Array.isArray(items) ? items : [])
+			.map(item => typeof item === 'string' ? { id: item, label: item } : { ...item, label: item.label || String(item.id) })
+			.slice(0, this.config.maxItems);
+
+		const query = match.query.trim();
+		if (match.trigger.allowCreate && query && !result.some(item => item.label.toLowerCase() === query.toLowerCase())) {
+			result.push({ id: query, label: query, description: 'New', isNew: true });
+		}
+
+		return result;
+	}
+
+	// ============================================
+	// Popup
+	// ============================================
+
+	/**
+	 * Create the popup element
+	 * @private
+	 * @returns {HTMLElement} Popup
+	 */
+	_createMenu() {
+		const menu = document.createElement('div');
+		menu.className = 'wysiwyg-autocomplete dropdown-menu shadow-sm';
+		menu.id = `${this.editor.id}-autocomplete`;
+		menu.setAttribute('role', 'listbox');
+
+		// Keep the caret in the editor while clicking
+		menu.addEventListener('mousedown', (e) => e.preventDefault());
+		menu.addEventListener('click', (e) => {
+			const option = e.target.closest('[role="option"]');
+			if (option) {
+				this.select(parseInt(option.dataset.index, 10));
+			}
+		});
+
+		return menu;
+	}
+
+	/**
+	 * Show suggestions
+	 * @private
+	 * @param {Array<Object>} items - Items
+	 */
+	_show(items) {
+		if (items.length === 0) {
+			this.close();
+			return;
+		}
+
+		this.items = items;
+		this.menu.innerHTML = '';
+
+		items.forEach((item, index) => {
+			const option = document.createElement('button');
+			option.type = 'button';
+			option.className = 'dropdown-item d-flex align-items-center gap-2';
+			option.id = `${this.menu.id}-${index}`;
+			option.dataset.index = index;
+			option.setAttribute('role', 'option');
+			option.tabIndex = -1;
+
+			if (item.avatar) {
+				const avatar = document.createElement('img');
+				avatar.className = 'wysiwyg-autocomplete-avatar rounded-circle';
+				avatar.src = item.avatar;
+				avatar.alt = '';
+				option.appendChild(avatar);
+			} else if (item.icon) {
+				const icon = document.createElement('i');
+				icon.className = `bi ${item.icon}`;
+				option.appendChild(icon);
+			}
+
+			const text = document.createElement('span');
+			text.className = 'd-flex flex-column';
+
+			const label = document.createElement('span');
+			label.textContent = this.active.trigger.type === 'command' ? item.label : `${this.active.char}${item.label}`;
+			text.appendChild(label);
+
+			if (item.description) {
+				const description = document.createElement('small');
+				description.className = 'wysiwyg-autocomplete-description';
+				description.textContent = item.description;
+				text.appendChild(description);
+			}
+
+			option.appendChild(text);
+			this.menu.appendChild(option);
+		});
+
+		this.menu.classList.add('show');
+		this.editor.editorElement.setAttribute('aria-controls', this.menu.id);
+		this.editor.editorElement.setAttribute('aria-expanded', 'true');
+
+		this._setActive(0);
+		this._position();
+	}
+
+	/**
+	 * Highlight a suggestion
+	 * @private
+	 * @param {number} index - Item index, wraps around
+	 */
+	_setActive(index) {
+		const count = this.items.length;
+		this.index = ((index % count) + count) % count;
+
+		Array.from(this.menu.children).forEach((option, i) => {
+			const active = i === this.index;
+			option.classList.toggle('active', active);
+			option.setAttribute('aria-selected', active ? 'true' : 'false');
+			if (active) {
+				option.scrollIntoView({ block: 'nearest' });
+			}
+		});
+
+		this.editor.editorElement.setAttribute('aria-activedescendant', `${this.menu.id}-${this.index}`);
+	}
+
+	/**
+	 * Place the popup below the trigger, or above it if there is no room
+	 * @private
+	 */
+	_position() {
+		if (!this.isOpen() || !this.active || !this.active.node.isConnected) {
+			return;
+		}
+
+		const range = document.createRange();
+		range.setStart(this.active.node, this.active.offset);
+		range.setEnd(this.active.node, this.active.offset + 1);
+
+		let rect = range.getClientRects()[0];
+		if (!rect) {
+			rect = this.active.node.parentElement.getBoundingClientRect();
+		}
+
+		const height = this.menu.offsetHeight;
+		const width = this.menu.offsetWidth;
+		let top = rect.bottom + 4;
+		if (top + height > window.innerHeight && rect.top - 4 - height > 0) {
+			top = rect.top - 4 - height;
+		}
+
+		this.menu.style.top = `${top}px`;
+		this.menu.style.left = `${Math.max(4, Math.min(rect.left, window.innerWidth - width - 4))}px`;
+	}
+
+	/**
+	 * Check if the popup is open
+	 * @public
+	 * @returns {boolean} True if suggestions are shown
+	 */
+	isOpen() {
+		return Boolean(this.menu && this.menu.classList.contains('show'));
+	}
+
+	/**
+	 * Close the popup
+	 * @public
+	 */
+	close() {
+		clearTimeout(this.timer);
+		this.request++;
+		this.active = null;
+		this.items = [];
+		this.index = -1;
+
+		if (this.menu) {
+			this.menu.classList.remove('show');
+			this.menu.innerHTML = '';
+		}
+
+		if (this.editor && this.editor.editorElement) {
+			this.editor.editorElement.removeAttribute('aria-controls');
+			this.editor.editorElement.removeAttribute('aria-expanded');
+			this.editor.editorElement.removeAttribute('aria-activedescendant');
+		}
+	}
+
+	// ============================================
+	// Selection
+	// ============================================
+
+	/**
+	 * Use a suggestion: run a command or insert a mention
+	 * @public
+	 * @param {number} index - Item index
+	 * @returns {boolean} True if the item was used
+	 */
+	select(index) {
+		const match = this.active;
+		const item = this.items[index];
+		this.close();
+
+		if (!match || !item) {
+			return false;
+		}
+
+		// The trigger and query must still be in the document
+		const length = match.char.length + match.query.length;
+		if (!match.node.isConnected || match.node.textContent.substr(match.offset, length) !== match.char + match.query) {
+			return false;
+		}
+
+		const data = { type: match.trigger.type, trigger: match.char, query: match.query, item };
+		if (this.editor.eventManager && this.editor.eventManager.trigger('autocompleteSelect', data) === false) {
+			return false;
+		}
+
+		const range = document.createRange();
+		range.setStart(match.node, match.offset);
+		range.setEnd(match.node, match.offset + length);
+		range.deleteContents();
+
+		if (match.trigger.type === 'command') {
+			this._select(range);
+			if (typeof item.action === 'function') {
+				item.action(this.editor, item);
+			}
+		} else {
+			this._insertMention(range, match, item);
+		}
+
+		this.editor._commitChange();
+		return true;
+	}
+
+	/**
+	 * Insert a mention node and a space after it
+	 * @private
+	 * @param {Range} range - Collapsed range where the trigger was
+	 * @param {Object} match - Detected trigger
+	 * @param {Object} item - Selected item
+	 */
+	_insertMention(range, match, item) {
+		const mention = document.createElement('span');
+		mention.className = 'wysiwyg-mention';
+		mention.contentEditable = 'false';
+		mention.setAttribute('data-mention', match.trigger.type);
+		mention.setAttribute('data-mention-id', String(item.id));
+		mention.textContent = `${match.char}${item.label}`;
+
+		range.insertNode(mention);
+
+		// Caret after a space, a non-breaking one so it is not collapsed at the end of a block
+		let next = mention.nextSibling;
+		if (!next || next.nodeType !== Node.TEXT_NODE || !/^\s/.test(next.textContent)) {
+			next = document.createTextNode('\u00a0');
+			mention.parentNode.insertBefore(next, mention.nextSibling);
+		}
+
+		range.setStart(next, 1);
+		range.collapse(true);
+		this._select(range);
+	}
+
+	/**
+	 * Select a range in the editor
+	 * @private
+	 * @param {Range} range - Range
+	 */
+	_select(range) {
+		const selection = window.getSelection();
+		selection.removeAllRanges();
+		selection.addRange(range);
+		this.editor.currentRange = range;
+	}
+
+	// ============================================
+	// Event Handlers
+	// ============================================
+
+	/**
+	 * Handle a key while the popup is open
+	 * Called by the editor before its own key handling.
+	 * @public
+	 * @param {KeyboardEvent} event - Keydown event
+	 * @returns {boolean} True if the key was used by the popup
+	 */
+	handleKeyDown(event) {
+		if (!this.isOpen() || event.isComposing) {
+			return false;
+		}
+
+		switch (event.key) {
+			case 'ArrowDown':
+				this._setActive(this.index + 1);
+				break;
+			case 'ArrowUp':
+				this._setActive(this.index - 1);
+				break;
+			case 'Enter':
+			case 'Tab':
+				this.select(this.index);
+				break;
+			case 'Escape':
+				this.dismissed = { node: this.active.node, offset: this.active.offset };
+				this.close();
+				break;
+			default:
+				return false;
+		}
+
+		event.preventDefault();
+		return true;
+	}
+
+	/**
+	 * Look for a trigger after typing
+	 * @private
+	 */
+	_handleInput() {
+		this._update();
+	}
+
+	/**
+	 * Close the popup when the caret leaves the trigger
+	 * @private
+	 */
+	_handleSelectionChange() {
+		if (!this.active) {
+			return;
+		}
+
+		const match = this._detect();
+		if (!match || match.node !== this.active.node || match.offset !== this.active.offset) {
+			this.close();
+		}
+	}
+
+	/**
+	 * Close the popup when the editor loses focus
+	 * @private
+	 */
+	_handleBlur() {
+		this.close();
+	}
+
+	/**
+	 * Add styles for the popup and mentions
+	 * @private
+	 */
+	_addCustomStyles() {
+		if (document.getElementById('wysiwyg-autocomplete-styles')) return;
+
+		const style = document.createElement('style');
+		style.id = 'wysiwyg-autocomplete-styles';
+		style.textContent = `
+			.wysiwyg-autocomplete {
+				position: fixed;
+				z-index: 1060;
+				min-width: 12rem;
+				max-width: 20rem;
+				max-height: 16rem;
+				overflow-y: auto;
+			}
+
+			.wysiwyg-autocomplete .dropdown-item {
+				white-space: normal;
+			}
+
+			.wysiwyg-autocomplete-description {
+				color: var(--bs-secondary-color);
+			}
+
+			.wysiwyg-autocomplete .dropdown-item.active .wysiwyg-autocomplete-description {
+				color: inherit;
+				opacity: 0.75;
+			}
+
+			.wysiwyg-autocomplete-avatar {
+				width: 1.5rem;
+				height: 1.5rem;
+				object-fit: cover;
+			}
+
+			.wysiwyg-mention {
+				padding: 0 0.2em;
+				border-radius: 0.25rem;
+				background-color: var(--bs-primary-bg-subtle);
+				color: var(--bs-primary-text-emphasis);
+				white-space: nowrap;
+			}
+
+			.wysiwyg-mention[data-mention="hashtag"] {
+				background-color: var(--bs-secondary-bg);
+				color: var(--bs-emphasis-color);
+			}
+		`;
+		document.head.appendChild(style);
+	}
+
+	/**
+	 * Destroy autocomplete
+	 * @public
+	 */
+	destroy() {
+		this.close();
+
+		this.editor.editorElement.removeEventListener('input', this._handleInput);
+		this.editor.editorElement.removeEventListener('blur', this._handleBlur);
+		document.removeEventListener('selectionchange', this._handleSelectionChange);
+		window.removeEventListener('scroll', this._position, true);
+		window.removeEventListener('resize', this._position);
+
+		if (this.menu) {
+			this.menu.remove();
+			this.menu = null;
+		}
+
+		this.triggers.clear();
+		this.editor = null;
+	}
+}
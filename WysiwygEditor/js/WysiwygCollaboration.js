@@ -0,0 +1,709 @@
+/**
+ * WYSIWYG Collaboration
+ * Operation stream, remote operations and remote cursors for collaborative editing
+ *
+ * Local changes are published as serializable operations on the
+ * WysiwygDocumentModel (replace a range of top-level blocks). Remote
+ * operations are applied to the affected blocks only, so the local caret
+ * stays where it is. The transport is an adapter object:
+ *
+ *   {
+ *     connect(receive),   // Start delivering incoming messages to receive(message), may return a Promise
+ *     send(message),      // Deliver a JSON-serializable message to the other peers
+ *     disconnect(receive) // Stop delivering messages
+ *   }
+ *
+ * Concurrent edits in different blocks merge. If an operation no longer
+ * matches the local blocks (both peers edited the same block), the peer with
+ * the higher client id reloads the document from the other one.
+ *
+ * @class WysiwygCollaboration
+ * @version 1.0.0
+ */
+class WysiwygCollaboration {
+	/**
+	 * Create collaboration instance
+	 *
+	 * @param {WysiwygEditor} editor - Parent editor instance
+	 * @param {Object} config - Collaboration configuration
+	 * @param {Object} config.adapter - Transport adapter, connected immediately if given
+	 * @param {string} config.clientId - Unique id of this editor, generated if empty
+	 * @param {Object} config.user - Local user {name, color}
+	 * @param {boolean} config.cursors - Show remote cursors and selections
+	 * @param {number} config.cursorDelay - Delay in ms before the local selection is published
+	 * @param {boolean} config.syncOnJoin - Load the document from a peer after connecting
+	 * @param {boolean} config.sanitize - Clean remote HTML with the editor sanitizer
+	 * @param {number} config.syncTimeout - Time in ms to wait for a requested document
+	 */
+	constructor(editor, config = {}) {
+		this.editor = editor;
+		this.model = editor.documentModel;
+
+		// Configuration
+		this.config = {
+			adapter: null,
+			clientId: null,
+			user: {},
+			cursors: true,
+			cursorDelay: 100,
+			syncOnJoin: true,
+			sanitize: true,
+			syncTimeout: 5000,
+			...config
+		};
+
+		this.clientId = this.config.clientId || `client-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 9)}`;
+		this.user = {
+			name: 'Anonymous',
+			color: null,
+			...this.config.user
+		};
+		if (!this.user.color) {
+			this.user.color = this._getColor(this.clientId);
+		}
+
+		// State
+		this.adapter = null;
+		this.isConnected = false;
+		this.blocks = this.model.snapshot(); // Blocks at the last published state
+		this.sequence = 0;
+		this.peers = new Map();
+		this.isApplying = false;
+		this.acceptSync = false;
+		this.holdOperations = false;
+		this.cursorTimer = null;
+		this.syncTimer = null;
+		this.overlay = null;
+
+		// Bound handlers
+		this._handleMessage = this._handleMessage.bind(this);
+		this._handleSelectionChange = this._handleSelectionChange.bind(this);
+		this._renderCursors = this._renderCursors.bind(this);
+
+		this._init();
+	}
+
+	/**
+	 * Initialize collaboration
+	 * @private
+	 */
+	_init() {
+		this._addCustomStyles();
+
+		// Overlay for remote cursors above the content
+		const wrapper = this.editor.editorElement.parentNode;
+		wrapper.classList.add('wysiwyg-collaborative');
+		this.overlay = document.createElement('div');
+		this.overlay.className = 'wysiwyg-remote-cursors';
+		this.overlay.setAttribute('aria-hidden', 'true');
+		wrapper.appendChild(this.overlay);
+
+		document.addEventListener('selectionchange', this._handleSelectionChange);
+		this.editor.editorElement.addEventListener('scroll', this._renderCursors);
+		window.addEventListener('resize', this._renderCursors);
+
+		if (this.config.adapter) {
+			this.connect(this.config.adapter);
+		}
+	}
+
+	// ============================================
+	// Connection
+	// ============================================
+
+	/**
+	 * Connect to a transport adapter
+	 * @public
+	 * @param {Object} adapter - Adapter {connect, send, disconnect}
+	 * @returns {Promise} Resolves when connected
+	 */
+	connect(adapter) {
+		if (this.adapter) {
+			this.disconnect();
+		}
+
+		this.adapter = adapter;
+		this.flush();
+
+		return Promise.resolve(adapter.connect(this._handleMessage)).then(() => {
+			if (this.adapter !== adapter) {
+				return;
+			}
+
+			this.isConnected = true;
+			this._send({ type: 'join', user: this.user, selection: this.model.getSelection() });
+
+			if (this.config.syncOnJoin) {
+				this.requestSync();
+			}
+
+			this._trigger('collabConnect', { clientId: this.clientId, user: this.user });
+		});
+	}
+
+	/**
+	 * Disconnect from the adapter
+	 * @public
+	 */
+	disconnect() {
+		if (!this.adapter) {
+			return;
+		}
+
+		if (this.isConnected) {
+			this._send({ type: 'leave' });
+		}
+
+		this.adapter.disconnect(this._handleMessage);
+		this.adapter = null;
+		this.isConnected = false;
+		this.acceptSync = false;
+		this.holdOperations = false;
+		clearTimeout(this.syncTimer);
+
+		this.peers.clear();
+		this._renderCursors();
+
+		this._trigger('collabDisconnect', { clientId: this.clientId });
+	}
+
+	/**
+	 * Ask the peers for their document
+	 * @public
+	 * @param {string|null} target - Client id to ask, or null for any peer
+	 * @param {boolean} hold - Stop publishing local operations until the document arrives
+	 */
+	requestSync(target = null, hold = false) {
+		if (!this.isConnected) {
+			return;
+		}
+
+		this.acceptSync = true;
+		this.holdOperations = hold;
+
+		clearTimeout(this.syncTimer);
+		this.syncTimer = setTimeout(() => {
+			this.acceptSync = false;
+			this.holdOperations = false;
+		}, this.config.syncTimeout);
+
+		this._send({ type: 'sync-request', target });
+	}
+
+	/**
+	 * Send a message through the adapter
+	 * @private
+	 * @param {Object} message - Message
+	 */
+	_send(message) {
+		if (this.adapter && this.isConnected) {
+			this.adapter.send({ ...message, client: this.clientId });
+		}
+	}
+
+	// ============================================
+	// Operations
+	// ============================================
+
+	/**
+	 * Publish local changes since the last call as an operation
+	 * Called by the editor whenever its content is synced.
+	 * @public
+	 * @returns {Object|null} Published operation
+	 */
+	flush() {
+		if (this.isApplying || !this.editor) {
+			return null;
+		}
+
+		const blocks = this.model.snapshot();
+		const change = this.model.diff(this.blocks, blocks);
+		if (!change) {
+			return null;
+		}
+
+		const operation = {
+			id: `${this.clientId}:${++this.sequence}`,
+			client: this.clientId,
+			index: change.index,
+			removed: change.removed,
+			inserted: change.inserted,
+			anchor: change.index > 0 ? this.blocks[change.index - 1] : null,
+			next: this.blocks[change.index + change.removed.length] || null
+		};
+
+		this.blocks = blocks;
+		this._transformPeers(operation);
+
+		this._trigger('localOperation', operation);
+
+		if (!this.holdOperations) {
+			this._send({ type: 'operation', operation });
+		}
+
+		this._renderCursors();
+
+		return operation;
+	}
+
+	/**
+	 * Apply an operation from another editor
+	 * @public
+	 * @param {Object} operation - Operation {index, removed, inserted, anchor, next}
+	 * @returns {boolean} True if applied, false on conflict
+	 */
+	applyOperation(operation) {
+		// Publish pending local changes first, the operation is applied on top of them
+		this.flush();
+
+		const blocks = this.model.snapshot();
+		const index = this._locate(blocks, operation);
+
+		if (index === -1) {
+			this._trigger('collabConflict', { operation });
+
+			// The peer with the lower client id keeps its document
+			if (operation.client && this.clientId > operation.client) {
+				this.requestSync(operation.client, true);
+			} else if (operation.client) {
+				this._send({ type: 'resync', target: operation.client });
+			}
+			return false;
+		}
+
+		const inserted = operation.inserted.map(html => this._clean(html));
+		const applied = { ...operation, index, inserted };
+		const selection = this.model.getSelection();
+
+		this.isApplying = true;
+		this.model.replaceBlocks(index, operation.removed.length, inserted);
+		this.isApplying = false;
+
+		// Blocks changed by the sanitizer are published back as a local change
+		this.blocks = blocks.slice();
+		this.blocks.splice(index, operation.removed.length, ...operation.inserted);
+
+		if (selection) {
+			const range = this.model.setSelection(this.model.transformSelection(selection, applied));
+			if (range) {
+				this.editor.currentRange = range;
+			}
+		}
+
+		if (this.editor.historyManager) {
+			this.editor.historyManager.rebase(applied);
+		}
+
+		this._transformPeers(applied);
+		this.editor._notifyChange();
+
+		this._trigger('remoteOperation', applied);
+		this._renderCursors();
+
+		return true;
+	}
+
+	/**
+	 * Find where an operation applies in the current blocks
+	 * Blocks before it may have been added or removed since it was created.
+	 * @private
+	 * @param {Array<string>} blocks - Current blocks
+	 * @param {Object} operation - Operation
+	 * @returns {number} Block index or -1 if the replaced blocks are gone
+	 */
+	_locate(blocks, operation) {
+		// Insertion, placed after the block that preceded it or before the one that followed it
+		if (operation.removed.length === 0) {
+			if (!operation.anchor) {
+				return 0;
+			}
+			if (blocks[operation.index - 1] === operation.anchor) {
+				return operation.index;
+			}
+			if (operation.next && blocks[operation.index] === operation.next) {
+				return operation.index;
+			}
+			const anchor = blocks.indexOf(operation.anchor);
+			if (anchor !== -1) {
+				return anchor + 1;
+			}
+			return operation.next ? blocks.indexOf(operation.next) : -1;
+		}
+
+		const matches = (start) => start + operation.removed.length <= blocks.length &&
+			operation.removed.every((html, offset) => blocks[start + offset] === html);
+
+		if (matches(operation.index)) {
+			return operation.index;
+		}
+
+		// Closest position with the same blocks
+		let best = -1;
+		blocks.forEach((html, start) => {
+			if (matches(start) && (best === -1 || Math.abs(start - operation.index) < Math.abs(best - operation.index))) {
+				best = start;
+			}
+		});
+
+		return best;
+	}
+
+	/**
+	 * Replace the document with a peer's blocks
+	 * @private
+	 * @param {Array<string>} blocks - Block HTML
+	 */
+	_applySync(blocks) {
+		const selection = this.model.getSelection();
+
+		this.isApplying = true;
+		this.editor.editorElement.innerHTML = blocks.map(html => this._clean(html)).join('');
+		this.isApplying = false;
+
+		this.blocks = blocks.slice();
+		this.acceptSync = false;
+		this.holdOperations = false;
+		clearTimeout(this.syncTimer);
+
+		if (selection) {
+			this.model.setSelection(selection);
+		}
+
+		// Steps recorded against the old document cannot be undone
+		if (this.editor.historyManager) {
+			this.editor.historyManager.reset();
+		}
+
+		this.editor._notifyChange();
+
+		this._trigger('collabSync', { blocks: this.model.snapshot() });
+		this._renderCursors();
+	}
+
+	/**
+	 * Clean remote HTML
+	 * @private
+	 * @param {string} html - Block HTML
+	 * @returns {string} Clean HTML
+	 */
+	_clean(html) {
+		if (!this.config.sanitize) {
+			return html;
+		}
+
+		if (this.editor.sanitizer) {
+			return this.editor.sanitizer.clean(html);
+		}
+
+		// Without a sanitizer only the text of the block is kept
+		const template = document.createElement('template');
+		template.innerHTML = html;
+		const paragraph = document.createElement('p');
+		paragraph.textContent = template.content.textContent;
+		return paragraph.outerHTML;
+	}
+
+	// ============================================
+	// Messages
+	// ============================================
+
+	/**
+	 * Handle a message from the adapter
+	 * @private
+	 * @param {Object} message - Message
+	 */
+	_handleMessage(message) {
+		if (!message || message.client === this.clientId || !this.editor) {
+			return;
+		}
+
+		if (message.target && message.target !== this.clientId && message.type !== 'sync-request') {
+			return;
+		}
+
+		switch (message.type) {
+			case 'join':
+				this._updatePeer(message);
+				this._send({ type: 'presence', user: this.user, selection: this.model.getSelection() });
+				break;
+
+			case 'presence':
+				this._updatePeer(message);
+				break;
+
+			case 'leave':
+				if (this.peers.has(message.client)) {
+					const peer = this.peers.get(message.client);
+					this.peers.delete(message.client);
+					this._renderCursors();
+					this._trigger('peerLeave', peer);
+				}
+				break;
+
+			case 'operation':
+				this.applyOperation(message.operation);
+				break;
+
+			case 'sync-request':
+				if (!message.target || message.target === this.clientId) {
+					this.flush();
+					this._send({ type: 'sync', target: message.client, blocks: this.model.snapshot() });
+				}
+				break;
+
+			case 'resync':
+				// A peer with a lower client id found a conflict with our operation
+				this.requestSync(message.client, true);
+				break;
+
+			case 'sync':
+				if (this.acceptSync) {
+					this._applySync(message.blocks || []);
+				}
+				break;
+		}
+	}
+
+	// ============================================
+	// Remote Cursors
+	// ============================================
+
+	/**
+	 * Get the connected peers
+	 * @public
+	 * @returns {Array<Object>} Peers {client, user, selection}
+	 */
+	getPeers() {
+		return Array.from(this.peers.values());
+	}
+
+	/**
+	 * Add or update a peer
+	 * @private
+	 * @param {Object} message - join or presence message
+	 */
+	_updatePeer(message) {
+		const isNew = !this.peers.has(message.client);
+		const peer = {
+			client: message.client,
+			user: {
+				name: 'Anonymous',
+				...message.user,
+				color: (message.user && message.user.color) || this._getColor(message.client)
+			},
+			selection: message.selection || null
+		};
+
+		this.peers.set(message.client, peer);
+		this._renderCursors();
+
+		this._trigger(isNew ? 'peerJoin' : 'peerUpdate', peer);
+	}
+
+	/**
+	 * Move remote selections over an operation
+	 * @private
+	 * @param {Object} operation - Operation
+	 */
+	_transformPeers(operation) {
+		this.peers.forEach(peer => {
+			if (peer.client !== operation.client) {
+				peer.selection = this.model.transformSelection(peer.selection, operation);
+			}
+		});
+	}
+
+	/**
+	 * Publish the local selection after a short delay
+	 * @private
+	 */
+	_handleSelectionChange() {
+		if (!this.isConnected || this.isApplying) {
+			return;
+		}
+
+		clearTimeout(this.cursorTimer);
+		this.cursorTimer = setTimeout(() => {
+			if (!this.editor) {
+				return;
+			}
+
+			const selection = this.model.getSelection();
+			if (selection) {
+				this.flush();
+				this._send({ type: 'presence', user: this.user, selection });
+			}
+		}, this.config.cursorDelay);
+	}
+
+	/**
+	 * Draw remote carets, name labels and selections
+	 * @private
+	 */
+	_renderCursors() {
+		if (!this.overlay) {
+			return;
+		}
+
+		this.overlay.innerHTML = '';
+		if (!this.config.cursors || this.editor.editorElement.style.display === 'none') {
+			return;
+		}
+
+		const origin = this.overlay.getBoundingClientRect();
+
+		this.peers.forEach(peer => {
+			let range = null;
+			try {
+				range = this.model.createRange(peer.selection);
+			} catch (e) {
+				// Selection no longer fits the document
+			}
+			if (!range) {
+				return;
+			}
+
+			const color = peer.user.color;
+
+			// Selected text
+			if (!range.collapsed) {
+				Array.from(range.getClientRects()).forEach(rect => {
+					if (!rect.width) return;
+
+					const mark = document.createElement('div');
+					mark.className = 'wysiwyg-remote-selection';
+					mark.style.left = `${rect.left - origin.left}px`;
+					mark.style.top = `${rect.top - origin.top}px`;
+					mark.style.width = `${rect.width}px`;
+					mark.style.height = `${rect.height}px`;
+					mark.style.backgroundColor = color;
+					this.overlay.appendChild(mark);
+				});
+			}
+
+			// Caret at the focus end
+			const caret = range.cloneRange();
+			caret.collapse(false);
+
+			let rect = caret.getClientRects()[0];
+			if (!rect) {
+				const container = caret.endContainer.nodeType === Node.ELEMENT_NODE ?
+					caret.endContainer : caret.endContainer.parentElement;
+				rect = container.getBoundingClientRect();
+			}
+
+			const marker = document.createElement('div');
+			marker.className = 'wysiwyg-remote-caret';
+			marker.style.left = `${rect.left - origin.left}px`;
+			marker.style.top = `${rect.top - origin.top}px`;
+			marker.style.height = `${rect.height || 16}px`;
+			marker.style.borderColor = color;
+
+			const label = document.createElement('span');
+			label.className = 'wysiwyg-remote-caret-label';
+			label.textContent = peer.user.name;
+			label.style.backgroundColor = color;
+
+			marker.appendChild(label);
+			this.overlay.appendChild(marker);
+		});
+	}
+
+	/**
+	 * Pick a stable color for a client
+	 * @private
+	 * @param {string} id - Client id
+	 * @returns {string} Color
+	 */
+	_getColor(id) {
+		const colors = ['#0d6efd', '#d63384', '#198754', '#fd7e14', '#6f42c1', '#20c997', '#dc3545', '#0dcaf0'];
+		let hash = 0;
+		for (let i = 0; i < id.length; i++) {
+			hash = (hash * 31 + id.charCodeAt(i)) | 0;
+		}
+		return colors[Math.abs(hash) % colors.length];
+	}
+
+	/**
+	 * Trigger a collaboration event through the event manager
+	 * @private
+	 * @param {string} event - Event name
+	 * @param {*} data - Event data
+	 */
+	_trigger(event, data) {
+		if (this.editor && this.editor.eventManager) {
+			this.editor.eventManager.trigger(event, data);
+		}
+	}
+
+	/**
+	 * Add styles for remote cursors
+	 * @private
+	 */
+	_addCustomStyles() {
+		if (document.getElementById('wysiwyg-collaboration-styles')) return;
+
+		const style = document.createElement('style');
+		style.id = 'wysiwyg-collaboration-styles';
+		style.textContent = `
+			.wysiwyg-editor-wrapper.wysiwyg-collaborative {
+				position: relative;
+			}
+
+			.wysiwyg-remote-cursors {
+				position: absolute;
+				inset: 0;
+				overflow: hidden;
+				pointer-events: none;
+				z-index: 2;
+			}
+
+			.wysiwyg-remote-selection {
+				position: absolute;
+				opacity: 0.25;
+			}
+
+			.wysiwyg-remote-caret {
+				position: absolute;
+				border-left: 2px solid;
+				margin-left: -1px;
+			}
+
+			.wysiwyg-remote-caret-label {
+				position: absolute;
+				bottom: 100%;
+				left: -2px;
+				padding: 0 0.25rem;
+				border-radius: 0.25rem 0.25rem 0.25rem 0;
+				color: #fff;
+				font-size: 0.75rem;
+				line-height: 1.4;
+				white-space: nowrap;
+			}
+		`;
+		document.head.appendChild(style);
+	}
+
+	/**
+	 * Destroy collaboration
+	 * @public
+	 */
+	destroy() {
+		this.disconnect();
+
+		clearTimeout(this.cursorTimer);
+		document.removeEventListener('selectionchange', this._handleSelectionChange);
+		this.editor.editorElement.removeEventListener('scroll', this._renderCursors);
+		window.removeEventListener('resize', this._renderCursors);
+
+		if (this.overlay) {
+			this.overlay.parentNode.classList.remove('wysiwyg-collaborative');
+			this.overlay.remove();
+			this.overlay = null;
+		}
+
+		this.peers.clear();
+		this.model = null;
+		this.editor = null;
+	}
+}
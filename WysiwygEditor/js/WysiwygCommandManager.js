@@ -15,6 +15,16 @@ class WysiwygCommandManager {
 		this.editor = editor;
 		this.customCommands = new Map();
 
+		// Find and replace state, matches are live ranges that follow DOM changes
+		this.findState = {
+			query: '',
+			options: {},
+			matches: [],
+			current: -1,
+			error: null
+		};
+		this.findHighlights = [];
+
 		// Register custom commands
 		this._registerCustomCommands();
 	}
@@ -88,7 +98,7 @@ class WysiwygCommandManager {
 
 		// Find and replace
 		this.registerCommand('findReplace', (params) => {
-			this._findAndReplace(params);
+			return this._findAndReplace(params);
 		});
 
 		// Print
@@ -100,6 +110,15 @@ class WysiwygCommandManager {
 		this.registerCommand('wordCount', () => {
 			return this._getWordCount();
 		});
+
+		// Undo/redo through the editor history, which also holds programmatic changes
+		this.registerCommand('undo', () => {
+			this.editor.undo();
+		});
+
+		this.registerCommand('redo', () => {
+			this.editor.redo();
+		});
 	}
 
 	/**
@@ -690,14 +709,450 @@ class WysiwygCommandManager {
 
 	/**
 	 * Find and replace
+	 * Without parameters the toolbar find panel is opened.
 	 * @private
-	 * @param {Object} params - Find/replace parameters
+	 * @param {Object} params - Find/replace parameters {find, replace, caseSensitive, wholeWord, regex, replaceAll}
+	 * @returns {number} Number of matches found or replaced
 	 */
 	_findAndReplace(params) {
-		const { find, replace, caseSensitive, wholeWord, replaceAll } = params;
+		if (!params) {
+			if (this.editor.toolbar) {
+				this.editor.toolbar.showFindPanel();
+			}
+			return 0;
+		}
+
+		const { find, replace, caseSensitive, wholeWord, regex, replaceAll } = params;
+		const count = this.find(find, { caseSensitive, wholeWord, regex });
+
+		if (replace === undefined || replace === null || count === 0) {
+			return count;
+		}
+
+		return replaceAll ? this.replaceAll(replace) : this.replace(replace);
+	}
+
+	// ============================================
+	// Find and Replace
+	// ============================================
+
+	/**
+	 * Search the editor content and highlight all matches
+	 * @public
+	 * @param {string} query - Text or regular expression source
+	 * @param {Object} options - Search options {caseSensitive, wholeWord, regex}
+	 * @returns {number} Number of matches
+	 */
+	find(query, options = {}) {
+		this.findState.query = query || '';
+		this.findState.options = { ...options };
+		return this._runFind(0);
+	}
+
+	/**
+	 * Move to the next match
+	 * @public
+	 * @returns {number} Index of the current match or -1
+	 */
+	findNext() {
+		return this._moveToMatch(1);
+	}
+
+	/**
+	 * Move to the previous match
+	 * @public
+	 * @returns {number} Index of the current match or -1
+	 */
+	findPrevious() {
+		return this._moveToMatch(-1);
+	}
+
+	/**
+	 * Replace the current match and move on to the next one
+	 * @public
+	 * @param {string} replacement - Replacement text, $1 etc. refer to groups in regex mode
+	 * @returns {number} Number of replaced matches (0 or 1)
+	 */
+	replace(replacement) {
+		const { matches, current } = this.findState;
+		const match = matches[current];
+		if (!match) {
+			return 0;
+		}
+
+		this._beginContentChange();
+		const after = this._replaceMatch(match, this._getReplacement(match, replacement));
+		this.editor._commitChange();
+
+		// Continue after the inserted text so a replacement that matches again is skipped
+		const next = this._collectMatches().findIndex(item =>
+			item.range.compareBoundaryPoints(Range.START_TO_START, after) >= 0
+		);
+		this._runFind(next);
+
+		return 1;
+	}
+
+	/**
+	 * Replace every match as a single undo step
+	 * @public
+	 * @param {string} replacement - Replacement text, $1 etc. refer to groups in regex mode
+	 * @returns {number} Number of replaced matches
+	 */
+	replaceAll(replacement) {
+		const matches = this._collectMatches();
+		if (matches.length === 0) {
+			return 0;
+		}
+
+		this._beginContentChange();
+
+		// Work backwards so earlier matches keep their offsets
+		for (let i = matches.length - 1; i >= 0; i--) {
+			this._replaceMatch(matches[i], this._getReplacement(matches[i], replacement));
+		}
+
+		this.editor._commitChange();
+		this._runFind(0);
+
+		return matches.length;
+	}
+
+	/**
+	 * Search again for the current query, staying on the current match
+	 * @public
+	 * @returns {number} Number of matches
+	 */
+	refreshFind() {
+		return this._runFind(this.findState.current);
+	}
+
+	/**
+	 * Remove all find highlights and reset the find state
+	 * @public
+	 */
+	clearFind() {
+		this.findState.query = '';
+		this.findState.matches = [];
+		this.findState.current = -1;
+		this.findState.error = null;
+		this._paintFindHighlights();
+	}
+
+	/**
+	 * Get the current find state
+	 * @public
+	 * @returns {Object} {query, options, count, current, error}
+	 */
+	getFindState() {
+		return {
+			query: this.findState.query,
+			options: { ...this.findState.options },
+			count: this.findState.matches.length,
+			current: this.findState.current,
+			error: this.findState.error
+		};
+	}
+
+	/**
+	 * Re-run the current search, e.g. after the content changed
+	 * @private
+	 * @param {number} current - Index of the match to make current
+	 * @returns {number} Number of matches
+	 */
+	_runFind(current) {
+		const matches = this._collectMatches();
+
+		this.findState.matches = matches;
+		this.findState.current = matches.length === 0 ? -1 :
+			(current >= 0 && current < matches.length ? current : 0);
+
+		this._paintFindHighlights();
+		this._scrollToMatch(matches[this.findState.current]);
+
+		return matches.length;
+	}
+
+	/**
+	 * Step through the matches, wrapping around at either end
+	 * @private
+	 * @param {number} step - 1 or -1
+	 * @returns {number} Index of the current match or -1
+	 */
+	_moveToMatch(step) {
+		const count = this.findState.matches.length;
+		if (count === 0) {
+			return -1;
+		}
+
+		this.findState.current = (this.findState.current + step + count) % count;
+		this._paintFindHighlights();
+		this._scrollToMatch(this.findState.matches[this.findState.current]);
+
+		return this.findState.current;
+	}
+
+	/**
+	 * Build the search pattern from the query and options
+	 * @private
+	 * @param {string} query - Search query
+	 * @param {Object} options - Search options
+	 * @returns {RegExp} Global search pattern
+	 */
+	_buildFindPattern(query, options) {
+		let source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+		if (options.wholeWord) {
+			source = `\\b(?:${source})\\b`;
+		}
+
+		return new RegExp(source, options.caseSensitive ? 'g' : 'gi');
+	}
+
+	/**
+	 * Find all matches of the current query as DOM ranges
+	 * Text is searched across text nodes, so "bo<b>ld</b>" matches "bold",
+	 * but a match never spans two block elements.
+	 * @private
+	 * @returns {Array} Matches {range, text, groups, nodes}
+	 */
+	_collectMatches() {
+		const { query, options } = this.findState;
+		this.findState.error = null;
+
+		if (!query) {
+			return [];
+		}
+
+		let pattern;
+		try {
+			pattern = this._buildFindPattern(query, options);
+		} catch (error) {
+			this.findState.error = error.message;
+			return [];
+		}
+
+		// Flatten the text nodes into one string, separating blocks with a newline
+		const segments = [];
+		let text = '';
+		let lastBlock = null;
+		const walker = document.createTreeWalker(this.editor.editorElement, NodeFilter.SHOW_TEXT);
+
+		while (walker.nextNode()) {
+			const node = walker.currentNode;
+			const block = this._getBlockElement(node) || this.editor.editorElement;
+
+			if (lastBlock && block !== lastBlock) {
+				text += '\n';
+			}
+
+			segments.push({ node, start: text.length, end: text.length + node.data.length });
+			text += node.data;
+			lastBlock = block;
+		}
+
+		const matches = [];
+		for (const result of text.matchAll(pattern)) {
+			if (!result[0]) {
+				continue;
+			}
+
+			const start = result.index;
+			const end = start + result[0].length;
+			const first = segments.findIndex(segment => start >= segment.start && start < segment.end);
+			const last = segments.findIndex(segment => end > segment.start && end <= segment.end);
+
+			if (first === -1 || last === -1) {
+				continue;
+			}
+
+			const range = document.createRange();
+			range.setStart(segments[first].node, start - segments[first].start);
+			range.setEnd(segments[last].node, end - segments[last].start);
+
+			matches.push({
+				range,
+				text: result[0],
+				groups: result,
+				nodes: segments.slice(first, last + 1).map(segment => segment.node)
+			});
+		}
+
+		return matches;
+	}
+
+	/**
+	 * Compute the replacement text for a match
+	 * @private
+	 * @param {Object} match - Match object
+	 * @param {string} replacement - Replacement text or pattern
+	 * @returns {string} Replacement text
+	 */
+	_getReplacement(match, replacement) {
+		if (!this.findState.options.regex) {
+			return replacement;
+		}
+
+		// Expand $$, $&, $1 and $<name> from the groups of the original match,
+		// so lookarounds and anchors keep the context they matched in
+		const { groups } = match;
+		return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, key, name) => {
+			if (key === '$') {
+				return '$';
+			}
+			if (key === '&') {
+				return groups[0];
+			}
+			if (name !== undefined) {
+				return groups.groups ? groups.groups[name] ?? '' : token;
+			}
+
+			// Prefer a two digit group, fall back to one digit like String.replace
+			let index = Number(key);
+			let rest = '';
+			if (key.length === 2 && (index < 1 || index >= groups.length)) {
+				index = Number(key[0]);
+				rest = key[1];
+			}
+			if (index < 1 || index >= groups.length) {
+				return token;
+			}
+			return (groups[index] ?? '') + rest;
+		});
+	}
+
+	/**
+	 * Replace the text of a match, keeping the formatting of its first text node
+	 * @private
+	 * @param {Object} match - Match object
+	 * @param {string} replacement - Replacement text
+	 * @returns {Range} Collapsed range after the inserted text
+	 */
+	_replaceMatch(match, replacement) {
+		const { startContainer, startOffset, endContainer, endOffset } = match.range;
+
+		if (startContainer === endContainer) {
+			startContainer.replaceData(startOffset, endOffset - startOffset, replacement);
+		} else {
+			startContainer.replaceData(startOffset, startContainer.length - startOffset, replacement);
+			match.nodes.slice(1, -1).forEach(node => {
+				node.data = '';
+			});
+			endContainer.deleteData(0, endOffset);
+		}
+
+		const after = document.createRange();
+		after.setStart(startContainer, startOffset + replacement.length);
+		after.collapse(true);
+
+		match.nodes.forEach(node => this._removeEmptyText(node));
 
-		// This would implement find and replace functionality
-		console.log('Find and replace - to be implemented', params);
+		return after;
+	}
+
+	/**
+	 * Remove an emptied text node together with inline wrappers it leaves empty
+	 * @private
+	 * @param {Text} node - Text node
+	 */
+	_removeEmptyText(node) {
+		if (node.length > 0 || !node.parentNode) {
+			return;
+		}
+
+		let element = node.parentElement;
+		node.remove();
+
+		// Stop at the first block so an emptied paragraph keeps its place
+		while (element && element !== this.editor.editorElement &&
+			this._getBlockElement(element) !== element && !element.hasChildNodes()) {
+			const parent = element.parentElement;
+			element.remove();
+			element = parent;
+		}
+	}
+
+	/**
+	 * Make sure the state before a programmatic change can be restored by undo
+	 * @private
+	 */
+	_beginContentChange() {
+		// Records nothing if the content is unchanged
+		this.editor._addToHistory();
+	}
+
+	/**
+	 * Highlight the matches with the CSS Custom Highlight API
+	 * Without it, the current match is selected instead.
+	 * @private
+	 */
+	_paintFindHighlights() {
+		const { matches, current } = this.findState;
+
+		if (typeof CSS === 'undefined' || !CSS.highlights || typeof Highlight === 'undefined') {
+			const match = matches[current];
+			if (match && !this.editor.toolbar?.isFindPanelFocused()) {
+				const selection = window.getSelection();
+				selection.removeAllRanges();
+				selection.addRange(match.range);
+			}
+			return;
+		}
+
+		// The highlight registry is shared by all editors on the page
+		const all = CSS.highlights.get('wysiwyg-find') || new Highlight();
+		const active = CSS.highlights.get('wysiwyg-find-current') || new Highlight();
+
+		this.findHighlights.forEach(range => {
+			all.delete(range);
+			active.delete(range);
+		});
+
+		this.findHighlights = matches.map(match => match.range);
+		this.findHighlights.forEach((range, index) => {
+			(index === current ? active : all).add(range);
+		});
+
+		CSS.highlights.set('wysiwyg-find', all);
+		CSS.highlights.set('wysiwyg-find-current', active);
+	}
+
+	/**
+	 * Scroll the editor so that a match is visible
+	 * @private
+	 * @param {Object} match - Match object
+	 */
+	_scrollToMatch(match) {
+		if (!match) {
+			return;
+		}
+
+		const editorElement = this.editor.editorElement;
+		const rect = match.range.getBoundingClientRect();
+		const bounds = editorElement.getBoundingClientRect();
+
+		if (rect.top < bounds.top || rect.bottom > bounds.bottom) {
+			editorElement.scrollTop += rect.top - bounds.top - (bounds.height / 2);
+		}
+	}
+
+	/**
+	 * Select the current match in the editor
+	 * @public
+	 * @returns {boolean} True if a match was selected
+	 */
+	selectCurrentMatch() {
+		const match = this.findState.matches[this.findState.current];
+		if (!match) {
+			return false;
+		}
+
+		const selection = window.getSelection();
+		selection.removeAllRanges();
+		selection.addRange(match.range.cloneRange());
+		this.editor._saveSelection();
+
+		return true;
 	}
 
 	/**
@@ -878,6 +1333,7 @@ class WysiwygCommandManager {
 	 * @public
 	 */
 	destroy() {
+		this.clearFind();
 		this.customCommands.clear();
 		this.savedRange = null;
 	}
@@ -0,0 +1,343 @@
+/**
+ * WYSIWYG Document Model
+ * Block-level view of the editor content shared by history and collaboration
+ *
+ * The document is the list of its top-level blocks (paragraphs, headings,
+ * lists, tables, text runs), each serialized as HTML. Changes are expressed as
+ * operations that replace a range of blocks, and selections as block index
+ * plus text offset, so both stay valid when blocks are re-created.
+ *
+ * @class WysiwygDocumentModel
+ * @version 1.0.0
+ */
+class WysiwygDocumentModel {
+	/**
+	 * Create document model instance
+	 *
+	 * @param {HTMLElement} element - Editable element
+	 */
+	constructor(element) {
+		this.element = element;
+	}
+
+	// ============================================
+	// Blocks
+	// ============================================
+
+	/**
+	 * Get the document as a list of serialized top-level blocks
+	 * @public
+	 * @returns {Array<string>} Block HTML
+	 */
+	snapshot() {
+		return this.getBlocks().map(block => block.html);
+	}
+
+	/**
+	 * Group the top-level nodes into blocks
+	 * Adjacent text nodes form one block, empty text nodes and comments are ignored.
+	 * @public
+	 * @returns {Array<Object>} Blocks {nodes, html}
+	 */
+	getBlocks() {
+		const blocks = [];
+		let text = null;
+
+		Array.from(this.element.childNodes).forEach(node => {
+			if (node.nodeType === Node.TEXT_NODE) {
+				if (!node.textContent) {
+					return;
+				}
+				if (!text) {
+					text = { nodes: [], html: '' };
+					blocks.push(text);
+				}
+				text.nodes.push(node);
+				text.html += this._escapeText(node.textContent);
+			} else if (node.nodeType === Node.ELEMENT_NODE) {
+				text = null;
+				blocks.push({ nodes: [node], html: node.outerHTML });
+			}
+		});
+
+		return blocks;
+	}
+
+	/**
+	 * Compute the operation that turns one block list into another
+	 * @public
+	 * @param {Array<string>} before - Blocks before
+	 * @param {Array<string>} after - Blocks after
+	 * @returns {Object|null} {index, removed, inserted} or null if equal
+	 */
+	diff(before, after) {
+		let start = 0;
+		while (start < before.length && start < after.length && before[start] === after[start]) {
+			start++;
+		}
+
+		let endBefore = before.length;
+		let endAfter = after.length;
+		while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+			endBefore--;
+			endAfter--;
+		}
+
+		if (start === endBefore && start === endAfter) {
+			return null;
+		}
+
+		return {
+			index: start,
+			removed: before.slice(start, endBefore),
+			inserted: after.slice(start, endAfter)
+		};
+	}
+
+	/**
+	 * Replace blocks in the element, leaving the other blocks untouched
+	 * @public
+	 * @param {number} index - First block to replace
+	 * @param {number} count - Number of blocks to remove
+	 * @param {Array<string>} blocks - Block HTML to insert
+	 * @returns {Array<string>} Blocks after the change
+	 */
+	replaceBlocks(index, count, blocks) {
+		const current = this.getBlocks();
+		const target = current.map(block => block.html);
+		target.splice(index, count, ...blocks);
+
+		const next = current[index + count];
+		const reference = next ? next.nodes[0] : null;
+
+		current.slice(index, index + count).forEach(block => {
+			block.nodes.forEach(node => node.remove());
+		});
+
+		const template = document.createElement('template');
+		template.innerHTML = blocks.join('');
+		this.element.insertBefore(template.content, reference);
+
+		// Markup that does not parse back into the same blocks is restored as a whole
+		const result = this.snapshot();
+		if (result.length !== target.length || result.some((html, i) => html !== target[i])) {
+			this.element.innerHTML = target.join('');
+			return this.snapshot();
+		}
+
+		return result;
+	}
+
+	/**
+	 * Move a block position over an operation
+	 * Positions inside the replaced range stay in the replacement, clamped to its end.
+	 * @public
+	 * @param {Object} point - {block, offset}
+	 * @param {Object} operation - {index, removed, inserted}
+	 * @returns {Object} Transformed point
+	 */
+	transformPoint(point, operation) {
+		const end = operation.index + operation.removed.length;
+
+		if (point.block < operation.index) {
+			return point;
+		}
+		if (point.block >= end) {
+			return { block: point.block + operation.inserted.length - operation.removed.length, offset: point.offset };
+		}
+		if (operation.inserted.length === 0) {
+			return { block: operation.index, offset: 0 };
+		}
+		return {
+			block: operation.index + Math.min(point.block - operation.index, operation.inserted.length - 1),
+			offset: point.offset
+		};
+	}
+
+	/**
+	 * Move a selection over an operation
+	 * @public
+	 * @param {Object|null} selection - {start, end}
+	 * @param {Object} operation - {index, removed, inserted}
+	 * @returns {Object|null} Transformed selection
+	 */
+	transformSelection(selection, operation) {
+		if (!selection) {
+			return null;
+		}
+
+		return {
+			start: this.transformPoint(selection.start, operation),
+			end: this.transformPoint(selection.end, operation)
+		};
+	}
+
+	/**
+	 * Escape text for a text block
+	 * @private
+	 * @param {string} text - Text
+	 * @returns {string} Escaped text
+	 */
+	_escapeText(text) {
+		return text
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/\u00a0/g, '&nbsp;');
+	}
+
+	// ============================================
+	// Selection
+	// ============================================
+
+	/**
+	 * Serialize the current selection as block positions
+	 * @public
+	 * @returns {Object|null} {start: {block, offset}, end: {block, offset}} or null if outside the element
+	 */
+	getSelection() {
+		const selection = window.getSelection();
+		if (!selection || selection.rangeCount === 0) {
+			return null;
+		}
+
+		const range = selection.getRangeAt(0);
+		if (!this.element.contains(range.commonAncestorContainer)) {
+			return null;
+		}
+
+		const blocks = this.getBlocks();
+		const start = this._serializePoint(blocks, range.startContainer, range.startOffset);
+		const end = range.collapsed ? start : this._serializePoint(blocks, range.endContainer, range.endOffset);
+
+		return start && end ? { start, end } : null;
+	}
+
+	/**
+	 * Select a serialized selection
+	 * @public
+	 * @param {Object|null} state - Serialized selection
+	 * @returns {Range|null} Selected range
+	 */
+	setSelection(state) {
+		const range = this.createRange(state);
+		const selection = window.getSelection();
+
+		if (!range || !selection) {
+			return null;
+		}
+
+		selection.removeAllRanges();
+		selection.addRange(range);
+
+		return range;
+	}
+
+	/**
+	 * Create a DOM range for a serialized selection
+	 * @public
+	 * @param {Object|null} state - Serialized selection
+	 * @returns {Range|null} Range
+	 */
+	createRange(state) {
+		if (!state) {
+			return null;
+		}
+
+		const blocks = this.getBlocks();
+		const start = this._resolvePoint(blocks, state.start);
+		const end = this._resolvePoint(blocks, state.end);
+
+		const range = document.createRange();
+		range.setStart(start.node, start.offset);
+		range.setEnd(end.node, end.offset);
+
+		return range;
+	}
+
+	/**
+	 * Serialize a boundary point
+	 * @private
+	 * @param {Array<Object>} blocks - Current blocks
+	 * @param {Node} container - Boundary container
+	 * @param {number} offset - Boundary offset
+	 * @returns {Object|null} {block, offset}
+	 */
+	_serializePoint(blocks, container, offset) {
+		const root = this.element;
+
+		// Point between top-level nodes
+		if (container === root) {
+			const node = root.childNodes[offset];
+			const index = node ? blocks.findIndex(block => block.nodes.includes(node)) : -1;
+			if (index !== -1) {
+				return { block: index, offset: 0 };
+			}
+			const last = blocks.length - 1;
+			return last >= 0 ? { block: last, offset: this._getBlockText(blocks[last]).length } : { block: 0, offset: 0 };
+		}
+
+		let top = container;
+		while (top.parentNode && top.parentNode !== root) {
+			top = top.parentNode;
+		}
+
+		const index = blocks.findIndex(block => block.nodes.includes(top));
+		if (index === -1) {
+			return null;
+		}
+
+		const range = document.createRange();
+		range.setStartBefore(blocks[index].nodes[0]);
+		range.setEnd(container, offset);
+
+		return { block: index, offset: range.toString().length };
+	}
+
+	/**
+	 * Get the text of a block
+	 * @private
+	 * @param {Object} block - Block
+	 * @returns {string} Text
+	 */
+	_getBlockText(block) {
+		return block.nodes.map(node => node.textContent).join('');
+	}
+
+	/**
+	 * Resolve a serialized point to a DOM position
+	 * @private
+	 * @param {Array<Object>} blocks - Current blocks
+	 * @param {Object} point - {block, offset}
+	 * @returns {Object} {node, offset}
+	 */
+	_resolvePoint(blocks, point) {
+		if (blocks.length === 0) {
+			return { node: this.element, offset: 0 };
+		}
+
+		const block = blocks[Math.max(0, Math.min(point.block, blocks.length - 1))];
+		let remaining = point.offset;
+		let lastText = null;
+
+		for (const node of block.nodes) {
+			const walker = document.createTreeWalker(node, NodeFilter.SHOW_TEXT);
+			let text = node.nodeType === Node.TEXT_NODE ? node : walker.nextNode();
+
+			while (text) {
+				if (remaining <= text.length) {
+					return { node: text, offset: remaining };
+				}
+				remaining -= text.length;
+				lastText = text;
+				text = node.nodeType === Node.TEXT_NODE ? null : walker.nextNode();
+			}
+		}
+
+		// Offset past the end, or a block without text such as an empty paragraph
+		if (lastText) {
+			return { node: lastText, offset: lastText.length };
+		}
+		return { node: block.nodes[0], offset: 0 };
+	}
+}
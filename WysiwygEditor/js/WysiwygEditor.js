@@ -41,7 +41,7 @@ class WysiwygEditor {
 		this.isInitialized = false;
 		this.isDirty = false;
 		this.currentRange = null;
-		this.history = [];
+		this.history = []; // Content snapshots, used when WysiwygHistoryManager is not loaded
 		this.historyStep = -1;
 
 		// Component references
@@ -56,6 +56,11 @@ class WysiwygEditor {
 		this.eventManager = null;
 		this.storageManager = null;
 		this.sanitizer = null;
+		this.markdown = null;
+		this.documentModel = null;
+		this.historyManager = null;
+		this.collaboration = null;
+		this.autocomplete = null;
 
 		// Initialize the editor
 		this._init();
@@ -159,7 +164,8 @@ class WysiwygEditor {
 				'img': ['src', 'alt', 'width', 'height', 'title'],
 				'video': ['src', 'width', 'height', 'controls', 'autoplay'],
 				'audio': ['src', 'controls', 'autoplay'],
-				'iframe': ['src', 'width', 'height', 'frameborder', 'allowfullscreen']
+				'iframe': ['src', 'width', 'height', 'frameborder', 'allowfullscreen'],
+				'span': ['contenteditable', 'data-mention', 'data-mention-id']
 			},
 			paste: {
 				mode: 'auto', // 'plain', 'formatted', 'auto'
@@ -204,7 +210,38 @@ class WysiwygEditor {
 			shortcuts: true,
 			disableDragAndDrop: false,
 			maximumImageSize: 5242880, // 5MB
-			acceptedImageTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/svg+xml', 'image/webp']
+			acceptedImageTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/svg+xml', 'image/webp'],
+			history: {
+				limit: 100, // Maximum undo steps
+				coalesce: true, // Merge typing into word-level steps
+				coalesceDelay: 1000 // Pause in ms that starts a new step
+			},
+			collaboration: {
+				enabled: false,
+				// adapter: transport {connect, send, disconnect}, e.g. new WysiwygLoopbackAdapter()
+				user: { name: 'Anonymous', color: null },
+				cursors: true, // Show remote cursors and selections
+				cursorDelay: 100,
+				syncOnJoin: true, // Load the document from a peer after connecting
+				sanitize: true // Clean remote HTML with the sanitizer
+			},
+			autocomplete: {
+				enabled: true,
+				delay: 150, // Delay in ms before a suggestion source is asked
+				maxItems: 8,
+				maxQueryLength: 30,
+				triggers: {
+					'@': { type: 'mention', source: null }, // source: array or function(query) returning items or a Promise
+					'#': { type: 'hashtag', source: null, allowCreate: true }
+					// '/': { type: 'command' } opts in to the slash commands from autocomplete.commands
+				},
+				commands: null // Slash commands, null for the built-in ones
+			},
+			codeViewModes: ['html', 'markdown'], // Source views cycled by the codeview button
+			markdown: {
+				allowHtml: true, // Raw HTML in Markdown is kept (and sanitized) instead of escaped, needs WysiwygSanitizer
+				bulletMarker: '-'
+			}
 		};
 
 		// Deep merge function
@@ -315,6 +352,16 @@ class WysiwygEditor {
 			this.eventManager = new WysiwygEventManager(this, this.config.callbacks);
 		}
 
+		// Initialize document model
+		if (typeof WysiwygDocumentModel !== 'undefined') {
+			this.documentModel = new WysiwygDocumentModel(this.editorElement);
+		}
+
+		// Initialize history manager
+		if (typeof WysiwygHistoryManager !== 'undefined' && this.documentModel) {
+			this.historyManager = new WysiwygHistoryManager(this, this.config.history);
+		}
+
 		// Initialize storage manager
 		if (typeof WysiwygStorageManager !== 'undefined' && this.config.autosave.enabled) {
 			this.storageManager = new WysiwygStorageManager(this, this.config.autosave);
@@ -324,6 +371,25 @@ class WysiwygEditor {
 		if (typeof WysiwygSanitizer !== 'undefined') {
 			this.sanitizer = new WysiwygSanitizer(this.config.allowedTags, this.config.allowedAttributes);
 		}
+
+		// Initialize Markdown converter
+		if (typeof WysiwygMarkdown !== 'undefined') {
+			// Raw HTML is only kept when the sanitizer can clean it
+			this.markdown = new WysiwygMarkdown({
+				...this.config.markdown,
+				allowHtml: this.config.markdown.allowHtml && this.sanitizer !== null
+			});
+		}
+
+		// Initialize collaboration
+		if (typeof WysiwygCollaboration !== 'undefined' && this.documentModel && this.config.collaboration.enabled) {
+			this.collaboration = new WysiwygCollaboration(this, this.config.collaboration);
+		}
+
+		// Initialize mentions, hashtags and slash commands
+		if (typeof WysiwygAutocomplete !== 'undefined' && this.config.autocomplete.enabled) {
+			this.autocomplete = new WysiwygAutocomplete(this, this.config.autocomplete);
+		}
 	}
 
 	/**
@@ -363,6 +429,14 @@ class WysiwygEditor {
 		} else {
 			this._updatePlaceholder();
 		}
+
+		// The initial content is the oldest undo state
+		if (this.historyManager) {
+			this.historyManager.reset();
+		} else {
+			this.history = [this.getContent()];
+			this.historyStep = 0;
+		}
 	}
 
 	/**
@@ -430,14 +504,31 @@ class WysiwygEditor {
 	 * @param {Event} event - Input event
 	 */
 	_handleInput(event) {
+		this._commitChange({ inputType: event.inputType, data: event.data });
+	}
+
+	/**
+	 * Sync, notify and record a content change as one history step
+	 * @private
+	 * @param {Object} options - Change details for the history {inputType, data}
+	 */
+	_commitChange(options = {}) {
+		this._notifyChange();
+
+		// Add to history
+		this._addToHistory(options);
+	}
+
+	/**
+	 * Sync and notify a content change
+	 * @private
+	 */
+	_notifyChange() {
 		this.isDirty = true;
 		this._syncContent();
 		this._updatePlaceholder();
 		this._updateStatusBar();
 		this._fireCallback('onChange', this.getContent());
-
-		// Add to history
-		this._addToHistory();
 	}
 
 	/**
@@ -530,6 +621,11 @@ class WysiwygEditor {
 	 * @param {Event} event - Keydown event
 	 */
 	_handleKeyDown(event) {
+		// Suggestion popup navigation
+		if (this.autocomplete && this.autocomplete.handleKeyDown(event)) {
+			return;
+		}
+
 		// Handle shortcuts
 		if (this.config.shortcuts) {
 			this._handleShortcuts(event);
@@ -591,6 +687,7 @@ class WysiwygEditor {
 			'r': 'justifyRight',
 			'j': 'justifyFull',
 			'k': 'createLink',
+			'f': 'findReplace',
 			'/': 'formatBlock'
 		};
 
@@ -710,30 +807,69 @@ class WysiwygEditor {
 	 */
 	_syncContent() {
 		this.textarea.value = this.getContent();
+
+		// Publish the change to collaborators
+		if (this.collaboration) {
+			this.collaboration.flush();
+		}
 	}
 
 	/**
 	 * Add current state to history
+	 * Typing is merged into word-level steps by the history manager.
 	 * @private
+	 * @param {Object} options - Change details {inputType, data}
 	 */
-	_addToHistory() {
+	_addToHistory(options = {}) {
+		if (this.historyManager) {
+			this.historyManager.record(options);
+			return;
+		}
+
+		// Snapshot fallback without WysiwygHistoryManager (or WysiwygDocumentModel)
 		const content = this.getContent();
+		if (this.history[this.historyStep] === content) {
+			return;
+		}
 
 		// Remove any history after current position
 		this.history = this.history.slice(0, this.historyStep + 1);
-
-		// Add new state
 		this.history.push(content);
 		this.historyStep++;
 
 		// Limit history size
-		const maxHistory = 50;
-		if (this.history.length > maxHistory) {
-			this.history = this.history.slice(-maxHistory);
+		const limit = this.config.history.limit;
+		if (this.history.length > limit) {
+			this.history = this.history.slice(-limit);
 			this.historyStep = this.history.length - 1;
 		}
 	}
 
+	/**
+	 * Show a content snapshot of the fallback history
+	 * @private
+	 * @param {number} step - History position
+	 */
+	_restoreSnapshot(step) {
+		this.historyStep = step;
+		this.editorElement.innerHTML = this.history[step];
+		this._notifyChange();
+		this._refreshFind();
+	}
+
+	/**
+	 * Re-run an active search after the content was replaced
+	 * @private
+	 */
+	_refreshFind() {
+		if (this.commandManager && this.commandManager.findState.query) {
+			this.commandManager.refreshFind();
+			if (this.toolbar) {
+				this.toolbar._updateFindCount();
+			}
+		}
+	}
+
 	/**
 	 * Fire a callback if it exists
 	 * @private
@@ -776,6 +912,7 @@ class WysiwygEditor {
 		this._updatePlaceholder();
 		this._updateStatusBar();
 		this.isDirty = false;
+		this._addToHistory();
 	}
 
 	/**
@@ -787,6 +924,73 @@ class WysiwygEditor {
 		return this.editorElement.textContent || '';
 	}
 
+	/**
+	 * Get the mentions, hashtags and other references in the content
+	 * Each referenced id is listed once, in document order.
+	 * @public
+	 * @param {string|null} type - Only return this type, e.g. 'mention' or 'hashtag'
+	 * @returns {Array<Object>} Mentions {type, id, label, text}
+	 */
+	getMentions(type = null) {
+		const seen = new Set();
+		const mentions = [];
+
+		this.editorElement.querySelectorAll('span[data-mention]').forEach(element => {
+			const text = element.textContent;
+			const mention = {
+				type: element.getAttribute('data-mention'),
+				id: element.getAttribute('data-mention-id') || text.slice(1),
+				label: text.slice(1),
+				text
+			};
+			const key = `${mention.type}:${mention.id}`;
+
+			if ((type && mention.type !== type) || seen.has(key)) {
+				return;
+			}
+
+			seen.add(key);
+			mentions.push(mention);
+		});
+
+		return mentions;
+	}
+
+	/**
+	 * Get editor content as Markdown
+	 * The content is sanitized first, so only allowed tags reach the output.
+	 * @public
+	 * @returns {string} Markdown content
+	 */
+	getMarkdown() {
+		if (!this.markdown) {
+			console.warn('WysiwygEditor: WysiwygMarkdown is not loaded');
+			return this.getText();
+		}
+
+		let html = this.getContent();
+		if (this.sanitizer) {
+			html = this.sanitizer.clean(html);
+		}
+
+		return this.markdown.toMarkdown(html);
+	}
+
+	/**
+	 * Set editor content from Markdown
+	 * The generated HTML goes through setContent() and therefore the sanitizer.
+	 * @public
+	 * @param {string} markdown - Markdown content to set
+	 */
+	setMarkdown(markdown) {
+		if (!this.markdown) {
+			console.warn('WysiwygEditor: WysiwygMarkdown is not loaded');
+			return;
+		}
+
+		this.setContent(this.markdown.toHTML(markdown));
+	}
+
 	/**
 	 * Insert HTML at cursor position
 	 * @public
@@ -877,8 +1081,6 @@ class WysiwygEditor {
 	 */
 	clear() {
 		this.setContent('');
-		this.isDirty = false;
-		this._addToHistory();
 	}
 
 	/**
@@ -973,9 +1175,16 @@ class WysiwygEditor {
 	 * @public
 	 */
 	undo() {
-		if (this.historyStep > 0) {
-			this.historyStep--;
-			this.setContent(this.history[this.historyStep]);
+		if (!this.historyManager) {
+			if (this.canUndo()) {
+				this._restoreSnapshot(this.historyStep - 1);
+			}
+			return;
+		}
+
+		if (this.historyManager.undo()) {
+			this._notifyChange();
+			this._refreshFind();
 		}
 	}
 
@@ -984,9 +1193,16 @@ class WysiwygEditor {
 	 * @public
 	 */
 	redo() {
-		if (this.historyStep < this.history.length - 1) {
-			this.historyStep++;
-			this.setContent(this.history[this.historyStep]);
+		if (!this.historyManager) {
+			if (this.canRedo()) {
+				this._restoreSnapshot(this.historyStep + 1);
+			}
+			return;
+		}
+
+		if (this.historyManager.redo()) {
+			this._notifyChange();
+			this._refreshFind();
 		}
 	}
 
@@ -996,7 +1212,7 @@ class WysiwygEditor {
 	 * @returns {boolean} True if can undo
 	 */
 	canUndo() {
-		return this.historyStep > 0;
+		return this.historyManager ? this.historyManager.canUndo() : this.historyStep > 0;
 	}
 
 	/**
@@ -1005,7 +1221,66 @@ class WysiwygEditor {
 	 * @returns {boolean} True if can redo
 	 */
 	canRedo() {
-		return this.historyStep < this.history.length - 1;
+		return this.historyManager ? this.historyManager.canRedo() : this.historyStep < this.history.length - 1;
+	}
+
+	/**
+	 * Find text and highlight all matches
+	 * @public
+	 * @param {string} query - Text or regular expression source
+	 * @param {Object} options - Search options {caseSensitive, wholeWord, regex}
+	 * @returns {number} Number of matches
+	 */
+	find(query, options = {}) {
+		return this.commandManager ? this.commandManager.find(query, options) : 0;
+	}
+
+	/**
+	 * Move to the next match
+	 * @public
+	 * @returns {number} Index of the current match or -1
+	 */
+	findNext() {
+		return this.commandManager ? this.commandManager.findNext() : -1;
+	}
+
+	/**
+	 * Move to the previous match
+	 * @public
+	 * @returns {number} Index of the current match or -1
+	 */
+	findPrevious() {
+		return this.commandManager ? this.commandManager.findPrevious() : -1;
+	}
+
+	/**
+	 * Replace the current match
+	 * @public
+	 * @param {string} replacement - Replacement text
+	 * @returns {number} Number of replaced matches
+	 */
+	replace(replacement) {
+		return this.commandManager ? this.commandManager.replace(replacement) : 0;
+	}
+
+	/**
+	 * Replace all matches as a single undo step
+	 * @public
+	 * @param {string} replacement - Replacement text
+	 * @returns {number} Number of replaced matches
+	 */
+	replaceAll(replacement) {
+		return this.commandManager ? this.commandManager.replaceAll(replacement) : 0;
+	}
+
+	/**
+	 * Clear find highlights
+	 * @public
+	 */
+	clearFind() {
+		if (this.commandManager) {
+			this.commandManager.clearFind();
+		}
 	}
 
 	/**
@@ -1198,6 +1473,10 @@ class WysiwygEditor {
 			this._applyTheme();
 		}
 
+		if (newConfig.history && this.historyManager) {
+			this.historyManager.configure(newConfig.history);
+		}
+
 		if (newConfig.spellcheck !== undefined) {
 			this.editorElement.spellcheck = newConfig.spellcheck;
 		}
@@ -1229,77 +1508,13 @@ class WysiwygEditor {
 			case 'text':
 				return this.getText();
 			case 'markdown':
-				// Basic HTML to Markdown conversion
-				return this._htmlToMarkdown(this.getContent());
+				return this.getMarkdown();
 			case 'html':
 			default:
 				return this.getContent();
 		}
 	}
 
-	/**
-	 * Convert HTML to Markdown (basic conversion)
-	 * @private
-	 * @param {string} html - HTML content
-	 * @returns {string} Markdown content
-	 */
-	_htmlToMarkdown(html) {
-		// This is a basic implementation - consider using a library for full support
-		let markdown = html;
-
-		// Headers
-		markdown = markdown.replace(/<h1[^>]*>(.*?)<\/h1>/gi, '# $1\n');
-		markdown = markdown.replace(/<h2[^>]*>(.*?)<\/h2>/gi, '## $1\n');
-		markdown = markdown.replace(/<h3[^>]*>(.*?)<\/h3>/gi, '### $1\n');
-		markdown = markdown.replace(/<h4[^>]*>(.*?)<\/h4>/gi, '#### $1\n');
-		markdown = markdown.replace(/<h5[^>]*>(.*?)<\/h5>/gi, '##### $1\n');
-		markdown = markdown.replace(/<h6[^>]*>(.*?)<\/h6>/gi, '###### $1\n');
-
-		// Bold and Italic
-		markdown = markdown.replace(/<strong[^>]*>(.*?)<\/strong>/gi, '**$1**');
-		markdown = markdown.replace(/<b[^>]*>(.*?)<\/b>/gi, '**$1**');
-		markdown = markdown.replace(/<em[^>]*>(.*?)<\/em>/gi, '*$1*');
-		markdown = markdown.replace(/<i[^>]*>(.*?)<\/i>/gi, '*$1*');
-
-		// Links
-		markdown = markdown.replace(/<a[^>]+href="([^"]*)"[^>]*>(.*?)<\/a>/gi, '[$2]($1)');
-
-		// Images
-		markdown = markdown.replace(/<img[^>]+src="([^"]*)"[^>]+alt="([^"]*)"[^>]*>/gi, '![$2]($1)');
-		markdown = markdown.replace(/<img[^>]+src="([^"]*)"[^>]*>/gi, '![]($1)');
-
-		// Lists
-		markdown = markdown.replace(/<ul[^>]*>(.*?)<\/ul>/gis, (match, content) => {
-			return content.replace(/<li[^>]*>(.*?)<\/li>/gi, '- $1\n');
-		});
-		markdown = markdown.replace(/<ol[^>]*>(.*?)<\/ol>/gis, (match, content) => {
-			let counter = 1;
-			return content.replace(/<li[^>]*>(.*?)<\/li>/gi, () => {
-				return `${counter++}. $1\n`;
-			});
-		});
-
-		// Paragraphs and breaks
-		markdown = markdown.replace(/<p[^>]*>(.*?)<\/p>/gi, '$1\n\n');
-		markdown = markdown.replace(/<br[^>]*>/gi, '\n');
-
-		// Blockquotes
-		markdown = markdown.replace(/<blockquote[^>]*>(.*?)<\/blockquote>/gis, '> $1\n');
-
-		// Code
-		markdown = markdown.replace(/<code[^>]*>(.*?)<\/code>/gi, '`$1`');
-		markdown = markdown.replace(/<pre[^>]*>(.*?)<\/pre>/gis, '```\n$1\n```\n');
-
-		// Clean remaining tags
-		markdown = markdown.replace(/<[^>]+>/g, '');
-
-		// Clean extra whitespace
-		markdown = markdown.replace(/\n{3,}/g, '\n\n');
-		markdown = markdown.trim();
-
-		return markdown;
-	}
-
 	/**
 	 * Destroy the editor instance
 	 * @public
@@ -1326,9 +1541,12 @@ class WysiwygEditor {
 		document.removeEventListener('selectionchange', this._handleSelectionChange.bind(this));
 
 		// Destroy components
+		if (this.autocomplete) this.autocomplete.destroy();
+		if (this.collaboration) this.collaboration.destroy();
 		if (this.toolbar) this.toolbar.destroy();
 		if (this.commandManager) this.commandManager.destroy();
 		if (this.eventManager) this.eventManager.destroy();
+		if (this.historyManager) this.historyManager.destroy();
 
 		// Sync final content
 		this._syncContent();
@@ -1348,7 +1566,12 @@ class WysiwygEditor {
 		this.commandManager = null;
 		this.eventManager = null;
 		this.storageManager = null;
+		this.historyManager = null;
+		this.collaboration = null;
+		this.autocomplete = null;
+		this.documentModel = null;
 		this.sanitizer = null;
+		this.markdown = null;
 
 		this.isInitialized = false;
 	}
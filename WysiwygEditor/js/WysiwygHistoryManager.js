@@ -0,0 +1,465 @@
+/**
+ * WYSIWYG History Manager
+ * Operation-based undo/redo history
+ *
+ * Each history entry is an operation on the WysiwygDocumentModel: the
+ * top-level blocks a change replaced and the blocks it inserted, together with
+ * the selection before and after the change. Typing is coalesced into
+ * word-level steps.
+ *
+ * @class WysiwygHistoryManager
+ * @version 1.0.0
+ */
+class WysiwygHistoryManager {
+	/**
+	 * Create history manager instance
+	 *
+	 * @param {WysiwygEditor} editor - Parent editor instance
+	 * @param {Object} config - History configuration
+	 * @param {number} config.limit - Maximum number of undo steps
+	 * @param {boolean} config.coalesce - Merge typing into word-level steps
+	 * @param {number} config.coalesceDelay - Pause in ms after which typing starts a new step
+	 */
+	constructor(editor, config = {}) {
+		this.editor = editor;
+		this.model = editor.documentModel;
+
+		// Configuration
+		this.config = {
+			limit: 100,
+			coalesce: true,
+			coalesceDelay: 1000,
+			...config
+		};
+
+		// State
+		this.entries = [];
+		this.step = -1; // Index of the entry that produced the current state
+		this.blocks = []; // Blocks at the last recorded state
+		this.lastSelection = null;
+		this.pendingSelection = null;
+		this.isApplying = false;
+
+		// Bound handlers
+		this._handleBeforeInput = this._handleBeforeInput.bind(this);
+		this._handleSelectionChange = this._handleSelectionChange.bind(this);
+
+		this._init();
+	}
+
+	/**
+	 * Initialize history manager
+	 * @private
+	 */
+	_init() {
+		this.editor.editorElement.addEventListener('beforeinput', this._handleBeforeInput);
+		document.addEventListener('selectionchange', this._handleSelectionChange);
+
+		this.reset();
+	}
+
+	// ============================================
+	// Recording
+	// ============================================
+
+	/**
+	 * Record the current content as a history step
+	 * Does nothing if the content did not change since the last step.
+	 * @public
+	 * @param {Object} options - Change details
+	 * @param {string} options.inputType - InputEvent.inputType of the change
+	 * @param {string} options.data - InputEvent.data of the change
+	 * @returns {boolean} True if a step was added or extended
+	 */
+	record(options = {}) {
+		if (this.isApplying) {
+			return false;
+		}
+
+		const blocks = this.model.snapshot();
+		const operation = this.model.diff(this.blocks, blocks);
+		const selection = this.model.getSelection();
+		const selectionBefore = this.pendingSelection || this.lastSelection;
+
+		this.pendingSelection = null;
+		if (selection) {
+			this.lastSelection = selection;
+		}
+
+		if (!operation) {
+			return false;
+		}
+
+		this.blocks = blocks;
+
+		const group = this._getGroup(options.inputType);
+		const now = Date.now();
+		const last = this.step === this.entries.length - 1 ? this.entries[this.step] : null;
+		const closed = group !== 'typing' || /[\s.,;:!?]/.test(options.data || '');
+
+		// Drop undone steps
+		this.entries.length = this.step + 1;
+
+		// Extend the current word
+		if (this._canCoalesce(last, operation, group, now)) {
+			last.inserted = operation.inserted;
+			last.selectionAfter = selection;
+			last.time = now;
+			last.closed = closed;
+			return true;
+		}
+
+		this.entries.push({
+			...operation,
+			group,
+			closed,
+			selectionBefore,
+			selectionAfter: selection,
+			time: now
+		});
+		this.step++;
+
+		this._trim();
+
+		return true;
+	}
+
+	/**
+	 * Check if an operation continues the last step
+	 * @private
+	 * @param {Object|null} last - Last entry
+	 * @param {Object} operation - New operation
+	 * @param {string|null} group - Input group
+	 * @param {number} now - Timestamp
+	 * @returns {boolean} True if the operation can be merged
+	 */
+	_canCoalesce(last, operation, group, now) {
+		return Boolean(
+			this.config.coalesce &&
+			last &&
+			group &&
+			last.group === group &&
+			!last.closed &&
+			now - last.time <= this.config.coalesceDelay &&
+			operation.index === last.index &&
+			operation.removed.length === last.inserted.length
+		);
+	}
+
+	/**
+	 * Map an input type to a coalescing group
+	 * @private
+	 * @param {string} inputType - InputEvent.inputType
+	 * @returns {string|null} 'typing', 'delete' or null for changes that are always a step of their own
+	 */
+	_getGroup(inputType) {
+		if (inputType === 'insertText' || inputType === 'insertCompositionText') {
+			return 'typing';
+		}
+		if (inputType === 'deleteContentBackward' || inputType === 'deleteContentForward') {
+			return 'delete';
+		}
+		return null;
+	}
+
+	/**
+	 * Drop the oldest steps above the limit
+	 * @private
+	 */
+	_trim() {
+		const overflow = this.entries.length - Math.max(1, this.config.limit);
+		if (overflow > 0) {
+			this.entries.splice(0, overflow);
+			this.step -= overflow;
+		}
+	}
+
+	// ============================================
+	// Undo / Redo
+	// ============================================
+
+	/**
+	 * Undo the last step
+	 * @public
+	 * @returns {boolean} True if a step was undone
+	 */
+	undo() {
+		// Changes that were not recorded yet are undone first
+		this.record();
+
+		if (!this.canUndo()) {
+			return false;
+		}
+
+		const entry = this.entries[this.step];
+		if (this._trigger('beforeUndo', entry) === false) {
+			return false;
+		}
+
+		this._apply(entry.index, entry.inserted.length, entry.removed);
+		this.step--;
+		this._restoreSelection(entry.selectionBefore);
+
+		this._trigger('afterUndo', entry);
+		return true;
+	}
+
+	/**
+	 * Redo the last undone step
+	 * @public
+	 * @returns {boolean} True if a step was redone
+	 */
+	redo() {
+		this.record();
+
+		if (!this.canRedo()) {
+			return false;
+		}
+
+		const entry = this.entries[this.step + 1];
+		if (this._trigger('beforeRedo', entry) === false) {
+			return false;
+		}
+
+		this._apply(entry.index, entry.removed.length, entry.inserted);
+		this.step++;
+		this._restoreSelection(entry.selectionAfter);
+
+		this._trigger('afterRedo', entry);
+		return true;
+	}
+
+	/**
+	 * Check if can undo
+	 * @public
+	 * @returns {boolean} True if can undo
+	 */
+	canUndo() {
+		return this.step >= 0;
+	}
+
+	/**
+	 * Check if can redo
+	 * @public
+	 * @returns {boolean} True if can redo
+	 */
+	canRedo() {
+		return this.step < this.entries.length - 1;
+	}
+
+	/**
+	 * Clear the history and use the current content as the starting point
+	 * @public
+	 */
+	reset() {
+		this.entries = [];
+		this.step = -1;
+		this.blocks = this.model.snapshot();
+		this.lastSelection = null;
+		this.pendingSelection = null;
+	}
+
+	/**
+	 * Update configuration
+	 * @public
+	 * @param {Object} config - History configuration
+	 */
+	configure(config = {}) {
+		this.config = { ...this.config, ...config };
+		this._trim();
+	}
+
+	/**
+	 * Get history information
+	 * @public
+	 * @returns {Object} {steps, position, limit, canUndo, canRedo}
+	 */
+	getInfo() {
+		return {
+			steps: this.entries.length,
+			position: this.step + 1,
+			limit: this.config.limit,
+			canUndo: this.canUndo(),
+			canRedo: this.canRedo()
+		};
+	}
+
+	/**
+	 * Trigger a history event through the event manager
+	 * @private
+	 * @param {string} event - Event name
+	 * @param {Object} entry - History entry
+	 * @returns {*} Handler result, false cancels before* events
+	 */
+	_trigger(event, entry) {
+		if (!this.editor.eventManager) {
+			return undefined;
+		}
+
+		return this.editor.eventManager.trigger(event, {
+			operation: {
+				index: entry.index,
+				removed: entry.removed.slice(),
+				inserted: entry.inserted.slice()
+			},
+			selection: event.endsWith('Redo') ? entry.selectionAfter : entry.selectionBefore,
+			...this.getInfo()
+		});
+	}
+
+	// ============================================
+	// Remote Changes
+	// ============================================
+
+	/**
+	 * Adjust the history to a change made outside of it, e.g. by a collaborator
+	 * Steps that touch the changed blocks can no longer be undone (or redone) and are dropped.
+	 * @public
+	 * @param {Object} operation - {index, removed, inserted} in the current document
+	 */
+	rebase(operation) {
+		const delta = operation.inserted.length - operation.removed.length;
+
+		// Undo steps, newest first, moving the operation back in time
+		let change = { ...operation };
+		for (let i = this.step; i >= 0; i--) {
+			const entry = this.entries[i];
+			const position = this._compare(change, entry.index, entry.inserted.length);
+
+			if (position === 'overlap') {
+				this.entries.splice(0, i + 1);
+				this.step -= i + 1;
+				break;
+			}
+			if (position === 'before') {
+				entry.index += delta;
+			} else {
+				change = { ...change, index: change.index - entry.inserted.length + entry.removed.length };
+			}
+		}
+
+		// Redo steps, oldest first, moving the operation forward
+		change = { ...operation };
+		for (let i = this.step + 1; i < this.entries.length; i++) {
+			const entry = this.entries[i];
+			const position = this._compare(change, entry.index, entry.removed.length);
+
+			if (position === 'overlap') {
+				this.entries.length = i;
+				break;
+			}
+			if (position === 'before') {
+				entry.index += delta;
+			} else {
+				change = { ...change, index: change.index + entry.inserted.length - entry.removed.length };
+			}
+		}
+
+		// Selections of the remaining steps
+		this.entries.forEach(entry => {
+			entry.selectionBefore = this.model.transformSelection(entry.selectionBefore, operation);
+			entry.selectionAfter = this.model.transformSelection(entry.selectionAfter, operation);
+		});
+
+		this.blocks = this.model.snapshot();
+		this.lastSelection = this.model.transformSelection(this.lastSelection, operation);
+	}
+
+	/**
+	 * Compare an operation with a block range
+	 * @private
+	 * @param {Object} operation - {index, removed}
+	 * @param {number} index - Range start
+	 * @param {number} length - Range length
+	 * @returns {string} 'before', 'after' or 'overlap'
+	 */
+	_compare(operation, index, length) {
+		if (operation.index + operation.removed.length <= index) {
+			return 'before';
+		}
+		if (operation.index >= index + length) {
+			return 'after';
+		}
+		return 'overlap';
+	}
+
+	/**
+	 * Replace blocks while ignoring the resulting change
+	 * @private
+	 * @param {number} index - First block to replace
+	 * @param {number} count - Number of blocks to remove
+	 * @param {Array<string>} blocks - Block HTML to insert
+	 */
+	_apply(index, count, blocks) {
+		this.isApplying = true;
+		this.blocks = this.model.replaceBlocks(index, count, blocks);
+		this.isApplying = false;
+	}
+
+	/**
+	 * Restore a serialized selection
+	 * @private
+	 * @param {Object|null} state - Serialized selection
+	 */
+	_restoreSelection(state) {
+		const range = this.model.setSelection(state);
+		if (range) {
+			this.editor.currentRange = range;
+		}
+	}
+
+	// ============================================
+	// Event Handlers
+	// ============================================
+
+	/**
+	 * Remember the selection before a change and route native undo/redo
+	 * @private
+	 * @param {InputEvent} event - beforeinput event
+	 */
+	_handleBeforeInput(event) {
+		if (event.inputType === 'historyUndo' || event.inputType === 'historyRedo') {
+			event.preventDefault();
+			if (event.inputType === 'historyUndo') {
+				this.editor.undo();
+			} else {
+				this.editor.redo();
+			}
+			return;
+		}
+
+		if (!this.pendingSelection) {
+			this.pendingSelection = this.model.getSelection();
+		}
+	}
+
+	/**
+	 * Track the selection for changes without beforeinput (execCommand)
+	 * @private
+	 */
+	_handleSelectionChange() {
+		if (this.isApplying) {
+			return;
+		}
+
+		const selection = this.model.getSelection();
+		if (selection) {
+			this.lastSelection = selection;
+			this.pendingSelection = null;
+		}
+	}
+
+	/**
+	 * Destroy history manager
+	 * @public
+	 */
+	destroy() {
+		this.editor.editorElement.removeEventListener('beforeinput', this._handleBeforeInput);
+		document.removeEventListener('selectionchange', this._handleSelectionChange);
+
+		this.entries = [];
+		this.blocks = [];
+		this.model = null;
+		this.editor = null;
+	}
+}
@@ -0,0 +1,66 @@
+/**
+ * WYSIWYG Loopback Adapter
+ * In-memory collaboration transport for editors on the same page
+ *
+ * One adapter instance is one room: every editor connected to it receives the
+ * messages sent by the others. Messages are serialized to JSON and delivered
+ * asynchronously in send order, like a real transport. Meant for tests and
+ * demos, and as a reference for writing a WebSocket adapter.
+ *
+ * @class WysiwygLoopbackAdapter
+ * @version 1.0.0
+ */
+class WysiwygLoopbackAdapter {
+	/**
+	 * Create loopback adapter instance
+	 *
+	 * @param {Object} options - Adapter options
+	 * @param {number} options.delay - Delivery delay in ms, to simulate latency
+	 */
+	constructor(options = {}) {
+		this.options = {
+			delay: 0,
+			...options
+		};
+
+		this.receivers = new Set();
+	}
+
+	/**
+	 * Connect a receiver
+	 * @public
+	 * @param {Function} receive - Called with each incoming message
+	 * @returns {Promise} Resolves when connected
+	 */
+	connect(receive) {
+		this.receivers.add(receive);
+		return Promise.resolve();
+	}
+
+	/**
+	 * Send a message to all connected receivers
+	 * The sender receives its own messages too and ignores them by client id.
+	 * @public
+	 * @param {Object} message - Serializable message
+	 */
+	send(message) {
+		const data = JSON.stringify(message);
+
+		this.receivers.forEach(receive => {
+			setTimeout(() => {
+				if (this.receivers.has(receive)) {
+					receive(JSON.parse(data));
+				}
+			}, this.options.delay);
+		});
+	}
+
+	/**
+	 * Disconnect a receiver
+	 * @public
+	 * @param {Function} receive - Receiver passed to connect()
+	 */
+	disconnect(receive) {
+		this.receivers.delete(receive);
+	}
+}
@@ -0,0 +1,786 @@
+/**
+ * WYSIWYG Markdown Converter
+ * Converts between Markdown and the HTML produced by the editor
+ *
+ * Covers headings, paragraphs, emphasis, strikethrough, inline code, links,
+ * images, fenced code blocks, blockquotes, nested lists, tables (GFM) and
+ * horizontal rules. HTML without a Markdown equivalent (underline, sub/sup,
+ * embeds) is written as inline HTML, so the sanitizer decides what survives.
+ *
+ * @class WysiwygMarkdown
+ * @version 1.0.0
+ */
+class WysiwygMarkdown {
+	/**
+	 * Create converter instance
+	 *
+	 * @param {Object} options - Converter options
+	 * @param {boolean} options.allowHtml - Pass raw HTML in Markdown through (to the sanitizer) instead of escaping it
+	 * @param {string} options.bulletMarker - Marker for unordered list items
+	 * @param {string} options.tableClass - Class for tables created from Markdown
+	 */
+	constructor(options = {}) {
+		this.options = {
+			allowHtml: true,
+			bulletMarker: '-',
+			tableClass: 'table table-bordered',
+			...options
+		};
+
+		this.blockTags = new Set([
+			'P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'PRE',
+			'UL', 'OL', 'LI', 'TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR', 'TD', 'TH',
+			'HR', 'FIGURE', 'FIGCAPTION', 'VIDEO', 'AUDIO', 'IFRAME'
+		]);
+
+		// Inline tags without Markdown syntax that are kept as HTML
+		this.inlineHtmlTags = new Set(['U', 'SUP', 'SUB', 'MARK', 'SMALL']);
+	}
+
+	// ============================================
+	// Markdown to HTML
+	// ============================================
+
+	/**
+	 * Convert Markdown to HTML
+	 * @public
+	 * @param {string} markdown - Markdown source
+	 * @returns {string} HTML (not yet sanitized)
+	 */
+	toHTML(markdown) {
+		const lines = String(markdown || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+		return this._parseBlocks(lines).join('\n');
+	}
+
+	/**
+	 * Parse lines into block HTML strings
+	 * @private
+	 * @param {Array<string>} lines - Source lines
+	 * @returns {Array<string>} Block HTML
+	 */
+	_parseBlocks(lines) {
+		const blocks = [];
+		let i = 0;
+
+		while (i < lines.length) {
+			const line = lines[i];
+
+			// Blank line
+			if (!line.trim()) {
+				i++;
+				continue;
+			}
+
+			// Fenced code block
+			const fence = line.match(/^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)/);
+			if (fence) {
+				const code = [];
+				i++;
+				while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+					code.push(lines[i]);
+					i++;
+				}
+				i++; // Closing fence
+
+				const language = fence[2] ? ` class="language-${fence[2]}"` : '';
+				blocks.push(`<pre><code${language}>${this._escapeHtml(code.join('\n'))}</code></pre>`);
+				continue;
+			}
+
+			// ATX heading
+			const heading = line.match(/^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+			if (heading) {
+				const level = heading[1].length;
+				blocks.push(`<h${level}>${this._parseInline(heading[2])}</h${level}>`);
+				i++;
+				continue;
+			}
+
+			// Horizontal rule (before lists, "- - -" is a rule)
+			if (/^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+				blocks.push('<hr>');
+				i++;
+				continue;
+			}
+
+			// Blockquote
+			if (/^ {0,3}>/.test(line)) {
+				const quote = [];
+				while (i < lines.length && lines[i].trim() && /^ {0,3}>/.test(lines[i])) {
+					quote.push(lines[i].replace(/^ {0,3}> ?/, ''));
+					i++;
+				}
+				blocks.push(`<blockquote>${this._parseBlocks(quote).join('\n')}</blockquote>`);
+				continue;
+			}
+
+			// List
+			if (this._matchListItem(line)) {
+				i = this._parseList(lines, i, blocks);
+				continue;
+			}
+
+			// Table
+			if (line.includes('|') && i + 1 < lines.length && this._isTableDelimiter(lines[i + 1])) {
+				i = this._parseTable(lines, i, blocks);
+				continue;
+			}
+
+			// Raw HTML block
+			if (this.options.allowHtml && /^ {0,3}<\/?[a-zA-Z][\w-]*(\s|\/?>|$)/.test(line)) {
+				const html = [];
+				while (i < lines.length && lines[i].trim()) {
+					html.push(lines[i]);
+					i++;
+				}
+				blocks.push(html.join('\n'));
+				continue;
+			}
+
+			// Paragraph, possibly a setext heading
+			const paragraph = [];
+			while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !this._startsBlock(lines[i]))) {
+				const setext = lines[i].match(/^ {0,3}(=+|-+)\s*$/);
+				if (setext && paragraph.length > 0) {
+					const level = setext[1][0] === '=' ? 1 : 2;
+					blocks.push(`<h${level}>${this._parseInline(paragraph.join('\n'))}</h${level}>`);
+					paragraph.length = 0;
+					i++;
+					break;
+				}
+				paragraph.push(lines[i]);
+				i++;
+			}
+
+			if (paragraph.length > 0) {
+				blocks.push(`<p>${this._parseInline(paragraph.join('\n'))}</p>`);
+			}
+		}
+
+		return blocks;
+	}
+
+	/**
+	 * Check if a line interrupts a paragraph
+	 * @private
+	 * @param {string} line - Source line
+	 * @returns {boolean} True if the line starts a new block
+	 */
+	_startsBlock(line) {
+		return /^ {0,3}(#{1,6}\s|>|`{3,}|~{3,})/.test(line) ||
+			/^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line) ||
+			Boolean(this._matchListItem(line));
+	}
+
+	/**
+	 * Match a list item marker
+	 * @private
+	 * @param {string} line - Source line
+	 * @returns {Object|null} {indent, ordered, number, contentIndent, content}
+	 */
+	_matchListItem(line) {
+		const match = line.match(/^( *)([-*+]|\d{1,9}[.)])( +|$)(.*)$/);
+		if (!match) {
+			return null;
+		}
+
+		return {
+			indent: match[1].length,
+			ordered: /\d/.test(match[2]),
+			number: parseInt(match[2], 10),
+			contentIndent: match[1].length + match[2].length + Math.max(1, Math.min(match[3].length, 4)),
+			content: match[4]
+		};
+	}
+
+	/**
+	 * Parse a (possibly nested) list starting at the given line
+	 * @private
+	 * @param {Array<string>} lines - Source lines
+	 * @param {number} start - Index of the first item
+	 * @param {Array<string>} blocks - Output blocks
+	 * @returns {number} Index of the first line after the list
+	 */
+	_parseList(lines, start, blocks) {
+		const first = this._matchListItem(lines[start]);
+		const items = [];
+		let i = start;
+		let loose = false;
+
+		while (i < lines.length) {
+			const item = this._matchListItem(lines[i]);
+			if (!item || item.indent !== first.indent || item.ordered !== first.ordered) {
+				break;
+			}
+
+			const content = [item.content];
+			i++;
+
+			// Continuation lines are indented past the marker, blank lines may separate them
+			while (i < lines.length) {
+				const line = lines[i];
+				const indent = line.match(/^ */)[0].length;
+
+				if (!line.trim()) {
+					const next = lines.slice(i + 1).find(value => value.trim());
+					if (next === undefined || next.match(/^ */)[0].length < item.contentIndent) {
+						const nextItem = next !== undefined ? this._matchListItem(next) : null;
+						if (nextItem && nextItem.indent === first.indent && nextItem.ordered === first.ordered) {
+							loose = true;
+						}
+						break;
+					}
+					content.push('');
+					loose = true;
+					i++;
+				} else if (indent >= item.contentIndent) {
+					content.push(line.slice(item.contentIndent));
+					i++;
+				} else if (!this._startsBlock(line) && !this._matchListItem(line)) {
+					// Lazy continuation of the item's paragraph
+					content.push(line.trim());
+					i++;
+				} else {
+					break;
+				}
+			}
+
+			items.push(content);
+
+			// Skip blank lines between items
+			while (i < lines.length && !lines[i].trim()) {
+				const next = lines.slice(i).find(value => value.trim());
+				const nextItem = next !== undefined ? this._matchListItem(next) : null;
+				if (!nextItem || nextItem.indent !== first.indent || nextItem.ordered !== first.ordered) {
+					break;
+				}
+				i++;
+			}
+		}
+
+		const tag = first.ordered ? 'ol' : 'ul';
+		const html = items.map(content => {
+			let inner = this._parseBlocks(content).join('\n');
+
+			// Tight lists keep their text out of paragraphs
+			if (!loose) {
+				inner = inner.replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+			}
+			return `<li>${inner}</li>`;
+		});
+
+		const startAttribute = first.ordered && first.number !== 1 ? ` start="${first.number}"` : '';
+		blocks.push(`<${tag}${startAttribute}>${html.join('')}</${tag}>`);
+
+		return i;
+	}
+
+	/**
+	 * Check for a GFM table delimiter row
+	 * @private
+	 * @param {string} line - Source line
+	 * @returns {boolean} True if the line is a delimiter row
+	 */
+	_isTableDelimiter(line) {
+		return /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line) && line.includes('-');
+	}
+
+	/**
+	 * Split a table row into cells
+	 * @private
+	 * @param {string} line - Source line
+	 * @returns {Array<string>} Cell sources
+	 */
+	_splitTableRow(line) {
+		const cells = [];
+		let cell = '';
+		const row = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1');
+
+		for (let i = 0; i < row.length; i++) {
+			if (row[i] === '\\' && row[i + 1] === '|') {
+				cell += '|';
+				i++;
+			} else if (row[i] === '|') {
+				cells.push(cell.trim());
+				cell = '';
+			} else {
+				cell += row[i];
+			}
+		}
+		cells.push(cell.trim());
+
+		return cells;
+	}
+
+	/**
+	 * Parse a GFM table
+	 * @private
+	 * @param {Array<string>} lines - Source lines
+	 * @param {number} start - Index of the header row
+	 * @param {Array<string>} blocks - Output blocks
+	 * @returns {number} Index of the first line after the table
+	 */
+	_parseTable(lines, start, blocks) {
+		const header = this._splitTableRow(lines[start]);
+		const aligns = this._splitTableRow(lines[start + 1]).map(cell => {
+			if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+			if (cell.endsWith(':')) return 'right';
+			if (cell.startsWith(':')) return 'left';
+			return null;
+		});
+
+		const renderCell = (tag, content, index) => {
+			const style = aligns[index] ? ` style="text-align: ${aligns[index]}"` : '';
+			return `<${tag}${style}>${this._parseInline(content || '')}</${tag}>`;
+		};
+
+		let html = `<table class="${this.options.tableClass}"><thead><tr>`;
+		html += header.map((cell, index) => renderCell('th', cell, index)).join('');
+		html += '</tr></thead><tbody>';
+
+		let i = start + 2;
+		while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+			const cells = this._splitTableRow(lines[i]);
+			html += '<tr>' + header.map((_, index) => renderCell('td', cells[index], index)).join('') + '</tr>';
+			i++;
+		}
+
+		html += '</tbody></table>';
+		blocks.push(html);
+
+		return i;
+	}
+
+	/**
+	 * Parse inline Markdown
+	 * @private
+	 * @param {string} text - Inline source
+	 * @returns {string} HTML
+	 */
+	_parseInline(text) {
+		const tokens = [];
+		const protect = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+		const restore = (html) => html.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+
+		// Backslash escapes
+		text = text.replace(/\\([\\`*_{}[\]()#+\-.!|~<>&])/g, (match, char) => protect(this._escapeHtml(char)));
+
+		// Code spans
+		text = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+			return protect(`<code>${this._escapeHtml(code.replace(/^ ([\s\S]*) $/, '$1'))}</code>`);
+		});
+
+		// Autolinks
+		text = text.replace(/<((?:https?|mailto):[^\s<>]+)>/gi, (match, url) => {
+			const href = this._escapeHtml(url);
+			return protect(`<a href="${href}">${href}</a>`);
+		});
+
+		// Raw inline HTML, cleaned later by the sanitizer
+		if (this.options.allowHtml) {
+			text = text.replace(/<\/?[a-zA-Z][\w-]*(?:\s[^<>]*)?\/?>/g, (match) => protect(match));
+		}
+
+		// Entity references stay as they are
+		text = text.replace(/&(?:#\d{1,7}|#x[0-9a-f]{1,6}|[a-z][a-z0-9]{1,31});/gi, (match) => protect(match));
+
+		text = this._escapeHtml(text);
+
+		// Images
+		text = text.replace(/!\[([^\]]*)\]\(\s*<?([^\s)>]*)>?(?:\s+&quot;([^"]*?)&quot;)?\s*\)/g, (match, alt, src, title) => {
+			if (!this._isSafeUrl(restore(src), true)) {
+				return alt;
+			}
+			const titleAttribute = title ? ` title="${title}"` : '';
+			return protect(`<img src="${src}" alt="${alt}"${titleAttribute}>`);
+		});
+
+		// Links, the text stays inline so it can carry emphasis
+		text = text.replace(/\[([^\]]+)\]\(\s*<?([^\s)>]*)>?(?:\s+&quot;([^"]*?)&quot;)?\s*\)/g, (match, label, href, title) => {
+			if (!this._isSafeUrl(restore(href))) {
+				return label;
+			}
+			const titleAttribute = title ? ` title="${title}"` : '';
+			return `${protect(`<a href="${href}"${titleAttribute}>`)}${label}${protect('</a>')}`;
+		});
+
+		// Emphasis
+		text = text.replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>');
+		text = text.replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>');
+		text = text.replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+		text = text.replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>');
+
+		// Hard line breaks
+		text = text.replace(/(?: {2,}|\\)\n/g, '<br>\n');
+
+		return restore(text);
+	}
+
+	// ============================================
+	// HTML to Markdown
+	// ============================================
+
+	/**
+	 * Convert HTML to Markdown
+	 * @public
+	 * @param {string} html - HTML (sanitized)
+	 * @returns {string} Markdown
+	 */
+	toMarkdown(html) {
+		const container = document.createElement('div');
+		container.innerHTML = html;
+
+		return this._convertBlocks(container)
+			.replace(/\n{3,}/g, '\n\n')
+			.trim();
+	}
+
+	/**
+	 * Convert the children of an element into Markdown blocks
+	 * Runs of inline nodes form a paragraph.
+	 * @private
+	 * @param {Element} element - Parent element
+	 * @returns {string} Markdown
+	 */
+	_convertBlocks(element) {
+		const blocks = [];
+		let inline = [];
+
+		const flushInline = () => {
+			const text = this._convertInlineNodes(inline).trim();
+			if (text) {
+				blocks.push(this._escapeBlockStart(text));
+			}
+			inline = [];
+		};
+
+		Array.from(element.childNodes).forEach(node => {
+			if (node.nodeType === Node.ELEMENT_NODE && this.blockTags.has(node.tagName)) {
+				flushInline();
+				const block = this._convertBlock(node);
+				if (block.trim()) {
+					blocks.push(block);
+				}
+			} else {
+				inline.push(node);
+			}
+		});
+		flushInline();
+
+		return blocks.join('\n\n');
+	}
+
+	/**
+	 * Convert a block element
+	 * @private
+	 * @param {Element} element - Block element
+	 * @returns {string} Markdown
+	 */
+	_convertBlock(element) {
+		const tag = element.tagName;
+
+		switch (tag) {
+			case 'H1':
+			case 'H2':
+			case 'H3':
+			case 'H4':
+			case 'H5':
+			case 'H6':
+				return `${'#'.repeat(parseInt(tag[1], 10))} ${this._convertInline(element).replace(/\n+/g, ' ').trim()}`;
+
+			case 'P':
+				return this._escapeBlockStart(this._convertInline(element).trim());
+
+			case 'BLOCKQUOTE':
+				return this._convertBlocks(element)
+					.split('\n')
+					.map(line => line ? `> ${line}` : '>')
+					.join('\n');
+
+			case 'PRE':
+				return this._convertCodeBlock(element);
+
+			case 'UL':
+			case 'OL':
+				return this._convertList(element);
+
+			case 'TABLE':
+				return this._convertTable(element);
+
+			case 'HR':
+				return '---';
+
+			case 'VIDEO':
+			case 'AUDIO':
+			case 'IFRAME':
+				return element.outerHTML;
+
+			default:
+				// div, figure, li outside lists and the like
+				return this._convertBlocks(element);
+		}
+	}
+
+	/**
+	 * Convert a pre element into a fenced code block
+	 * @private
+	 * @param {Element} pre - Pre element
+	 * @returns {string} Markdown
+	 */
+	_convertCodeBlock(pre) {
+		const code = pre.querySelector('code');
+		const language = code ? (code.className.match(/language-([\w+-]+)/) || [])[1] || '' : '';
+		const text = pre.textContent.replace(/\n$/, '');
+
+		// The fence must be longer than any backtick run in the code
+		const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+		const fence = '`'.repeat(longest + 1);
+
+		return `${fence}${language}\n${text}\n${fence}`;
+	}
+
+	/**
+	 * Convert a list, nested lists are indented under their item
+	 * @private
+	 * @param {Element} list - ul or ol element
+	 * @returns {string} Markdown
+	 */
+	_convertList(list) {
+		const ordered = list.tagName === 'OL';
+		let number = parseInt(list.getAttribute('start'), 10) || 1;
+
+		return Array.from(list.children)
+			.filter(child => child.tagName === 'LI')
+			.map(item => {
+				const marker = ordered ? `${number++}.` : this.options.bulletMarker;
+				const indent = ' '.repeat(marker.length + 1);
+				const content = this._convertBlocks(item).replace(/\n\n(?=\s*([-*+]|\d+\.) )/g, '\n');
+
+				return `${marker} ` + content
+					.split('\n')
+					.map((line, index) => (index === 0 || !line ? line : indent + line))
+					.join('\n');
+			})
+			.join('\n');
+	}
+
+	/**
+	 * Convert a table into a GFM table
+	 * @private
+	 * @param {Element} table - Table element
+	 * @returns {string} Markdown
+	 */
+	_convertTable(table) {
+		const rows = Array.from(table.querySelectorAll('tr'));
+		if (rows.length === 0) {
+			return '';
+		}
+
+		const cellText = (cell) => this._convertInline(cell)
+			.replace(/\n+/g, ' ')
+			.trim();
+
+		const header = Array.from(rows[0].children);
+		const aligns = header.map(cell => {
+			const align = cell.style.textAlign || cell.getAttribute('align');
+			if (align === 'center') return ':---:';
+			if (align === 'right') return '---:';
+			if (align === 'left') return ':---';
+			return '---';
+		});
+
+		const lines = [
+			`| ${header.map(cellText).join(' | ')} |`,
+			`| ${aligns.join(' | ')} |`
+		];
+
+		rows.slice(1).forEach(row => {
+			const cells = Array.from(row.children).map(cellText);
+			while (cells.length < header.length) {
+				cells.push('');
+			}
+			lines.push(`| ${cells.join(' | ')} |`);
+		});
+
+		return lines.join('\n');
+	}
+
+	/**
+	 * Convert the inline content of an element
+	 * @private
+	 * @param {Element} element - Element
+	 * @returns {string} Markdown
+	 */
+	_convertInline(element) {
+		return this._convertInlineNodes(Array.from(element.childNodes));
+	}
+
+	/**
+	 * Convert a list of inline nodes
+	 * @private
+	 * @param {Array<Node>} nodes - Nodes
+	 * @returns {string} Markdown
+	 */
+	_convertInlineNodes(nodes) {
+		return nodes
+			.map(node => this._convertInlineNode(node))
+			.join('')
+			.replace(/\\\n +/g, '\\\n');
+	}
+
+	/**
+	 * Convert a single inline node
+	 * @private
+	 * @param {Node} node - Node
+	 * @returns {string} Markdown
+	 */
+	_convertInlineNode(node) {
+		if (node.nodeType === Node.TEXT_NODE) {
+			return this._escapeMarkdown(node.textContent.replace(/\s+/g, ' '));
+		}
+
+		if (node.nodeType !== Node.ELEMENT_NODE) {
+			return '';
+		}
+
+		const tag = node.tagName;
+
+		switch (tag) {
+			case 'STRONG':
+			case 'B':
+				return this._wrap('**', this._convertInline(node));
+
+			case 'EM':
+			case 'I':
+				return this._wrap('*', this._convertInline(node));
+
+			case 'S':
+			case 'STRIKE':
+			case 'DEL':
+				return this._wrap('~~', this._convertInline(node));
+
+			case 'CODE': {
+				const text = node.textContent;
+				const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+				const ticks = '`'.repeat(longest + 1);
+				const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+				return `${ticks}${padding}${text}${padding}${ticks}`;
+			}
+
+			case 'A': {
+				const href = node.getAttribute('href') || '';
+				const title = node.getAttribute('title');
+				const label = this._convertInline(node).trim() || href;
+				return `[${label}](${this._formatUrl(href)}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})`;
+			}
+
+			case 'IMG': {
+				const alt = (node.getAttribute('alt') || '').replace(/[[\]]/g, '\\$&');
+				const title = node.getAttribute('title');
+				return `![${alt}](${this._formatUrl(node.getAttribute('src') || '')}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})`;
+			}
+
+			case 'BR':
+				return '\\\n';
+
+			case 'SPAN':
+				// Mentions keep their id as inline HTML
+				if (node.hasAttribute('data-mention')) {
+					return this.options.allowHtml ? node.outerHTML : this._escapeMarkdown(node.textContent);
+				}
+				return this._convertInline(node);
+
+			default:
+				if (this.inlineHtmlTags.has(tag)) {
+					const name = tag.toLowerCase();
+					return `<${name}>${this._convertInline(node)}</${name}>`;
+				}
+
+				// span, font and other wrappers only carry styling
+				return this._convertInline(node);
+		}
+	}
+
+	/**
+	 * Wrap content in an emphasis marker, keeping surrounding spaces outside
+	 * @private
+	 * @param {string} marker - Markdown marker
+	 * @param {string} content - Inner Markdown
+	 * @returns {string} Markdown
+	 */
+	_wrap(marker, content) {
+		const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+		if (!match[2]) {
+			return content;
+		}
+		return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+	}
+
+	/**
+	 * Format a URL for a link or image destination
+	 * @private
+	 * @param {string} url - URL
+	 * @returns {string} Destination
+	 */
+	_formatUrl(url) {
+		return /[\s()]/.test(url) ? `<${url}>` : url;
+	}
+
+	/**
+	 * Escape Markdown syntax in text
+	 * @private
+	 * @param {string} text - Text
+	 * @returns {string} Escaped text
+	 */
+	_escapeMarkdown(text) {
+		return text
+			.replace(/[\\`*_[\]~<|]/g, '\\$&')
+			.replace(/&(?=#?\w+;)/g, '\\&');
+	}
+
+	/**
+	 * Escape text at the start of a block that would otherwise start another block
+	 * @private
+	 * @param {string} text - Block Markdown
+	 * @returns {string} Escaped Markdown
+	 */
+	_escapeBlockStart(text) {
+		return text.replace(/^(#{1,6}\s|>|[-+]\s|(\d+)([.)])\s)/, (match, all, number, delimiter) => {
+			return number ? `${number}\\${delimiter} ` : `\\${match}`;
+		});
+	}
+
+	/**
+	 * Check the scheme of a link or image URL
+	 * The converter must not create javascript: links even when no sanitizer runs after it.
+	 * @private
+	 * @param {string} url - URL as it appears in the attribute (HTML-escaped)
+	 * @param {boolean} allowImageData - Also allow data:image/ URLs (image sources)
+	 * @returns {boolean} True for http(s), mailto and relative URLs
+	 */
+	_isSafeUrl(url, allowImageData = false) {
+		// Decode entities and drop the characters browsers ignore in a scheme
+		const textarea = document.createElement('textarea');
+		textarea.innerHTML = url;
+		const value = textarea.value.replace(/[\u0000-\u0020\u007f]/g, '');
+
+		if (!/^[a-z][a-z0-9+.-]*:/i.test(value)) {
+			return true;
+		}
+		return /^(https?|mailto):/i.test(value) || (allowImageData && /^data:image\//i.test(value));
+	}
+
+	/**
+	 * Escape HTML special characters
+	 * @private
+	 * @param {string} text - Text
+	 * @returns {string} Escaped text
+	 */
+	_escapeHtml(text) {
+		return text
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;');
+	}
+}
@@ -36,6 +36,7 @@ class WysiwygSanitizer {
 			'table': ['border', 'cellpadding', 'cellspacing'],
 			'td': ['colspan', 'rowspan', 'align', 'valign'],
 			'th': ['colspan', 'rowspan', 'align', 'valign'],
+			'span': ['contenteditable', 'data-mention', 'data-mention-id'],
 			...allowedAttributes
 		};
 
@@ -234,7 +235,14 @@ class WysiwygSanitizer {
 				return;
 			}
 
-			if (options.stripDataAttributes && name.startsWith('data-')) {
+			// Data attributes listed in allowedAttributes are kept, e.g. on mentions
+			if (options.stripDataAttributes && name.startsWith('data-') && !allowed.has(name)) {
+				element.removeAttribute(name);
+				return;
+			}
+
+			// Content can only be made read-only, not editable
+			if (name === 'contenteditable' && value !== 'false') {
 				element.removeAttribute(name);
 				return;
 			}
@@ -343,15 +351,32 @@ class WysiwygSanitizer {
 			textNode.textContent = text;
 		}
 
-		// Remove empty text nodes (except in pre/code)
+		// Remove empty text nodes (except in pre/code and between inline elements)
 		const parent = textNode.parentElement;
 		if (parent && !['PRE', 'CODE'].includes(parent.tagName)) {
-			if (text.trim() === '') {
+			if (text.trim() === '' && !this._separatesInlineNodes(textNode)) {
 				textNode.remove();
 			}
 		}
 	}
 
+	/**
+	 * Check if a whitespace text node is the space between two inline nodes
+	 * e.g. <strong>a</strong> <em>b</em>
+	 * @private
+	 * @param {Text} textNode - Text node
+	 * @returns {boolean} True if removing it would join the words
+	 */
+	_separatesInlineNodes(textNode) {
+		const blockTags = [
+			'P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI',
+			'TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR', 'TD', 'TH', 'BLOCKQUOTE', 'PRE', 'HR', 'BR'
+		];
+		const isInline = (node) => node && (node.nodeType === Node.TEXT_NODE || !blockTags.includes(node.tagName));
+
+		return isInline(textNode.previousSibling) && isInline(textNode.nextSibling);
+	}
+
 	/**
 	 * Convert deprecated tags
 	 * @private
@@ -20,6 +20,7 @@ class WysiwygToolbar {
 		this.buttons = new Map();
 		this.dropdowns = new Map();
 		this.isEnabled = true;
+		this.findPanel = null;
 
 		// Button definitions
 		this.buttonDefs = this._getButtonDefinitions();
@@ -224,6 +225,12 @@ class WysiwygToolbar {
 				title: 'Help',
 				handler: 'showHelp'
 			},
+			find: {
+				icon: 'bi-search',
+				title: 'Find and Replace (Ctrl+F)',
+				handler: 'toggleFindPanel',
+				toggle: true
+			},
 
 			// History
 			undo: {
@@ -1177,15 +1184,43 @@ class WysiwygToolbar {
 
 	/**
 	 * Toggle code view
+	 * Cycles WYSIWYG -> HTML -> Markdown (as configured in codeViewModes) -> WYSIWYG
 	 * @private
 	 */
 	toggleCodeView() {
-		if (!this.codeViewActive) {
+		const modes = ['wysiwyg', ...this._getCodeViewModes()];
+		const index = modes.indexOf(this.codeViewMode || 'wysiwyg');
+
+		this.setCodeView(modes[(index + 1) % modes.length]);
+	}
+
+	/**
+	 * Switch to a view
+	 * Leaving a source view applies its content to the editor first.
+	 * @public
+	 * @param {string} mode - 'wysiwyg', 'html' or 'markdown'
+	 */
+	setCodeView(mode) {
+		const current = this.codeViewMode || 'wysiwyg';
+		if (mode !== 'wysiwyg' && !this._getCodeViewModes().includes(mode)) {
+			return;
+		}
+
+		// Apply the edited source
+		if (current === 'markdown') {
+			this.editor.setMarkdown(this.codeViewTextarea.value);
+		} else if (current === 'html') {
+			this.editor.setContent(this.codeViewTextarea.value);
+		}
+
+		this.codeViewMode = mode;
+		const button = this.buttons.get('codeview');
+		const icon = button ? button.querySelector('i') : null;
+
+		if (mode !== 'wysiwyg') {
 			// Switch to code view
 			this.codeViewActive = true;
-
-			// Store current content
-			const content = this.editor.getContent();
+			this.hideFindPanel();
 
 			// Create code view textarea if not exists
 			if (!this.codeViewTextarea) {
@@ -1198,19 +1233,23 @@ class WysiwygToolbar {
 			}
 
 			// Set content and show
-			this.codeViewTextarea.value = this._formatHTML(content);
+			this.codeViewTextarea.value = mode === 'markdown' ?
+				this.editor.getMarkdown() : this._formatHTML(this.editor.getContent());
+			this.codeViewTextarea.setAttribute('data-mode', mode);
+			this.codeViewTextarea.setAttribute('aria-label', mode === 'markdown' ? 'Markdown source' : 'HTML source');
 			this.codeViewTextarea.style.minHeight = this.editor.editorElement.style.minHeight;
 			this.codeViewTextarea.style.maxHeight = this.editor.editorElement.style.maxHeight;
 
 			// Hide editor and show code view
 			this.editor.editorElement.style.display = 'none';
-			this.editor.editorElement.parentNode.appendChild(this.codeViewTextarea);
+			if (!this.codeViewTextarea.parentNode) {
+				this.editor.editorElement.parentNode.appendChild(this.codeViewTextarea);
+			}
 
 			// Disable formatting buttons
 			this._disableFormattingButtons();
 
 			// Update button state
-			const button = this.buttons.get('codeview');
 			if (button) {
 				button.classList.add('active');
 			}
@@ -1222,15 +1261,9 @@ class WysiwygToolbar {
 			// Switch back to WYSIWYG view
 			this.codeViewActive = false;
 
-			// Get code content
-			const code = this.codeViewTextarea.value;
-
-			// Set content back to editor
-			this.editor.setContent(code);
-
 			// Show editor and hide code view
 			this.editor.editorElement.style.display = '';
-			if (this.codeViewTextarea.parentNode) {
+			if (this.codeViewTextarea && this.codeViewTextarea.parentNode) {
 				this.codeViewTextarea.parentNode.removeChild(this.codeViewTextarea);
 			}
 
@@ -1238,7 +1271,6 @@ class WysiwygToolbar {
 			this._enableFormattingButtons();
 
 			// Update button state
-			const button = this.buttons.get('codeview');
 			if (button) {
 				button.classList.remove('active');
 			}
@@ -1246,6 +1278,42 @@ class WysiwygToolbar {
 			// Focus editor
 			this.editor.focus();
 		}
+
+		// The icon shows the current view, the title the next one
+		if (icon) {
+			icon.className = mode === 'markdown' ? 'bi-markdown' : 'bi-code';
+		}
+		if (button) {
+			const modes = ['wysiwyg', ...this._getCodeViewModes()];
+			const next = modes[(modes.indexOf(mode) + 1) % modes.length];
+			const titles = { wysiwyg: 'Visual Editor', html: 'HTML Source', markdown: 'Markdown Source' };
+			const title = next === 'wysiwyg' ? titles.wysiwyg : `Code View (${titles[next]})`;
+
+			button.title = title;
+			button.setAttribute('aria-label', title);
+			if (button.hasAttribute('data-bs-original-title')) {
+				button.setAttribute('data-bs-original-title', title);
+			}
+		}
+	}
+
+	/**
+	 * Get the current view
+	 * @public
+	 * @returns {string} 'wysiwyg', 'html' or 'markdown'
+	 */
+	getCodeView() {
+		return this.codeViewMode || 'wysiwyg';
+	}
+
+	/**
+	 * Get the source views the codeview button cycles through
+	 * @private
+	 * @returns {Array<string>} Modes
+	 */
+	_getCodeViewModes() {
+		const modes = this.editor.config.codeViewModes || ['html'];
+		return modes.filter(mode => mode === 'html' || (mode === 'markdown' && this.editor.markdown));
 	}
 
 	/**
@@ -1334,6 +1402,7 @@ class WysiwygToolbar {
 				<tr><td><kbd>Ctrl+Z</kbd></td><td>Undo</td></tr>
 				<tr><td><kbd>Ctrl+Y</kbd></td><td>Redo</td></tr>
 				<tr><td><kbd>Ctrl+K</kbd></td><td>Insert Link</td></tr>
+				<tr><td><kbd>Ctrl+F</kbd></td><td>Find and Replace</td></tr>
 				<tr><td><kbd>Ctrl+L</kbd></td><td>Align Left</td></tr>
 				<tr><td><kbd>Ctrl+E</kbd></td><td>Align Center</td></tr>
 				<tr><td><kbd>Ctrl+R</kbd></td><td>Align Right</td></tr>
@@ -1344,6 +1413,218 @@ class WysiwygToolbar {
 		modal.show();
 	}
 
+	/**
+	 * Toggle the find and replace panel
+	 * @private
+	 */
+	toggleFindPanel() {
+		if (this.findPanel && !this.findPanel.classList.contains('d-none')) {
+			this.hideFindPanel();
+		} else {
+			this.showFindPanel();
+		}
+	}
+
+	/**
+	 * Show the find and replace panel below the toolbar
+	 * @public
+	 */
+	showFindPanel() {
+		if (this.codeViewActive || !this.editor.commandManager) return;
+
+		if (!this.findPanel) {
+			this.findPanel = this._createFindPanel();
+			this.container.parentNode.insertBefore(this.findPanel, this.container.nextSibling);
+		}
+
+		this.findPanel.classList.remove('d-none');
+		this.buttons.get('find')?.classList.add('active');
+
+		// Start with the selected text
+		const findInput = this.findPanel.querySelector('.find-input');
+		const selected = this.editor.getSelectedText();
+		if (selected && !selected.includes('\n')) {
+			findInput.value = selected;
+		}
+
+		findInput.focus();
+		findInput.select();
+		this._runFind();
+	}
+
+	/**
+	 * Hide the find and replace panel and clear its highlights
+	 * @public
+	 * @param {boolean} selectMatch - Select the current match in the editor
+	 */
+	hideFindPanel(selectMatch = false) {
+		if (!this.findPanel || this.findPanel.classList.contains('d-none')) return;
+
+		this.findPanel.classList.add('d-none');
+		this.buttons.get('find')?.classList.remove('active');
+
+		const commandManager = this.editor.commandManager;
+		if (selectMatch && commandManager.selectCurrentMatch()) {
+			this.editor.focus();
+		}
+		commandManager.clearFind();
+	}
+
+	/**
+	 * Check if focus is inside the find panel
+	 * @public
+	 * @returns {boolean} True if the find panel has focus
+	 */
+	isFindPanelFocused() {
+		return Boolean(this.findPanel && this.findPanel.contains(document.activeElement));
+	}
+
+	/**
+	 * Create the find and replace panel
+	 * @private
+	 * @returns {HTMLElement} Panel element
+	 */
+	_createFindPanel() {
+		const id = this.editor.id;
+		const panel = document.createElement('div');
+		panel.className = 'wysiwyg-find-panel d-none';
+		panel.setAttribute('role', 'search');
+		panel.innerHTML = `
+			<div class="input-group input-group-sm">
+				<input type="search" class="form-control find-input" placeholder="Find" aria-label="Find">
+				<span class="input-group-text find-count" aria-live="polite">0 of 0</span>
+				<button type="button" class="btn btn-outline-secondary find-previous" title="Previous (Shift+Enter)" aria-label="Previous match">
+					<i class="bi bi-chevron-up"></i>
+				</button>
+				<button type="button" class="btn btn-outline-secondary find-next" title="Next (Enter)" aria-label="Next match">
+					<i class="bi bi-chevron-down"></i>
+				</button>
+			</div>
+			<div class="input-group input-group-sm">
+				<input type="text" class="form-control replace-input" placeholder="Replace with" aria-label="Replace with">
+				<button type="button" class="btn btn-outline-secondary replace-one">Replace</button>
+				<button type="button" class="btn btn-outline-secondary replace-all">Replace All</button>
+			</div>
+			<div class="d-flex align-items-center gap-2">
+				<div class="form-check form-check-inline m-0">
+					<input type="checkbox" class="form-check-input find-option" id="${id}-find-case" data-option="caseSensitive">
+					<label class="form-check-label" for="${id}-find-case">Match case</label>
+				</div>
+				<div class="form-check form-check-inline m-0">
+					<input type="checkbox" class="form-check-input find-option" id="${id}-find-word" data-option="wholeWord">
+					<label class="form-check-label" for="${id}-find-word">Whole word</label>
+				</div>
+				<div class="form-check form-check-inline m-0">
+					<input type="checkbox" class="form-check-input find-option" id="${id}-find-regex" data-option="regex">
+					<label class="form-check-label" for="${id}-find-regex">Regex</label>
+				</div>
+			</div>
+			<button type="button" class="btn-close ms-auto" aria-label="Close"></button>
+		`;
+
+		const commandManager = this.editor.commandManager;
+		const findInput = panel.querySelector('.find-input');
+		const replaceInput = panel.querySelector('.replace-input');
+
+		findInput.addEventListener('input', () => this._runFind());
+		panel.querySelectorAll('.find-option').forEach(checkbox => {
+			checkbox.addEventListener('change', () => this._runFind());
+		});
+
+		findInput.addEventListener('keydown', (e) => {
+			if (e.key === 'Enter') {
+				e.preventDefault();
+				if (e.shiftKey) {
+					commandManager.findPrevious();
+				} else {
+					commandManager.findNext();
+				}
+				this._updateFindCount();
+			}
+		});
+
+		replaceInput.addEventListener('keydown', (e) => {
+			if (e.key === 'Enter') {
+				e.preventDefault();
+				commandManager.replace(replaceInput.value);
+				this._updateFindCount();
+			}
+		});
+
+		panel.addEventListener('keydown', (e) => {
+			if (e.key === 'Escape') {
+				e.preventDefault();
+				this.hideFindPanel(true);
+			}
+		});
+
+		panel.querySelector('.find-previous').addEventListener('click', () => {
+			commandManager.findPrevious();
+			this._updateFindCount();
+		});
+		panel.querySelector('.find-next').addEventListener('click', () => {
+			commandManager.findNext();
+			this._updateFindCount();
+		});
+		panel.querySelector('.replace-one').addEventListener('click', () => {
+			commandManager.replace(replaceInput.value);
+			this._updateFindCount();
+		});
+		panel.querySelector('.replace-all').addEventListener('click', () => {
+			commandManager.replaceAll(replaceInput.value);
+			this._updateFindCount();
+		});
+		panel.querySelector('.btn-close').addEventListener('click', () => this.hideFindPanel(true));
+
+		// Keep the matches in step with edits made while the panel is open
+		this._findInputListener = () => {
+			if (!panel.classList.contains('d-none')) {
+				this.editor.commandManager.refreshFind();
+				this._updateFindCount();
+			}
+		};
+		this.editor.editorElement.addEventListener('input', this._findInputListener);
+
+		return panel;
+	}
+
+	/**
+	 * Search with the values from the find panel
+	 * @private
+	 */
+	_runFind() {
+		if (!this.findPanel) return;
+
+		const options = {};
+		this.findPanel.querySelectorAll('.find-option').forEach(checkbox => {
+			options[checkbox.dataset.option] = checkbox.checked;
+		});
+
+		this.editor.commandManager.find(this.findPanel.querySelector('.find-input').value, options);
+		this._updateFindCount();
+	}
+
+	/**
+	 * Update the match counter and the invalid state of the find input
+	 * @private
+	 */
+	_updateFindCount() {
+		if (!this.findPanel) return;
+
+		const state = this.editor.commandManager.getFindState();
+		const findInput = this.findPanel.querySelector('.find-input');
+
+		findInput.classList.toggle('is-invalid', Boolean(state.error));
+		findInput.title = state.error || '';
+		this.findPanel.querySelector('.find-count').textContent = state.count > 0 ?
+			`${state.current + 1} of ${state.count}` : '0 of 0';
+
+		const hasMatches = state.count > 0;
+		this.findPanel.querySelectorAll('.find-previous, .find-next, .replace-one, .replace-all').forEach(button => {
+			button.disabled = !hasMatches;
+		});
+	}
+
 	/**
 	 * Handle undo
 	 * @private
@@ -1545,6 +1826,35 @@ class WysiwygToolbar {
 				max-height: none !important;
 			}
 
+			/* Find and replace */
+			.wysiwyg-find-panel {
+				display: flex;
+				flex-wrap: wrap;
+				align-items: center;
+				gap: 0.5rem;
+				padding: 0.5rem;
+				border-bottom: 1px solid var(--bs-border-color);
+				background: var(--bs-tertiary-bg);
+			}
+
+			.wysiwyg-find-panel.d-none {
+				display: none !important;
+			}
+
+			.wysiwyg-find-panel .input-group {
+				width: auto;
+				flex-wrap: nowrap;
+			}
+
+			::highlight(wysiwyg-find) {
+				background-color: rgba(255, 193, 7, 0.4);
+			}
+
+			::highlight(wysiwyg-find-current) {
+				background-color: #fd7e14;
+				color: #fff;
+			}
+
 			/* Code view textarea */
 			.wysiwyg-editor-wrapper textarea.form-control {
 				background: var(--bs-body-bg);
@@ -1569,6 +1879,13 @@ class WysiwygToolbar {
 			this.tooltips = [];
 		}
 
+		// Remove find panel
+		if (this.findPanel) {
+			this.editor.editorElement.removeEventListener('input', this._findInputListener);
+			this.findPanel.remove();
+			this.findPanel = null;
+		}
+
 		// Clear buttons and dropdowns
 		this.buttons.clear();
 		this.dropdowns.clear();